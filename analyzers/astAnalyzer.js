@@ -4,65 +4,172 @@ const Java = require('tree-sitter-java');
 const Python = require('tree-sitter-python');
 const C = require('tree-sitter-c');
 const CPP = require('tree-sitter-cpp');
+const TypeScript = require('tree-sitter-typescript');
+const CSharp = require('tree-sitter-c-sharp');
+const { CobolParser } = require('./cobolParser');
+const { PliParser } = require('./pliParser');
+const { JclParser } = require('./jclParser');
 const diff = require('diff');
+const { TreeDiffer } = require('./treeDiffer');
+const { ComplexityAnalyzer } = require('./complexityAnalyzer');
+const { MaintainabilityAnalyzer } = require('./maintainabilityAnalyzer');
+const { RenameDetector } = require('./renameDetector');
+const { ASTNode } = require('./astNode');
+const { ContentCache, contentHash } = require('../utils/contentCache');
+const { version: TREE_SITTER_VERSION } = require('tree-sitter/package.json');
+// The COBOL, PL/I and JCL front ends ship with the application
+const { version: FRONT_END_VERSION } = require('../package.json');
+
+// Source bytes whose ASTs are kept; an AST takes about two hundred times its source in memory
+const AST_CACHE_SIZE = parseInt(process.env.AST_CACHE_SIZE) || 1024 * 1024;
+
+// Name comparisons the fuzzy element mapping may make per file pair; past it only identical
+// names are mapped and the tree differ maps the rest
+const MAX_NAME_COMPARISONS = parseInt(process.env.MAX_NAME_COMPARISONS) || 250000;
+
+// Metadata of every node that declares, imports and exports nothing
+const EMPTY_METADATA = Object.freeze({
+  name: null,
+  parameters: Object.freeze([]),
+  returnType: null,
+  modifiers: Object.freeze([]),
+  annotations: Object.freeze([]),
+  imports: Object.freeze([]),
+  dependencies: Object.freeze([])
+});
+
+// Nodes that start a line of the canonical source: statements, declarations and clauses
+const STATEMENT_PATTERN = /(^|_)(statement|declaration|definition|clause)$/;
+
+// Parents of parenthesized expressions whose parentheses formatters add or drop
+// (wrapped right-hand sides, return values, conditions)
+const WRAPPING_PARENTS = /(^|_)(statement|declarator|assignment|assignment_expression)$/;
+
+// Languages where 'text' and "text" mean the same
+const QUOTE_INSENSITIVE_LANGUAGES = ['javascript', 'typescript', 'python'];
 
 class ASTAnalyzer {
   constructor() {
     this.parsers = new Map();
+    this.parserVersions = new Map();
     this.initializeParsers();
+    this.astCache = new ContentCache(AST_CACHE_SIZE);
+    this.treeDiffer = new TreeDiffer();
+    this.complexityAnalyzer = new ComplexityAnalyzer();
+    this.maintainabilityAnalyzer = new MaintainabilityAnalyzer(this.complexityAnalyzer);
+    this.renameDetector = new RenameDetector();
+
+    // Hand-written front ends for languages without a tree-sitter grammar;
+    // they return normalized ASTs directly
+    this.frontEnds = new Map([
+      ['cobol', new CobolParser()],
+      ['pli', new PliParser()],
+      ['jcl', new JclParser()]
+    ]);
   }
 
   initializeParsers() {
     const parserConfigs = [
-      { language: 'javascript', parser: JavaScript },
-      { language: 'java', parser: Java },
-      { language: 'python', parser: Python },
-      { language: 'c', parser: C },
-      { language: 'cpp', parser: CPP }
+      { language: 'javascript', parser: JavaScript, grammar: 'tree-sitter-javascript' },
+      { language: 'java', parser: Java, grammar: 'tree-sitter-java' },
+      { language: 'python', parser: Python, grammar: 'tree-sitter-python' },
+      { language: 'c', parser: C, grammar: 'tree-sitter-c' },
+      { language: 'cpp', parser: CPP, grammar: 'tree-sitter-cpp' },
+      { language: 'typescript', parser: TypeScript.typescript, grammar: 'tree-sitter-typescript' },
+      { language: 'tsx', parser: TypeScript.tsx, grammar: 'tree-sitter-typescript' },
+      { language: 'csharp', parser: CSharp, grammar: 'tree-sitter-c-sharp' }
     ];
 
-    parserConfigs.forEach(({ language, parser }) => {
+    parserConfigs.forEach(({ language, parser, grammar }) => {
       const p = new Parser();
       p.setLanguage(parser);
       this.parsers.set(language, p);
+      this.parserVersions.set(language, `tree-sitter@${TREE_SITTER_VERSION}/${grammar}@${require(`${grammar}/package.json`).version}`);
     });
   }
 
-  async parseCode(source, language) {
-    const parser = this.parsers.get(language);
+  async parseCode(source, language, filePath = '') {
+    const dialect = this.dialect(language, filePath);
+    const parser = this.parsers.get(dialect);
+    const frontEnd = this.frontEnds.get(language);
     
-    if (!parser) {
+    if (!parser && !frontEnd) {
       throw new Error(`Unsupported language: ${language}`);
     }
 
+    // The same source parses to the same AST; cached ASTs are shared, so nothing may modify them
+    const key = contentHash(dialect, this.parserVersion(language, filePath), source);
+    const cached = this.astCache.get(key);
+    if (cached) return cached;
+
+    let ast;
     try {
-      const tree = parser.parse(source);
-      return this.normalizeAST(tree.rootNode, source, language);
+      if (frontEnd) {
+        ast = frontEnd.parse(source);
+      } else {
+        const tree = parser.parse(source);
+        ast = this.normalizeAST(tree.rootNode, source, language);
+      }
     } catch (error) {
       throw new Error(`Failed to parse ${language} code: ${error.message}`);
     }
+
+    this.astCache.set(key, ast, source.length);
+    return ast;
+  }
+
+  // .tsx files need the TSX dialect of the TypeScript grammar
+  dialect(language, filePath = '') {
+    return language === 'typescript' && /\.tsx$/i.test(filePath) ? 'tsx' : language;
+  }
+
+  // Part of every cache key: a parser upgrade invalidates what the old one produced
+  parserVersion(language, filePath = '') {
+    return this.frontEnds.has(language)
+      ? `refactorlens@${FRONT_END_VERSION}`
+      : this.parserVersions.get(this.dialect(language, filePath)) || null;
   }
 
-  normalizeAST(node, source, language) {
-    const normalized = {
-      type: node.type,
-      text: node.text,
-      startPosition: { row: node.startPosition.row, column: node.startPosition.column },
-      endPosition: { row: node.endPosition.row, column: node.endPosition.column },
-      children: [],
+  // Nodes keep offsets into the shared source instead of their text. Built with an explicit
+  // stack, so deeply nested code cannot overflow the call stack.
+  normalizeAST(rootNode, source, language) {
+    const normalize = node => new ASTNode(
+      node.type,
+      source,
+      node.startIndex,
+      node.endIndex,
+      { row: node.startPosition.row, column: node.startPosition.column },
+      { row: node.endPosition.row, column: node.endPosition.column },
       language,
-      metadata: this.extractMetadata(node, source, language)
-    };
+      this.compactMetadata(this.extractMetadata(node, source, language))
+    );
 
-    // Recursively process children
-    for (let i = 0; i < node.childCount; i++) {
-      const child = node.child(i);
-      if (child) {
-        normalized.children.push(this.normalizeAST(child, source, language));
+    const root = normalize(rootNode);
+    const stack = [[rootNode, root]];
+
+    while (stack.length > 0) {
+      const [node, normalized] = stack.pop();
+      for (let i = 0; i < node.childCount; i++) {
+        const child = node.child(i);
+        if (child) {
+          const normalizedChild = normalize(child);
+          normalized.children.push(normalizedChild);
+          stack.push([child, normalizedChild]);
+        }
       }
     }
 
-    return normalized;
+    return root;
+  }
+
+  // Most nodes have no metadata; they share one frozen object instead of seven fields each
+  compactMetadata(metadata) {
+    const empty = metadata.name === null &&
+      metadata.returnType === null &&
+      ['parameters', 'modifiers', 'annotations', 'imports', 'dependencies']
+        .every(key => Array.isArray(metadata[key]) && metadata[key].length === 0);
+
+    return empty ? EMPTY_METADATA : metadata;
   }
 
   extractMetadata(node, source, language) {
@@ -86,47 +193,201 @@ class ASTAnalyzer {
       case 'c':
       case 'cpp':
         return this.extractCMetadata(node, metadata);
-      // case 'csharp':
-      //   return this.extractCSharpMetadata(node, metadata);
+      case 'typescript':
+        return this.extractTypeScriptMetadata(node, metadata);
+      case 'csharp':
+        return this.extractCSharpMetadata(node, metadata);
       default:
         return metadata;
     }
   }
 
   extractJavaScriptMetadata(node, metadata) {
-    // Extract function names, parameters, imports
-    if (node.type === 'function_declaration' || node.type === 'function') {
-      const nameNode = node.childForFieldName('name');
+    // Extract functions, classes, methods, exports and imports (ES modules and CommonJS)
+    const declarationTypes = [
+      'function_declaration',
+      'generator_function_declaration',
+      'function',
+      'function_expression',
+      'class_declaration',
+      'class',
+      'method_definition'
+    ];
+
+    let signatureNode = null;
+    if (declarationTypes.includes(node.type)) {
+      const nameNode = this.getFieldNode(node, 'name');
       if (nameNode) metadata.name = nameNode.text;
-      
-      const paramsNode = node.childForFieldName('parameters');
+      signatureNode = node;
+
+      metadata.modifiers = this.extractJavaScriptModifiers(node, node.parent);
+      metadata.annotations = this.extractDecorators(node);
+    }
+
+    // const handler = async (event) => ...; const Model = class {}
+    if (node.type === 'variable_declarator') {
+      const valueNode = this.getFieldNode(node, 'value');
+      const valueTypes = ['arrow_function', 'function', 'function_expression', 'generator_function', 'class'];
+      if (valueNode && valueTypes.includes(valueNode.type)) {
+        const nameNode = this.getFieldNode(node, 'name');
+        if (nameNode) metadata.name = nameNode.text;
+        signatureNode = valueNode;
+
+        // export const handler = ... : the export statement wraps the whole declaration
+        metadata.modifiers = this.extractJavaScriptModifiers(valueNode, node.parent?.parent);
+      }
+    }
+
+    if (signatureNode) {
+      const paramsNode = this.getFieldNode(signatureNode, 'parameters') || this.getFieldNode(signatureNode, 'parameter');
       if (paramsNode) {
-        metadata.parameters = this.extractParameters(paramsNode);
+        // formal_parameters, or the bare identifier of `x => ...`
+        metadata.parameters = paramsNode.type === 'formal_parameters'
+          ? this.extractNamedChildren(paramsNode)
+          : [paramsNode.text];
+      }
+
+      for (let i = 0; i < signatureNode.childCount; i++) {
+        const child = signatureNode.child(i);
+        if (child.type === 'class_heritage') {
+          metadata.dependencies.push(...this.extractNamedChildren(child));
+        }
       }
     }
 
+    // Imports are named by module, so `require('x')` and `import ... from 'x'` pair up
     if (node.type === 'import_statement') {
+      const sourceNode = this.getFieldNode(node, 'source');
+      if (sourceNode) metadata.name = this.unquote(sourceNode.text);
       metadata.imports.push(node.text);
     }
 
+    if (node.type === 'call_expression') {
+      const functionNode = this.getFieldNode(node, 'function');
+      const argumentsNode = this.getFieldNode(node, 'arguments');
+      const moduleNode = argumentsNode?.namedChildCount > 0 ? argumentsNode.namedChild(0) : null;
+      if (functionNode?.text === 'require' && moduleNode?.type === 'string') {
+        metadata.name = this.unquote(moduleNode.text);
+        metadata.imports.push(node.text);
+      }
+    }
+
+    // export { handler as h }
+    if (node.type === 'export_specifier') {
+      const exportedNode = this.getFieldNode(node, 'alias') || this.getFieldNode(node, 'name');
+      if (exportedNode) metadata.name = exportedNode.text;
+      metadata.modifiers.push('export');
+    }
+
+    // export default someValue;
+    if (node.type === 'export_statement' && !this.getFieldNode(node, 'declaration') && this.hasChild(node, 'default')) {
+      metadata.name = 'default';
+      metadata.modifiers.push('export', 'default');
+    }
+
+    // module.exports = ..., exports.helper = ..., module.exports.helper = ...
+    if (node.type === 'assignment_expression') {
+      const target = this.getFieldNode(node, 'left')?.text || '';
+      const match = target.match(/^(?:module\.)?exports(?:\.([\w$]+))?$/);
+      if (match && (match[1] || target === 'module.exports')) {
+        metadata.name = match[1] || 'module.exports';
+        metadata.modifiers.push('export');
+      }
+    }
+
     return metadata;
   }
 
-  extractJavaMetadata(node, metadata) {
-    // Extract class names, method signatures, imports
-    if (node.type === 'class_declaration') {
-      const nameNode = node.childForFieldName('name');
-      if (nameNode) metadata.name = nameNode.text;
+  // Keywords on a declaration (static, async, get, set, *) plus export / default from
+  // the export statement that wraps it
+  extractJavaScriptModifiers(node, holder) {
+    const modifierTypes = ['static', 'async', 'get', 'set', '*'];
+    const modifiers = [];
+
+    for (let i = 0; i < node.childCount; i++) {
+      const child = node.child(i);
+      if (modifierTypes.includes(child.type)) modifiers.push(child.type === '*' ? 'generator' : child.type);
+      // `get`/`set` come before the name; past it they are the method's name
+      if (child.type === 'property_identifier' || child.type === 'formal_parameters') break;
     }
 
-    if (node.type === 'method_declaration') {
-      const nameNode = node.childForFieldName('name');
+    if (holder?.type === 'export_statement') {
+      modifiers.push('export');
+      if (this.hasChild(holder, 'default')) modifiers.push('default');
+    }
+
+    return modifiers;
+  }
+
+  hasChild(node, type) {
+    for (let i = 0; i < node.childCount; i++) {
+      if (node.child(i).type === type) return true;
+    }
+    return false;
+  }
+
+  extractNamedChildren(node) {
+    const texts = [];
+    for (let i = 0; i < node.namedChildCount; i++) {
+      const child = node.namedChild(i);
+      if (!this.isComment(child)) texts.push(child.text);
+    }
+    return texts;
+  }
+
+  unquote(text) {
+    return text.replace(/^(['"`])(.*)\1$/s, '$2');
+  }
+
+  extractJavaMetadata(node, metadata) {
+    // Extract types, members, modifiers, annotations, supertypes and imports
+    const declarationTypes = [
+      'class_declaration',
+      'interface_declaration',
+      'enum_declaration',
+      'record_declaration',
+      'annotation_type_declaration',
+      'method_declaration',
+      'constructor_declaration',
+      'field_declaration'
+    ];
+
+    if (declarationTypes.includes(node.type)) {
+      const nameNode = this.getFieldNode(node, 'name');
       if (nameNode) metadata.name = nameNode.text;
+
+      // private Repo repo, backup; -> "repo, backup"
+      if (node.type === 'field_declaration') {
+        const names = [];
+        for (let i = 0; i < node.namedChildCount; i++) {
+          const child = node.namedChild(i);
+          if (child.type === 'variable_declarator') names.push(this.getFieldNode(child, 'name')?.text || child.text);
+        }
+        metadata.name = names.join(', ') || null;
+      }
       
-      const paramsNode = node.childForFieldName('parameters');
+      const paramsNode = this.getFieldNode(node, 'parameters');
       if (paramsNode) {
         metadata.parameters = this.extractParameters(paramsNode);
       }
+
+      // Methods declare their return type, fields their value type
+      const typeNode = this.getFieldNode(node, 'type');
+      if (typeNode) metadata.returnType = typeNode.text;
+
+      for (let i = 0; i < node.childCount; i++) {
+        const child = node.child(i);
+        if (child.type === 'modifiers') {
+          // public static final ... and @Service, @Transactional(readOnly = true)
+          for (let j = 0; j < child.childCount; j++) {
+            const modifier = child.child(j);
+            if (modifier.type.endsWith('annotation')) metadata.annotations.push(modifier.text);
+            else metadata.modifiers.push(modifier.text);
+          }
+        } else if (['superclass', 'super_interfaces', 'extends_interfaces'].includes(child.type)) {
+          metadata.dependencies.push(...this.collectJavaTypes(child));
+        }
+      }
     }
 
     if (node.type === 'import_declaration') {
@@ -136,19 +397,62 @@ class ASTAnalyzer {
     return metadata;
   }
 
+  // extends Base<T> implements Api, Other<String> -> ['Base', 'Api', 'Other']
+  collectJavaTypes(node) {
+    const types = [];
+    for (let i = 0; i < node.namedChildCount; i++) {
+      const child = node.namedChild(i);
+      if (child.type === 'type_list') types.push(...this.collectJavaTypes(child));
+      else if (child.type === 'generic_type') types.push(child.namedChild(0).text);
+      else types.push(child.text);
+    }
+    return types;
+  }
+
   extractPythonMetadata(node, metadata) {
-    // Extract function names, parameters, imports
-    if (node.type === 'function_definition') {
-      const nameNode = node.childForFieldName('name');
+    // Extract functions, methods, classes, decorators, base classes and imports
+    if (node.type === 'function_definition' || node.type === 'class_definition') {
+      const nameNode = this.getFieldNode(node, 'name');
       if (nameNode) metadata.name = nameNode.text;
       
-      const paramsNode = node.childForFieldName('parameters');
+      const paramsNode = this.getFieldNode(node, 'parameters');
       if (paramsNode) {
-        metadata.parameters = this.extractParameters(paramsNode);
+        metadata.parameters = this.extractNamedChildren(paramsNode);
+      }
+
+      const returnTypeNode = this.getFieldNode(node, 'return_type');
+      if (returnTypeNode) metadata.returnType = returnTypeNode.text;
+
+      if (this.hasChild(node, 'async')) metadata.modifiers.push('async');
+
+      // class Service(Base, metaclass=Meta) depends on Base
+      const superclassesNode = this.getFieldNode(node, 'superclasses');
+      if (superclassesNode) {
+        for (let i = 0; i < superclassesNode.namedChildCount; i++) {
+          const base = superclassesNode.namedChild(i);
+          if (base.type !== 'keyword_argument') metadata.dependencies.push(base.text);
+        }
+      }
+
+      // Decorators live on the enclosing decorated_definition
+      if (node.parent?.type === 'decorated_definition') {
+        for (let i = 0; i < node.parent.namedChildCount; i++) {
+          const child = node.parent.namedChild(i);
+          if (child.type === 'decorator') metadata.annotations.push(child.text);
+        }
       }
     }
 
+    // Imports are named by module: `import os.path as p` -> os.path, `from .models import User` -> .models
     if (node.type === 'import_statement' || node.type === 'import_from_statement') {
+      const moduleNode = node.type === 'import_from_statement'
+        ? this.getFieldNode(node, 'module_name')
+        : this.getFieldNode(node, 'name') || node.namedChild(0); // first of several imported names
+      if (moduleNode) {
+        metadata.name = moduleNode.type === 'aliased_import'
+          ? this.getFieldNode(moduleNode, 'name')?.text || moduleNode.text
+          : moduleNode.text;
+      }
       metadata.imports.push(node.text);
     }
 
@@ -158,10 +462,10 @@ class ASTAnalyzer {
   extractCMetadata(node, metadata) {
     // Extract function names, parameters, includes
     if (node.type === 'function_definition') {
-      const nameNode = node.childForFieldName('declarator');
+      const nameNode = this.getFieldNode(node, 'declarator');
       if (nameNode) metadata.name = nameNode.text;
       
-      const paramsNode = node.childForFieldName('parameters');
+      const paramsNode = this.getFieldNode(node, 'parameters');
       if (paramsNode) {
         metadata.parameters = this.extractParameters(paramsNode);
       }
@@ -174,29 +478,179 @@ class ASTAnalyzer {
     return metadata;
   }
 
-  // extractCSharpMetadata(node, metadata) {
-  //   // Extract class names, method signatures, using statements
-  //   if (node.type === 'class_declaration') {
-  //     const nameNode = node.childForFieldName('name');
-  //     if (nameNode) metadata.name = nameNode.text;
-  //   }
-  //
-  //   if (node.type === 'method_declaration') {
-  //     const nameNode = node.childForFieldName('name');
-  //     if (nameNode) metadata.name = nameNode.text;
-  //     
-  //     const paramsNode = node.childForFieldName('parameters');
-  //     if (paramsNode) {
-  //       metadata.parameters = this.extractParameters(paramsNode);
-  //     }
-  //   }
-  //
-  //   if (node.type === 'using_directive') {
-  //     metadata.imports.push(node.text);
-  //   }
-  //
-  //   return metadata;
-  // }
+  extractTypeScriptMetadata(node, metadata) {
+    // Extract classes, interfaces, type aliases, typed signatures, decorators, imports
+    const declarationTypes = [
+      'class_declaration',
+      'abstract_class_declaration',
+      'interface_declaration',
+      'type_alias_declaration',
+      'enum_declaration',
+      'function_declaration',
+      'function_signature',
+      'method_definition',
+      'method_signature',
+      'abstract_method_signature',
+      'public_field_definition'
+    ];
+
+    let signatureNode = null;
+    if (declarationTypes.includes(node.type)) {
+      const nameNode = this.getFieldNode(node, 'name');
+      if (nameNode) metadata.name = nameNode.text;
+      signatureNode = node;
+
+      metadata.modifiers = this.extractTypeScriptModifiers(node);
+      metadata.annotations = this.extractDecorators(node);
+    }
+
+    // const handler = (req: Request): Response => ...
+    if (node.type === 'variable_declarator') {
+      const valueNode = this.getFieldNode(node, 'value');
+      if (valueNode && (valueNode.type === 'arrow_function' || valueNode.type === 'function')) {
+        const nameNode = this.getFieldNode(node, 'name');
+        if (nameNode) metadata.name = nameNode.text;
+        signatureNode = valueNode;
+      }
+    }
+
+    if (signatureNode) {
+      const paramsNode = this.getFieldNode(signatureNode, 'parameters');
+      if (paramsNode) {
+        metadata.parameters = this.extractParameters(paramsNode);
+      }
+
+      const returnTypeNode = this.getFieldNode(signatureNode, 'return_type');
+      if (returnTypeNode) metadata.returnType = returnTypeNode.text.replace(/^:\s*/, '');
+    }
+
+    // extends / implements targets
+    for (let i = 0; i < node.childCount; i++) {
+      const child = node.child(i);
+      if (child.type === 'class_heritage' || child.type === 'extends_type_clause') {
+        metadata.dependencies.push(...this.collectTypeNames(child));
+      }
+    }
+
+    if (node.type === 'import_statement') {
+      metadata.imports.push(node.text);
+    }
+
+    return metadata;
+  }
+
+  extractTypeScriptModifiers(node) {
+    const modifierTypes = ['accessibility_modifier', 'static', 'async', 'readonly', 'abstract', 'override', 'declare'];
+    const modifiers = [];
+
+    for (let i = 0; i < node.childCount; i++) {
+      const child = node.child(i);
+      if (modifierTypes.includes(child.type)) modifiers.push(child.text);
+    }
+    if (node.type === 'abstract_class_declaration') modifiers.push('abstract');
+    if (node.parent?.type === 'export_statement') modifiers.push('export');
+
+    return modifiers;
+  }
+
+  extractDecorators(node) {
+    const decorators = [];
+
+    // Decorators on the node itself (classes, fields) or on an enclosing export statement
+    const holders = [node];
+    if (node.parent?.type === 'export_statement') holders.push(node.parent);
+    holders.forEach(holder => {
+      for (let i = 0; i < holder.childCount; i++) {
+        const child = holder.child(i);
+        if (child.type === 'decorator') decorators.push(child.text);
+      }
+    });
+
+    // Method decorators are the class body members right before the method
+    let sibling = node.previousSibling;
+    while (sibling && sibling.type === 'decorator') {
+      decorators.unshift(sibling.text);
+      sibling = sibling.previousSibling;
+    }
+
+    return decorators;
+  }
+
+  collectTypeNames(node) {
+    if (node.type === 'type_identifier' || node.type === 'identifier') {
+      return [node.text];
+    }
+
+    const names = [];
+    for (let i = 0; i < node.namedChildCount; i++) {
+      const child = node.namedChild(i);
+      // Skip generic arguments: class A extends Base<Entity> depends on Base
+      if (child.type !== 'type_arguments') names.push(...this.collectTypeNames(child));
+    }
+    return names;
+  }
+
+  extractCSharpMetadata(node, metadata) {
+    // Extract types, members, attributes, using directives
+    const declarationTypes = [
+      'namespace_declaration',
+      'class_declaration',
+      'struct_declaration',
+      'interface_declaration',
+      'record_declaration',
+      'enum_declaration',
+      'method_declaration',
+      'constructor_declaration',
+      'property_declaration'
+    ];
+
+    if (declarationTypes.includes(node.type)) {
+      const nameNode = this.getFieldNode(node, 'name');
+      if (nameNode) metadata.name = nameNode.text;
+
+      const paramsNode = this.getFieldNode(node, 'parameters');
+      if (paramsNode) {
+        metadata.parameters = this.extractParameters(paramsNode);
+      }
+
+      // Methods declare their return type, properties their value type
+      const typeNode = this.getFieldNode(node, 'type');
+      if (typeNode) metadata.returnType = typeNode.text;
+
+      for (let i = 0; i < node.childCount; i++) {
+        const child = node.child(i);
+        if (child.type === 'modifier') {
+          metadata.modifiers.push(child.text);
+        } else if (child.type === 'attribute_list') {
+          // [HttpGet, Route("x")] -> ['HttpGet', 'Route("x")']
+          for (let j = 0; j < child.namedChildCount; j++) {
+            const attribute = child.namedChild(j);
+            if (attribute.type === 'attribute') metadata.annotations.push(attribute.text);
+          }
+        } else if (child.type === 'base_list') {
+          for (let j = 0; j < child.namedChildCount; j++) {
+            metadata.dependencies.push(child.namedChild(j).text);
+          }
+        }
+      }
+    }
+
+    if (node.type === 'using_directive') {
+      metadata.imports.push(node.text);
+    }
+
+    return metadata;
+  }
+
+  getFieldNode(node, fieldName) {
+    // tree-sitter 0.20 exposes fields as generated `<field>Node` getters
+    if (typeof node.childForFieldName === 'function') {
+      return node.childForFieldName(fieldName);
+    }
+
+    const getter = fieldName.replace(/_([a-z])/g, (_, c) => c.toUpperCase()) + 'Node';
+    return node[getter] || null;
+  }
 
   extractParameters(paramsNode) {
     const parameters = [];
@@ -224,47 +678,49 @@ class ASTAnalyzer {
       }
     });
 
-    // Then, try automatic mapping based on name similarity
+    // Then, try automatic mapping based on name similarity. An identical name is the best
+    // match there is, so those are looked up; only the others are compared with every node.
     const legacyNodes = this.collectNamedNodes(legacyAST);
     const refactoredNodes = this.collectNamedNodes(refactoredAST);
+    const refactoredByName = new Map();
+    refactoredNodes.forEach(node => {
+      if (!refactoredByName.has(node.metadata.name)) refactoredByName.set(node.metadata.name, node);
+    });
 
+    const unnamed = [];
     legacyNodes.forEach(legacyNode => {
-      if (!mappings.has(legacyNode)) {
+      if (mappings.has(legacyNode)) return;
+      const sameName = refactoredByName.get(legacyNode.metadata.name);
+      if (sameName) mappings.set(legacyNode, sameName);
+      else unnamed.push(legacyNode);
+    });
+
+    if (unnamed.length * refactoredNodes.length <= MAX_NAME_COMPARISONS) {
+      unnamed.forEach(legacyNode => {
         const bestMatch = this.findBestMatch(legacyNode, refactoredNodes);
         if (bestMatch && bestMatch.similarity > 0.7) {
           mappings.set(legacyNode, bestMatch.node);
         }
-      }
-    });
+      });
+    }
 
     return mappings;
   }
 
   findNodeByName(ast, name) {
-    if (ast.metadata?.name === name) {
-      return ast;
-    }
+    const stack = [ast];
 
-    for (const child of ast.children) {
-      const found = this.findNodeByName(child, name);
-      if (found) return found;
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.metadata?.name === name) return node;
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
     }
 
     return null;
   }
 
   collectNamedNodes(ast) {
-    const nodes = [];
-    
-    if (ast.metadata?.name) {
-      nodes.push(ast);
-    }
-
-    for (const child of ast.children) {
-      nodes.push(...this.collectNamedNodes(child));
-    }
-
-    return nodes;
+    return this.collectAllNodes(ast).filter(node => node.metadata?.name);
   }
 
   findBestMatch(targetNode, candidates) {
@@ -342,7 +798,12 @@ class ASTAnalyzer {
     return intersection.length / Math.max(arr1.length, arr2.length);
   }
 
-  async computeDiffs(legacyAST, refactoredAST, mappings) {
+  // Sizes, complexity and maintainability come from the original ASTs when the diffed ones
+  // had their formatting stripped, so they are the same with and without ignoreFormatting
+  async computeDiffs(legacyAST, refactoredAST, mappings, filePath = 'main', originals = {}) {
+    const legacyOriginal = originals.legacy || legacyAST;
+    const refactoredOriginal = originals.refactored || refactoredAST;
+
     const textDiffs = diff.diffLines(
       this.astToText(legacyAST),
       this.astToText(refactoredAST)
@@ -354,13 +815,13 @@ class ASTAnalyzer {
         nodesAdded: 0,
         nodesRemoved: 0,
         nodesModified: 0,
+        nodesMoved: 0,
         linesAdded: 0,
         linesRemoved: 0
       }
     };
 
     // Process text diffs for file-level changes
-    let currentFile = null;
     textDiffs.forEach(change => {
       if (change.added) {
         astDiffs.overall.linesAdded += change.count;
@@ -374,13 +835,37 @@ class ASTAnalyzer {
     astDiffs.overall.nodesAdded = astChanges.added.length;
     astDiffs.overall.nodesRemoved = astChanges.removed.length;
     astDiffs.overall.nodesModified = astChanges.modified.length;
+    astDiffs.overall.nodesMoved = astChanges.moved.length;
+
+    // Named elements (methods, paragraphs, ...) that are new, gone or changed, for the refactor
+    // classifier; changed ones carry facts such as "method renamed: total -> sum"
+    const namedNodes = nodes => nodes
+      .filter(node => node.metadata?.name)
+      .map(node => ({ type: node.type, metadata: { name: node.metadata.name }, filePath }));
+    astDiffs.overall.addedNodes = namedNodes(astChanges.added);
+    astDiffs.overall.removedNodes = namedNodes(astChanges.removed);
+    astDiffs.overall.modifiedNodes = astChanges.modified.map(({ legacy, refactored, changes }) => ({
+      type: refactored.type,
+      metadata: { name: refactored.metadata?.name || legacy.metadata?.name },
+      filePath,
+      changes
+    }));
 
     // Create file-level summaries
     astDiffs.files.push({
-      filePath: 'main',
+      filePath,
+      language: refactoredAST.language || legacyAST.language,
+      metrics: {
+        legacy: this.calculateFileMetrics(legacyOriginal),
+        refactored: this.calculateFileMetrics(refactoredOriginal)
+      },
+      complexity: this.complexityAnalyzer.compare(legacyOriginal, refactoredOriginal),
+      maintainability: this.maintainabilityAnalyzer.compare(legacyOriginal, refactoredOriginal),
+      renames: astChanges.renames,
       changes: {
-        textDiff: diff.createPatch('main', this.astToText(legacyAST), this.astToText(refactoredAST)),
+        textDiff: diff.createPatch(filePath, this.astToText(legacyAST), this.astToText(refactoredAST)),
         astDiffSummary: this.generateASTSummary(astChanges),
+        editScript: astChanges.editScript,
         impactScore: this.calculateImpactScore(astChanges),
         linesAdded: astDiffs.overall.linesAdded,
         linesRemoved: astDiffs.overall.linesRemoved,
@@ -391,89 +876,268 @@ class ASTAnalyzer {
     return astDiffs;
   }
 
-  astToText(ast) {
-    return ast.text;
+  // Size and language-specific element counts (classes, methods, paragraphs, ...) of one side of a file
+  calculateFileMetrics(ast) {
+    const elements = {};
+    let imports = 0;
+
+    this.collectAllNodes(ast).forEach(node => {
+      if (node.metadata?.name) elements[node.type] = (elements[node.type] || 0) + 1;
+      imports += node.metadata?.imports?.length || 0;
+    });
+
+    return {
+      lines: (ast.text || '').split('\n').filter(line => line.trim()).length,
+      elements,
+      imports
+    };
   }
 
-  computeASTChanges(legacyAST, refactoredAST, mappings) {
-    const changes = {
-      added: [],
-      removed: [],
-      modified: []
+  // Copy of an AST without comment nodes, the tokens formatters add or remove, and with
+  // whitespace collapsed, so reformatting and comment edits diff as no change. The root text
+  // becomes the canonical source.
+  stripFormatting(ast) {
+    const normalize = text => this.normalizeWhitespace(text);
+    const normalizeQuotes = text => this.normalizeQuotes(this.normalizeWhitespace(text));
+    const copy = node => {
+      const quoted = node.children.length === 0 && QUOTE_INSENSITIVE_LANGUAGES.includes(node.language);
+      return node.derive([], quoted ? normalizeQuotes : normalize);
     };
 
-    // Find nodes that exist in refactored but not in legacy (added)
-    this.findAddedNodes(legacyAST, refactoredAST, mappings, changes.added);
+    const stripped = copy(ast);
+    const stack = [[ast, null, stripped]];
+
+    while (stack.length > 0) {
+      const [node, parent, strippedNode] = stack.pop();
+      const dropped = this.formatterTokens(node, parent);
+      node.children
+        .filter(child => !this.isComment(child) && !dropped.has(child))
+        .forEach(child => {
+          const strippedChild = copy(child);
+          strippedNode.children.push(strippedChild);
+          stack.push([child, node, strippedChild]);
+        });
+    }
 
-    // Find nodes that exist in legacy but not in refactored (removed)
-    this.findRemovedNodes(legacyAST, refactoredAST, mappings, changes.removed);
+    stripped.text = this.canonicalSource(ast);
+    return stripped;
+  }
 
-    // Find nodes that exist in both but are modified
-    this.findModifiedNodes(legacyAST, refactoredAST, mappings, changes.modified);
+  // Whether two versions differ in code, only in comments, or only in formatting,
+  // and how many changed lines are down to comments and to formatting
+  compareFormatting(legacyAST, refactoredAST) {
+    const comments = ast => this.collectAllNodes(ast)
+      .filter(node => this.isComment(node))
+      .map(node => this.normalizeWhitespace(node.text))
+      .join('\u0000');
 
-    return changes;
+    const legacyCanonical = this.canonicalSource(legacyAST);
+    const refactoredCanonical = this.canonicalSource(refactoredAST);
+
+    let kind = 'code';
+    if (legacyCanonical === refactoredCanonical) {
+      kind = comments(legacyAST) === comments(refactoredAST) ? 'formatting' : 'comments';
+    }
+
+    const raw = this.countChangedLines(legacyAST.text, refactoredAST.text);
+    const withoutComments = this.countChangedLines(this.removeComments(legacyAST), this.removeComments(refactoredAST));
+    const canonical = this.countChangedLines(legacyCanonical, refactoredCanonical);
+
+    return {
+      kind,
+      commentLines: Math.max(raw - withoutComments, 0),
+      formattingLines: Math.max(withoutComments - canonical, 0)
+    };
   }
 
-  findAddedNodes(legacyAST, refactoredAST, mappings, added) {
-    const legacyNodes = this.collectAllNodes(legacyAST);
-    const refactoredNodes = this.collectAllNodes(refactoredAST);
+  isComment(node) {
+    // comment, line_comment, block_comment, ...
+    return /comment/.test(node.type);
+  }
 
-    refactoredNodes.forEach(refactoredNode => {
-      const isMapped = Array.from(mappings.values()).includes(refactoredNode);
-      const hasEquivalent = legacyNodes.some(legacyNode => 
-        this.areNodesEquivalent(legacyNode, refactoredNode)
-      );
+  normalizeWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
 
-      if (!isMapped && !hasEquivalent) {
-        added.push(refactoredNode);
-      }
+  // Children that formatters add or remove without changing the code: statement-ending
+  // semicolons, trailing commas, and parentheses around a whole right-hand side, return
+  // value or condition, or around the only parameter of an arrow function
+  formatterTokens(node, parent) {
+    const dropped = new Set();
+    const { children } = node;
+    if (children.length === 0 || this.frontEnds.has(node.language)) return dropped;
+
+    // (x,) is a one-element tuple, not (x) with a trailing comma
+    const singleTuple = node.type === 'tuple' &&
+      children.filter(child => !['(', ')', ','].includes(child.type)).length === 1;
+
+    children.forEach((child, index) => {
+      const next = children[index + 1];
+      if (child.type === ';' && index > 0 && index === children.length - 1) dropped.add(child);
+      if (child.type === ',' && next && /^[)\]}]$/.test(next.type) && !singleTuple) dropped.add(child);
     });
+
+    const first = children[0];
+    const last = children[children.length - 1];
+    const wrapping = node.type === 'parenthesized_expression' && parent && WRAPPING_PARENTS.test(parent.type);
+    const loneParameter = node.type === 'formal_parameters' && parent?.type === 'arrow_function' && children.length === 3;
+    if ((wrapping || loneParameter) && first.type === '(' && last.type === ')') {
+      dropped.add(first);
+      dropped.add(last);
+    }
+
+    return dropped;
   }
 
-  findRemovedNodes(legacyAST, refactoredAST, mappings, removed) {
-    const legacyNodes = this.collectAllNodes(legacyAST);
-    const refactoredNodes = this.collectAllNodes(refactoredAST);
+  // Python and JavaScript quote tokens (', ''', f', ...) in their double-quoted form
+  normalizeQuotes(token) {
+    return /^[a-z]*('|''')$/i.test(token) ? token.replace(/'/g, '"') : token;
+  }
 
-    legacyNodes.forEach(legacyNode => {
-      const isMapped = mappings.has(legacyNode);
-      const hasEquivalent = refactoredNodes.some(refactoredNode => 
-        this.areNodesEquivalent(legacyNode, refactoredNode)
-      );
+  // Source with comments cut out; lines that held nothing but a comment are dropped
+  removeComments(ast) {
+    const source = ast.text || '';
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    let result = source;
+    const commentRows = new Set();
+    this.collectAllNodes(ast)
+      .filter(node => this.isComment(node) && node.text)
+      .forEach(node => {
+        // Positions may count bytes, so find the comment text from its starting line
+        const start = result.indexOf(node.text, lineStarts[node.startPosition.row] || 0);
+        if (start === -1) return;
+        result = result.slice(0, start) + node.text.replace(/[^\n]/g, '') + result.slice(start + node.text.length);
+        for (let row = node.startPosition.row; row <= node.endPosition.row; row++) commentRows.add(row);
+      });
+
+    return result
+      .split('\n')
+      .filter((line, row) => !commentRows.has(row) || line.trim())
+      .join('\n');
+  }
+
+  // The code as formatters leave it: comments and the tokens formatters add or remove taken
+  // out, and one statement per line whatever the original line breaks, so reflowed,
+  // re-indented and re-wrapped code comes out the same
+  canonicalSource(ast) {
+    const lines = [];
+    let line = [];
+    const breakLine = () => {
+      if (line.length > 0) lines.push(line.join(' '));
+      line = [];
+    };
+
+    const stack = [[ast, null]];
+    while (stack.length > 0) {
+      const [node, parent] = stack.pop();
+      if (this.isComment(node)) continue;
 
-      if (!isMapped && !hasEquivalent) {
-        removed.push(legacyNode);
+      if (node !== ast && (STATEMENT_PATTERN.test(node.type) || this.frontEnds.has(node.language))) {
+        breakLine();
       }
-    });
+
+      if (node.children.length === 0) {
+        let token = this.normalizeWhitespace(node.text);
+        if (QUOTE_INSENSITIVE_LANGUAGES.includes(node.language)) token = this.normalizeQuotes(token);
+        if (token === '}') breakLine();
+        if (token) line.push(token);
+        if (token === '{' || token === '}') breakLine();
+      }
+
+      const dropped = this.formatterTokens(node, parent);
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        if (!dropped.has(node.children[i])) stack.push([node.children[i], node]);
+      }
+    }
+    breakLine();
+
+    return lines.join('\n');
   }
 
-  findModifiedNodes(legacyAST, refactoredAST, mappings, modified) {
-    mappings.forEach((refactoredNode, legacyNode) => {
-      if (!this.areNodesEquivalent(legacyNode, refactoredNode)) {
-        modified.push({
-          legacy: legacyNode,
-          refactored: refactoredNode,
-          changes: this.getNodeChanges(legacyNode, refactoredNode)
-        });
+  countChangedLines(text1, text2) {
+    return diff.diffLines(text1 || '', text2 || '')
+      .filter(change => change.added || change.removed)
+      .reduce((sum, change) => sum + change.count, 0);
+  }
+
+  mergeDiffs(fileDiffs) {
+    const merged = {
+      files: [],
+      overall: {
+        nodesAdded: 0,
+        nodesRemoved: 0,
+        nodesModified: 0,
+        nodesMoved: 0,
+        linesAdded: 0,
+        linesRemoved: 0,
+        addedNodes: [],
+        removedNodes: [],
+        modifiedNodes: []
       }
+    };
+
+    fileDiffs.forEach(fileDiff => {
+      merged.files.push(...fileDiff.files);
+      Object.keys(merged.overall).forEach(key => {
+        if (Array.isArray(merged.overall[key])) {
+          merged.overall[key].push(...(fileDiff.overall[key] || []));
+        } else {
+          merged.overall[key] += fileDiff.overall[key] || 0;
+        }
+      });
     });
+
+    return merged;
   }
 
+  astToText(ast) {
+    return ast.text;
+  }
+
+  computeASTChanges(legacyAST, refactoredAST, mappings) {
+    // Element mappings seed the tree matcher, which maps everything else
+    const script = this.treeDiffer.diff(legacyAST, refactoredAST, mappings);
+
+    // Mapped named elements (classes, methods, ...) whose content changed, plus elements
+    // that became another kind of node (require() -> import, function -> arrow function)
+    const changed = script.matches.filter(match => !match.identical && match.legacy.metadata?.name);
+    mappings.forEach((refactored, legacy) => {
+      if (legacy.type !== refactored.type) changed.push({ legacy, refactored });
+    });
+
+    return {
+      added: script.inserted,
+      removed: script.deleted,
+      modified: changed.map(match => ({
+        legacy: match.legacy,
+        refactored: match.refactored,
+        changes: this.getNodeChanges(match.legacy, match.refactored)
+      })),
+      moved: script.moved,
+      updated: script.updated,
+      renames: this.renameDetector.detect(legacyAST, refactoredAST, script.matches),
+      editScript: script.actions
+    };
+  }
+
+  // Preorder, with an explicit stack
   collectAllNodes(ast) {
-    const nodes = [ast];
-    
-    for (const child of ast.children) {
-      nodes.push(...this.collectAllNodes(child));
+    const nodes = [];
+    const stack = [ast];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      nodes.push(node);
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
     }
 
     return nodes;
   }
 
-  areNodesEquivalent(node1, node2) {
-    return node1.type === node2.type && 
-           node1.text === node2.text &&
-           JSON.stringify(node1.metadata) === JSON.stringify(node2.metadata);
-  }
-
   getNodeChanges(node1, node2) {
     const changes = [];
     
@@ -489,12 +1153,75 @@ class ASTAnalyzer {
     const metadata2 = node2.metadata || {};
     
     if (JSON.stringify(metadata1) !== JSON.stringify(metadata2)) {
-      changes.push('Metadata changed');
+      const facts = this.describeMetadataChanges(node2.type, metadata1, metadata2);
+      changes.push(...(facts.length > 0 ? facts : ['Metadata changed']));
     }
 
     return changes;
   }
 
+  // Concrete facts such as "method made public" or "@Transactional removed"
+  describeMetadataChanges(nodeType, metadata1, metadata2) {
+    const facts = [];
+    const kind = nodeType.replace(/_(declaration|definition|declarator)$/, '').replace(/_/g, ' ');
+    const visibilities = ['public', 'protected', 'private', 'internal'];
+
+    if (metadata1.name && metadata2.name && metadata1.name !== metadata2.name) {
+      facts.push(`${kind} renamed: ${metadata1.name} -> ${metadata2.name}`);
+    }
+
+    const modifiers1 = metadata1.modifiers || [];
+    const modifiers2 = metadata2.modifiers || [];
+    const visibility1 = modifiers1.filter(modifier => visibilities.includes(modifier)).join(' ');
+    const visibility2 = modifiers2.filter(modifier => visibilities.includes(modifier)).join(' ');
+    if (visibility1 !== visibility2) {
+      facts.push(visibility2 ? `${kind} made ${visibility2}` : `${kind} no longer ${visibility1}`);
+    }
+    modifiers2
+      .filter(modifier => !visibilities.includes(modifier) && !modifiers1.includes(modifier))
+      .forEach(modifier => facts.push(`${kind} made ${modifier}`));
+    modifiers1
+      .filter(modifier => !visibilities.includes(modifier) && !modifiers2.includes(modifier))
+      .forEach(modifier => facts.push(`${kind} no longer ${modifier}`));
+
+    // Annotations compare by name; a changed argument list is a change, not a removal
+    const annotationName = annotation => annotation.replace(/\(.*$/s, '').trim();
+    const annotations1 = new Map((metadata1.annotations || []).map(annotation => [annotationName(annotation), annotation]));
+    const annotations2 = new Map((metadata2.annotations || []).map(annotation => [annotationName(annotation), annotation]));
+    annotations2.forEach((annotation, name) => {
+      if (!annotations1.has(name)) facts.push(`${name} added`);
+      else if (annotations1.get(name) !== annotation) facts.push(`${name} changed: ${annotations1.get(name)} -> ${annotation}`);
+    });
+    annotations1.forEach((annotation, name) => {
+      if (!annotations2.has(name)) facts.push(`${name} removed`);
+    });
+
+    if ((metadata1.returnType || null) !== (metadata2.returnType || null)) {
+      const label = metadata2.parameters?.length || metadata1.parameters?.length || /method|function/.test(kind)
+        ? 'return type'
+        : 'type';
+      facts.push(`${kind} ${label} changed: ${metadata1.returnType || 'none'} -> ${metadata2.returnType || 'none'}`);
+    }
+
+    if (JSON.stringify(metadata1.parameters || []) !== JSON.stringify(metadata2.parameters || [])) {
+      facts.push(`${kind} parameters changed: (${(metadata1.parameters || []).join(', ')}) -> (${(metadata2.parameters || []).join(', ')})`);
+    }
+
+    const dependencies1 = metadata1.dependencies || [];
+    const dependencies2 = metadata2.dependencies || [];
+    dependencies2.filter(dependency => !dependencies1.includes(dependency))
+      .forEach(dependency => facts.push(`${kind} now depends on ${dependency}`));
+    dependencies1.filter(dependency => !dependencies2.includes(dependency))
+      .forEach(dependency => facts.push(`${kind} no longer depends on ${dependency}`));
+
+    const imports1 = metadata1.imports || [];
+    const imports2 = metadata2.imports || [];
+    imports2.filter(item => !imports1.includes(item)).forEach(item => facts.push(`Import added: ${item}`));
+    imports1.filter(item => !imports2.includes(item)).forEach(item => facts.push(`Import removed: ${item}`));
+
+    return facts;
+  }
+
   generateASTSummary(changes) {
     const summary = [];
     
@@ -510,6 +1237,10 @@ class ASTAnalyzer {
       summary.push(`${changes.modified.length} nodes modified`);
     }
 
+    if (changes.moved.length > 0) {
+      summary.push(`${changes.moved.length} nodes moved`);
+    }
+
     return summary.join(', ');
   }
 
@@ -517,12 +1248,14 @@ class ASTAnalyzer {
     const weights = {
       added: 2,
       removed: 3,
-      modified: 1
+      modified: 1,
+      moved: 1
     };
 
     const score = (changes.added.length * weights.added) +
                   (changes.removed.length * weights.removed) +
-                  (changes.modified.length * weights.modified);
+                  (changes.modified.length * weights.modified) +
+                  (changes.moved.length * weights.moved);
 
     return Math.min(score, 100); // Cap at 100
   }
@@ -0,0 +1,57 @@
+// Node of a normalized AST. Nodes do not hold their text: all nodes of a tree share one
+// source string and keep their offsets into it, and the text is sliced out on access, so a
+// tree takes memory in proportion to its node count rather than to source size times depth.
+class ASTNode {
+  constructor(type, source, startIndex, endIndex, startPosition, endPosition, language, metadata) {
+    this.type = type;
+    this.source = source;
+    this.startIndex = startIndex;
+    this.endIndex = endIndex;
+    this.startPosition = startPosition;
+    this.endPosition = endPosition;
+    this.children = [];
+    this.language = language;
+    this.metadata = metadata;
+    this.ownText = null; // Text that is not a slice of the source, once assigned
+    this.transform = null; // Applied to the sliced text, e.g. to collapse whitespace
+  }
+
+  get text() {
+    if (this.ownText !== null) return this.ownText;
+    const text = this.source.slice(this.startIndex, this.endIndex);
+    return this.transform ? this.transform(text) : text;
+  }
+
+  set text(text) {
+    this.ownText = text;
+  }
+
+  // Same node over the same source with other children and its text further passed through transform
+  derive(children, transform) {
+    const node = new ASTNode(
+      this.type,
+      this.source,
+      this.startIndex,
+      this.endIndex,
+      this.startPosition,
+      this.endPosition,
+      this.language,
+      this.metadata
+    );
+    node.children = children;
+    if (this.ownText !== null) {
+      node.ownText = transform(this.ownText);
+    } else {
+      node.transform = this.transform ? text => transform(this.transform(text)) : transform;
+    }
+    return node;
+  }
+
+  // Serialized nodes carry their own text instead of the shared source
+  toJSON() {
+    const { type, text, startPosition, endPosition, children, language, metadata } = this;
+    return { type, text, startPosition, endPosition, children, language, metadata };
+  }
+}
+
+module.exports = { ASTNode };
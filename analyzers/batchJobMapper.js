@@ -0,0 +1,181 @@
+const path = require('path');
+
+// Refactored code that typically takes over a batch job, most specific first
+const REPLACEMENT_PATTERNS = [
+  {
+    kind: 'lambda',
+    pattern: /exports\.handler\s*=|export\s+(const|async\s+function|function)\s+handler\b|def\s+(lambda_)?handler\s*\(\s*event\s*,\s*context|implements\s+RequestHandler<|AWS::Serverless::Function|AWS::Lambda::Function|resource\s+"aws_lambda_function"/
+  },
+  {
+    kind: 'batch',
+    pattern: /@EnableBatchProcessing|\b(JobBuilder|StepBuilder)(Factory)?\b|\bItem(Reader|Processor|Writer)</
+  },
+  {
+    kind: 'scheduled',
+    pattern: /@Scheduled\s*\(|@EnableScheduling|\bcron\.schedule\s*\(|\bschedule\.every\(|\.add_job\s*\(|@scheduled_job|RecurringJob\.AddOrUpdate|kind:\s*CronJob|ScheduleExpression|schedule_expression|\bimplements\s+Job\b/
+  }
+];
+
+const SCHEDULE_PATTERNS = [
+  /cron\s*=\s*["']([^"']+)["']/,
+  /\b((?:cron|rate)\([^)]*\))/,
+  /schedule:\s*["']?([^"'\n]+)/,
+  /cron\.schedule\(\s*["']([^"']+)["']/
+];
+
+// Utility programs run by many jobs say nothing about where a job went
+const SYSTEM_PROGRAMS = new Set([
+  'IEFBR14', 'IEBGENER', 'IEBCOPY', 'IDCAMS', 'SORT', 'DFSORT', 'ICETOOL', 'ICEMAN', 'SYNCSORT',
+  'IKJEFT01', 'IKJEFT1B', 'DSNUTILB', 'ADRDSSU', 'IEHLIST', 'IEBUPDTE'
+]);
+
+class BatchJobMapper {
+  constructor(astAnalyzer) {
+    this.astAnalyzer = astAnalyzer;
+    this.threshold = 0.5;
+  }
+
+  // Map every legacy batch job (and its steps) to the refactored code that replaces it. Jobs
+  // come from collectJobs() on the JCL files of each side.
+  map(legacyJobs, refactoredJobs, allPairs) {
+    const replacements = allPairs
+      .filter(pair => pair.refactored)
+      .map(pair => this.detectReplacement(pair.refactoredPath || pair.filePath, pair.refactored))
+      .filter(Boolean);
+
+    const retainedJobs = new Set(refactoredJobs.map(job => job.name));
+    return legacyJobs.map(job => this.mapJob(job, replacements, retainedJobs.has(job.name)));
+  }
+
+  collectJobs(ast, filePath) {
+    return ast.children
+      .filter(node => node.type === 'job' || node.type === 'procedure')
+      .map(node => ({
+        name: node.metadata.name,
+        filePath,
+        steps: node.children
+          .filter(child => child.type === 'step')
+          .map(step => ({
+            name: step.metadata.name,
+            program: step.metadata.dependencies[0] || null,
+            datasets: step.children
+              .filter(child => child.type === 'dd_statement')
+              .flatMap(dd => dd.metadata.dependencies)
+          }))
+      }));
+  }
+
+  detectReplacement(filePath, content) {
+    const match = REPLACEMENT_PATTERNS.find(({ pattern }) => pattern.test(content));
+    if (!match) return null;
+
+    const schedule = SCHEDULE_PATTERNS.map(pattern => content.match(pattern)).find(Boolean);
+    const name = path.posix.basename(filePath).replace(/\.[^.]+$/, '');
+
+    return {
+      kind: match.kind,
+      name,
+      filePath,
+      schedule: schedule ? schedule[1].trim() : null,
+      tokens: this.tokenize(`${path.posix.dirname(filePath)} ${name}`),
+      content: content.toUpperCase()
+    };
+  }
+
+  mapJob(job, replacements, retained) {
+    const steps = job.steps.map(step => {
+      const best = this.bestReplacement([step.program, step.name], replacements);
+      return {
+        step: step.name,
+        program: step.program,
+        datasets: step.datasets,
+        replacement: best ? this.describe(best.replacement) : null
+      };
+    });
+
+    const best = this.bestReplacement([job.name], replacements);
+    const migratedSteps = steps.filter(step => step.replacement).length;
+
+    let status = 'unmigrated';
+    if (best || (steps.length > 0 && migratedSteps === steps.length)) status = 'migrated';
+    else if (migratedSteps > 0) status = 'partial';
+    else if (retained) status = 'retained';
+
+    return {
+      job: job.name,
+      filePath: job.filePath,
+      steps,
+      replacement: best ? this.describe(best.replacement) : null,
+      confidence: best ? Math.round(best.score * 100) / 100 : 0,
+      status
+    };
+  }
+
+  bestReplacement(names, replacements) {
+    let best = null;
+
+    names
+      .filter(name => name && !SYSTEM_PROGRAMS.has(name) && !/^STEP\d*$/i.test(name))
+      .forEach(name => {
+        replacements.forEach(replacement => {
+          const score = this.matchScore(name, replacement);
+          if (score >= this.threshold && (!best || score > best.score)) {
+            best = { replacement, score };
+          }
+        });
+      });
+
+    return best;
+  }
+
+  matchScore(legacyName, replacement) {
+    const escaped = legacyName.toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // Replacement code that names the job or program ("replaces CUSTUPD")
+    if (new RegExp(`(^|[^\\w-])${escaped}([^\\w-]|$)`).test(replacement.content)) return 0.9;
+
+    const legacyTokens = this.tokenize(legacyName);
+    const shared = legacyTokens.filter(token => replacement.tokens.includes(token)).length;
+    const overlap = (2 * shared) / (legacyTokens.length + replacement.tokens.length || 1);
+
+    // Eight-character mainframe names abbreviate the new ones: CUSTUPD -> CustomerUpdate
+    const abbreviation = this.abbreviates(legacyName.replace(/[^a-z0-9]/gi, ''), replacement.name.replace(/[^a-z0-9]/gi, ''))
+      ? 0.6
+      : 0;
+
+    return Math.max(overlap, abbreviation);
+  }
+
+  abbreviates(short, long) {
+    const abbreviation = short.toLowerCase();
+    const full = long.toLowerCase();
+    if (abbreviation.length < 4 || abbreviation[0] !== full[0]) return false;
+
+    let position = 0;
+    for (const char of abbreviation) {
+      position = full.indexOf(char, position);
+      if (position === -1) return false;
+      position++;
+    }
+    return true;
+  }
+
+  tokenize(text) {
+    return text
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1);
+  }
+
+  describe(replacement) {
+    return {
+      kind: replacement.kind,
+      name: replacement.name,
+      filePath: replacement.filePath,
+      schedule: replacement.schedule
+    };
+  }
+}
+
+module.exports = { BatchJobMapper };
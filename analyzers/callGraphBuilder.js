@@ -0,0 +1,227 @@
+const { UNIT_KINDS, CALL_TYPES } = require('./crossLanguageMapper');
+
+// Units that PERFORM / CALL others through their statements rather than call expressions
+const PROCEDURAL_TYPES = ['paragraph', 'section', 'procedure'];
+
+// Calls made outside any function (module-level code, scripts) belong to this unit
+const MODULE_UNIT = '<module>';
+
+class CallGraphBuilder {
+  constructor(astAnalyzer) {
+    this.astAnalyzer = astAnalyzer;
+  }
+
+  // Call graph of one side ('legacy' or 'refactored') from the units collectUnits() found in
+  // each of its files. Units are identified by the pair's path so moved files keep their identity.
+  build(files) {
+    const units = new Map();
+    files.forEach(fileUnits => fileUnits.forEach(unit => units.set(unit.id, { ...unit, calls: new Set(unit.calls) })));
+
+    return { units, edges: this.resolveEdges(units) };
+  }
+
+  // Units of one file with the names they call, as plain data that can leave the worker
+  collectUnits(ast, filePath, language) {
+    const units = new Map();
+    const unitFor = (id, name, container) => {
+      if (!units.has(id)) {
+        units.set(id, { id, name, container, filePath, language, calls: new Set() });
+      }
+      return units.get(id);
+    };
+
+    const stack = [[ast, null, []]];
+    while (stack.length > 0) {
+      let [node, owner, containers] = stack.pop();
+
+      // Only the procedure division of a COBOL program holds code
+      if (node.type === 'division' && node.metadata.name !== 'PROCEDURE') continue;
+
+      const kind = UNIT_KINDS[node.type];
+      const name = node.metadata?.name;
+      if (kind === 'type' && name) {
+        containers = [...containers, name];
+      } else if (kind === 'callable' && name) {
+        // Overloads share one unit
+        owner = unitFor(`${filePath}:${[...containers, name].join('.')}`, name, containers.join('.'));
+      }
+
+      const calls = [];
+      if (PROCEDURAL_TYPES.includes(node.type) || /_statement$/.test(node.type)) {
+        calls.push(...(node.metadata?.dependencies || []));
+      }
+      if (CALL_TYPES.includes(node.type)) {
+        const argumentsIndex = node.children.findIndex(child => /^(argument_list|arguments)$/.test(child.type));
+        const callee = node.children[argumentsIndex - 1];
+        const match = callee && callee.text.match(/[\w$]+$/);
+        if (match) calls.push(match[0]);
+      }
+
+      if (calls.length > 0) {
+        const caller = owner || unitFor(`${filePath}:${MODULE_UNIT}`, MODULE_UNIT, '');
+        calls.forEach(call => caller.calls.add(call.toLowerCase()));
+      }
+
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push([node.children[i], owner, containers]);
+    }
+
+    return [...units.values()].map(unit => ({ ...unit, calls: [...unit.calls] }));
+  }
+
+  // A call resolves to the unit of that name in the caller's own class, then its own file,
+  // then the only one in the language. Ambiguous and library calls are left out.
+  resolveEdges(units) {
+    const byName = new Map();
+    units.forEach(unit => {
+      if (unit.name === MODULE_UNIT) return;
+      const key = `${unit.language}:${unit.name.toLowerCase()}`;
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(unit);
+    });
+
+    const edges = new Map();
+    units.forEach(caller => {
+      caller.calls.forEach(name => {
+        const candidates = byName.get(`${caller.language}:${name}`) || [];
+        const sameFile = candidates.filter(unit => unit.filePath === caller.filePath);
+        const sameContainer = sameFile.filter(unit => unit.container === caller.container);
+
+        const callee = [sameContainer, sameFile, candidates].find(group => group.length > 0);
+        if (!callee || callee.length > 1) return;
+
+        edges.set(`${caller.id} -> ${callee[0].id}`, {
+          caller: caller.id,
+          callee: callee[0].id,
+          language: caller.language,
+          crossFile: caller.filePath !== callee[0].filePath
+        });
+      });
+    });
+
+    return edges;
+  }
+
+  diff(legacyGraph, refactoredGraph) {
+    const edgesAdded = [...refactoredGraph.edges].filter(([key]) => !legacyGraph.edges.has(key)).map(([, edge]) => edge);
+    const edgesRemoved = [...legacyGraph.edges].filter(([key]) => !refactoredGraph.edges.has(key)).map(([, edge]) => edge);
+
+    const legacyFan = this.fan(legacyGraph);
+    const refactoredFan = this.fan(refactoredGraph);
+    const fanChanges = [];
+    refactoredGraph.units.forEach((unit, id) => {
+      const before = legacyFan.get(id);
+      const after = refactoredFan.get(id);
+      if (!before || (before.fanIn === after.fanIn && before.fanOut === after.fanOut)) return;
+      fanChanges.push({
+        unit: id,
+        fanIn: { legacy: before.fanIn, refactored: after.fanIn },
+        fanOut: { legacy: before.fanOut, refactored: after.fanOut }
+      });
+    });
+
+    const legacyCycles = this.findCycles(legacyGraph);
+    const refactoredCycles = this.findCycles(refactoredGraph);
+    const legacyKeys = new Set(legacyCycles.map(cycle => cycle.join('|')));
+    const refactoredKeys = new Set(refactoredCycles.map(cycle => cycle.join('|')));
+
+    return {
+      summary: {
+        legacy: this.summarize(legacyGraph, legacyCycles),
+        refactored: this.summarize(refactoredGraph, refactoredCycles)
+      },
+      edgesAdded,
+      edgesRemoved,
+      fanChanges,
+      newCycles: refactoredCycles.filter(cycle => !legacyKeys.has(cycle.join('|'))),
+      resolvedCycles: legacyCycles.filter(cycle => !refactoredKeys.has(cycle.join('|')))
+    };
+  }
+
+  fan(graph) {
+    const fan = new Map();
+    graph.units.forEach((unit, id) => fan.set(id, { fanIn: 0, fanOut: 0 }));
+    graph.edges.forEach(edge => {
+      fan.get(edge.caller).fanOut++;
+      fan.get(edge.callee).fanIn++;
+    });
+    return fan;
+  }
+
+  summarize(graph, cycles) {
+    const edges = [...graph.edges.values()];
+    return {
+      units: graph.units.size,
+      edges: edges.length,
+      crossFileEdges: edges.filter(edge => edge.crossFile).length,
+      cycles: cycles.length
+    };
+  }
+
+  // Strongly connected components with more than one unit, or a unit calling itself,
+  // found with an iterative Tarjan so deep call chains cannot overflow the stack
+  findCycles(graph) {
+    const successors = new Map();
+    graph.units.forEach((unit, id) => successors.set(id, []));
+    graph.edges.forEach(edge => successors.get(edge.caller).push(edge.callee));
+
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    successors.forEach((_, root) => {
+      if (index.has(root)) return;
+
+      const work = [{ id: root, next: 0 }];
+      index.set(root, counter);
+      lowLink.set(root, counter++);
+      stack.push(root);
+      onStack.add(root);
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const targets = successors.get(frame.id);
+
+        if (frame.next < targets.length) {
+          const target = targets[frame.next++];
+          if (!index.has(target)) {
+            index.set(target, counter);
+            lowLink.set(target, counter++);
+            stack.push(target);
+            onStack.add(target);
+            work.push({ id: target, next: 0 });
+          } else if (onStack.has(target)) {
+            lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(target)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].id;
+          lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.id)));
+        }
+
+        if (lowLink.get(frame.id) === index.get(frame.id)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.id);
+
+          if (component.length > 1 || targets.includes(frame.id)) {
+            cycles.push(component.sort());
+          }
+        }
+      }
+    });
+
+    return cycles;
+  }
+}
+
+module.exports = { CallGraphBuilder };
@@ -0,0 +1,324 @@
+// Finds duplicated code on one side of an analysis: identical subtrees (with names and
+// literals abstracted away) and, for duplicates that do not line up with a subtree,
+// matching windows of tokens
+
+// String nodes are one token, whatever they interpolate
+const STRING_TYPES = [
+  'string',
+  'template_string',
+  'string_literal',
+  'char_literal',
+  'character_literal',
+  'raw_string_literal',
+  'verbatim_string_literal',
+  'interpolated_string_expression'
+];
+
+const LITERAL_PATTERN = /literal$|^(number|integer|float|true|false|none|null|undefined)$/;
+
+const FRONT_END_LANGUAGES = ['cobol', 'pli', 'jcl'];
+
+// Clones listed per side; counts and percentages always cover all of them
+const MAX_REPORTED = 100;
+
+// Rolling hash of token windows
+const BASE = 131;
+const MODULUS = 1000000007;
+
+class CloneDetector {
+  constructor(astAnalyzer) {
+    this.astAnalyzer = astAnalyzer;
+    this.minTokens = 40;
+    this.minLines = 4;
+  }
+
+  // Clones among the files of one side, from the index indexFile() made of each
+  detect(indexes) {
+    const files = indexes.map(index => ({
+      ...index,
+      codeRows: new Set(index.tokens.map(token => token.row)),
+      covered: new Uint8Array(index.tokens.length)
+    }));
+
+    const subtreeClones = this.findSubtreeClones(files);
+    const tokenClones = this.findTokenClones(files);
+    const clones = [...subtreeClones, ...tokenClones].sort((a, b) => b.tokens - a.tokens);
+
+    const totalLines = files.reduce((sum, file) => sum + file.codeRows.size, 0);
+    const duplicatedLines = this.countDuplicatedLines(files, clones);
+
+    return {
+      totalLines,
+      duplicatedLines,
+      percentage: totalLines > 0 ? Math.round((duplicatedLines / totalLines) * 10000) / 100 : 0,
+      clones
+    };
+  }
+
+  compare(legacy, refactored) {
+    const legacyFingerprints = new Set(legacy.clones.map(clone => clone.fingerprint));
+    const refactoredFingerprints = new Set(refactored.clones.map(clone => clone.fingerprint));
+    const summarize = report => ({
+      totalLines: report.totalLines,
+      duplicatedLines: report.duplicatedLines,
+      percentage: report.percentage,
+      clones: report.clones.length
+    });
+
+    return {
+      legacy: summarize(legacy),
+      refactored: summarize(refactored),
+      percentageDelta: Math.round((refactored.percentage - legacy.percentage) * 100) / 100,
+      legacyClones: legacy.clones.slice(0, MAX_REPORTED),
+      refactoredClones: refactored.clones.slice(0, MAX_REPORTED),
+      newClones: refactored.clones.filter(clone => !legacyFingerprints.has(clone.fingerprint)).slice(0, MAX_REPORTED),
+      removedClones: legacy.clones.filter(clone => !refactoredFingerprints.has(clone.fingerprint)).slice(0, MAX_REPORTED)
+    };
+  }
+
+  // Tokens in source order and the hash, token count and line span of every subtree large
+  // enough to count, as plain data that can leave the worker. Candidates refer to their parent
+  // by index, or null when the parent is too small to be a candidate itself.
+  indexFile(ast, filePath) {
+    const infos = [];
+    const tokens = [];
+    const stack = [{ node: ast, parent: null }];
+
+    while (stack.length > 0) {
+      const { node, parent } = stack.pop();
+      if (/comment/.test(node.type)) continue;
+
+      const info = { node, parent, children: [], values: null, firstToken: tokens.length };
+      infos.push(info);
+      if (parent) parent.children.push(info);
+
+      if (STRING_TYPES.includes(node.type) || node.children.length === 0 || FRONT_END_LANGUAGES.includes(node.language)) {
+        info.values = this.tokenValues(node);
+        info.values.forEach(value => tokens.push({ value, row: node.startPosition.row }));
+        if (STRING_TYPES.includes(node.type) || node.children.length === 0) continue;
+      }
+
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push({ node: node.children[i], parent: info });
+      }
+    }
+
+    // Descendants come after their ancestors in preorder, so walk backwards to aggregate
+    const candidates = [];
+    for (let i = infos.length - 1; i >= 0; i--) {
+      const info = infos[i];
+      let signature = `${info.node.type}\u0000${(info.values || []).join(' ')}`;
+      info.tokens = info.values ? info.values.length : 0;
+
+      info.children.forEach(child => {
+        info.tokens += child.tokens;
+        signature += `\u0000${child.hash}`;
+      });
+      info.hash = this.astAnalyzer.treeDiffer.hash(signature);
+
+      const lines = info.node.endPosition.row - info.node.startPosition.row + 1;
+      if (info.tokens >= this.minTokens && lines >= this.minLines) candidates.push(info);
+    }
+
+    const indexOf = new Map(candidates.map((info, index) => [info, index]));
+    return {
+      filePath,
+      tokens,
+      candidates: candidates.map(info => ({
+        hash: info.hash,
+        nodeType: info.node.type,
+        startRow: info.node.startPosition.row,
+        endRow: info.node.endPosition.row,
+        tokens: info.tokens,
+        firstToken: info.firstToken,
+        parent: indexOf.has(info.parent) ? indexOf.get(info.parent) : null
+      }))
+    };
+  }
+
+  // Names and literals are abstracted, so renamed copies still count as clones
+  tokenValues(node) {
+    if (STRING_TYPES.includes(node.type)) return ['LIT'];
+
+    if (FRONT_END_LANGUAGES.includes(node.language)) {
+      // Only statement text, and only the opening statement of a PL/I group
+      if (node.children.length > 0 && node.language !== 'pli') return [];
+      const text = node.children.length > 0 ? (node.text || '').split(';')[0] : node.text || '';
+      const words = text.match(/'[^']*'|"[^"]*"|[\w#@$-]+|[^\s\w]/g) || [];
+      return words.map((word, index) => {
+        if (/^['"\d]/.test(word)) return 'LIT';
+        if (/^[\w#@$]/.test(word)) return index === 0 ? word.toUpperCase() : 'ID';
+        return word;
+      });
+    }
+
+    if (/identifier$/.test(node.type)) return ['ID'];
+    if (LITERAL_PATTERN.test(node.type)) return ['LIT'];
+    return node.text ? [node.text] : [];
+  }
+
+  // Identical subtrees; a clone inside a larger clone is reported only as part of it
+  findSubtreeClones(files) {
+    const groups = new Map();
+    files.forEach(file => {
+      file.candidates.forEach(info => {
+        if (!groups.has(info.hash)) groups.set(info.hash, []);
+        groups.get(info.hash).push({ file, info });
+      });
+    });
+
+    const cloned = new Set();
+    groups.forEach(members => {
+      if (members.length > 1) members.forEach(member => cloned.add(member.info));
+    });
+
+    const clones = [];
+    groups.forEach((members, hash) => {
+      if (members.length < 2) return;
+      if (members.every(({ file, info }) => info.parent !== null && cloned.has(file.candidates[info.parent]))) return;
+
+      members.forEach(({ file, info }) => file.covered.fill(1, info.firstToken, info.firstToken + info.tokens));
+
+      const [{ info: first }] = members;
+      clones.push({
+        kind: 'subtree',
+        nodeType: first.nodeType,
+        tokens: first.tokens,
+        lines: first.endRow - first.startRow + 1,
+        fingerprint: String(hash),
+        occurrences: members.map(({ file, info }) => ({
+          filePath: file.filePath,
+          startLine: info.startRow + 1,
+          endLine: info.endRow + 1
+        })).sort((a, b) => a.filePath.localeCompare(b.filePath) || a.startLine - b.startLine)
+      });
+    });
+
+    return clones;
+  }
+
+  // Runs of at least minTokens identical tokens, found with a rolling hash over token windows.
+  // Tokens already in a subtree clone are left out, so runs only add what subtrees missed.
+  findTokenClones(files) {
+    const window = this.minTokens;
+    const ids = new Map();
+    const sequences = files.map(file => file.tokens.map(token => {
+      if (!ids.has(token.value)) ids.set(token.value, ids.size + 1);
+      return ids.get(token.value);
+    }));
+
+    let power = 1;
+    for (let i = 1; i < window; i++) power = (power * BASE) % MODULUS;
+
+    const first = new Map();
+    const runs = [];
+
+    sequences.forEach((sequence, fileIndex) => {
+      const { covered } = files[fileIndex];
+      let hash = 0;
+      let active = null;
+      let lastCovered = -1;
+
+      for (let end = 0; end < sequence.length; end++) {
+        if (end >= window) hash = (hash - ((sequence[end - window] * power) % MODULUS) + MODULUS) % MODULUS;
+        hash = ((hash * BASE) + sequence[end]) % MODULUS;
+        if (covered[end]) lastCovered = end;
+        if (end < window - 1) continue;
+
+        const start = end - window + 1;
+        if (lastCovered >= start) {
+          active = null;
+          continue;
+        }
+        const earlier = first.get(hash);
+        if (!earlier) {
+          first.set(hash, { fileIndex, start });
+          continue;
+        }
+
+        // Overlapping windows of a repetitive run are not copies of each other
+        if (earlier.fileIndex === fileIndex && start - earlier.start < window) {
+          active = null;
+          continue;
+        }
+        if (!this.sameWindow(sequences[earlier.fileIndex], earlier.start, sequence, start, window)) {
+          active = null;
+          continue;
+        }
+
+        if (active && active.original.fileIndex === earlier.fileIndex &&
+            active.original.start + (start - active.copy.start) === earlier.start) {
+          active.original.end = earlier.start + window - 1;
+          active.copy.end = end;
+        } else {
+          active = {
+            original: { fileIndex: earlier.fileIndex, start: earlier.start, end: earlier.start + window - 1 },
+            copy: { fileIndex, start, end }
+          };
+          runs.push(active);
+        }
+      }
+    });
+
+    // A run becomes a clone of its original and every copy of it
+    const byOriginal = new Map();
+    runs.forEach(run => {
+      const original = this.toLines(files, run.original);
+      const copy = this.toLines(files, run.copy);
+      if (original.endLine - original.startLine + 1 < this.minLines) return;
+
+      const key = `${run.original.fileIndex}:${run.original.start}:${run.original.end}`;
+      if (!byOriginal.has(key)) {
+        const values = files[run.original.fileIndex].tokens.slice(run.original.start, run.original.end + 1).map(token => token.value);
+        byOriginal.set(key, {
+          kind: 'tokens',
+          tokens: run.original.end - run.original.start + 1,
+          lines: original.endLine - original.startLine + 1,
+          fingerprint: String(this.astAnalyzer.treeDiffer.hash(values.join('\u0000'))),
+          occurrences: [original]
+        });
+      }
+      byOriginal.get(key).occurrences.push(copy);
+    });
+
+    return [...byOriginal.values()];
+  }
+
+  sameWindow(sequence1, start1, sequence2, start2, length) {
+    for (let i = 0; i < length; i++) {
+      if (sequence1[start1 + i] !== sequence2[start2 + i]) return false;
+    }
+    return true;
+  }
+
+  toLines(files, range) {
+    const file = files[range.fileIndex];
+    return {
+      filePath: file.filePath,
+      startLine: file.tokens[range.start].row + 1,
+      endLine: file.tokens[range.end].row + 1
+    };
+  }
+
+  // Code lines inside any occurrence of any clone, counted once
+  countDuplicatedLines(files, clones) {
+    const rows = new Map(files.map(file => [file.filePath, new Set()]));
+    const codeRows = new Map(files.map(file => [file.filePath, file.codeRows]));
+
+    clones.forEach(clone => {
+      clone.occurrences.forEach(occurrence => {
+        for (let row = occurrence.startLine - 1; row < occurrence.endLine; row++) {
+          if (codeRows.get(occurrence.filePath).has(row)) rows.get(occurrence.filePath).add(row);
+        }
+      });
+    });
+
+    let duplicated = 0;
+    rows.forEach(set => {
+      duplicated += set.size;
+    });
+    return duplicated;
+  }
+}
+
+module.exports = { CloneDetector };
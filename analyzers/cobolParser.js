@@ -0,0 +1,538 @@
+// COBOL front end. There is no usable tree-sitter grammar for COBOL, so this parser
+// builds the same normalized nodes as ASTAnalyzer.normalizeAST directly.
+const { ASTNode } = require('./astNode');
+
+const VERBS = new Set([
+  'ACCEPT', 'ADD', 'ALTER', 'CALL', 'CANCEL', 'CLOSE', 'COMPUTE', 'CONTINUE', 'COPY', 'DELETE',
+  'DISPLAY', 'DIVIDE', 'EVALUATE', 'EXEC', 'EXIT', 'GENERATE', 'GO', 'GOBACK', 'IF', 'INITIALIZE',
+  'INITIATE', 'INSPECT', 'INVOKE', 'MERGE', 'MOVE', 'MULTIPLY', 'OPEN', 'PERFORM', 'READ', 'RELEASE',
+  'RETURN', 'REWRITE', 'SEARCH', 'SET', 'SORT', 'START', 'STOP', 'STRING', 'SUBTRACT', 'TERMINATE',
+  'UNSTRING', 'WRITE'
+]);
+
+// Words that can follow a level number in place of a data name
+const DATA_CLAUSES = new Set([
+  'FILLER', 'PIC', 'PICTURE', 'VALUE', 'VALUES', 'REDEFINES', 'OCCURS', 'USAGE', 'COMP', 'COMP-1',
+  'COMP-2', 'COMP-3', 'COMP-4', 'COMP-5', 'COMPUTATIONAL', 'BINARY', 'PACKED-DECIMAL', 'DISPLAY',
+  'INDEX', 'POINTER', 'SIGN', 'JUSTIFIED', 'JUST', 'BLANK', 'SYNC', 'SYNCHRONIZED', 'EXTERNAL', 'GLOBAL'
+]);
+
+// Explicit scope terminators; other END- words are ordinary names
+const SCOPE_TERMINATORS = /^END-(IF|PERFORM|EVALUATE|READ|WRITE|REWRITE|DELETE|START|RETURN|SEARCH|CALL|EXEC|STRING|UNSTRING|COMPUTE|ADD|SUBTRACT|MULTIPLY|DIVIDE|ACCEPT|DISPLAY|INVOKE)$/i;
+
+const USAGES = /\b(COMP(?:UTATIONAL)?(?:-[1-5])?|BINARY|PACKED-DECIMAL|INDEX|POINTER)\b/i;
+
+// Node text is the code of the lines it spans, without the lines that hold none
+const dropBlankLines = text => text.split('\n').filter(line => line.trim().length > 0).join('\n');
+
+// Nesting depth of container nodes; opening one closes everything at the same depth or deeper
+const RANKS = {
+  program: 1,
+  division: 2,
+  section: 3,
+  paragraph: 4
+};
+
+class CobolParser {
+  parse(source) {
+    const rawLines = source.split(/\r?\n/);
+    const fixedFormat = this.isFixedFormat(rawLines);
+    const lines = this.readLines(rawLines, fixedFormat);
+
+    const root = this.createNode('source_file', 0, rawLines);
+
+    const state = {
+      rawLines,
+      stack: [root],
+      dataItems: [], // open group items of the current data section
+      program: null,
+      division: null,
+      pendingProgramId: false
+    };
+
+    this.splitSentences(lines).forEach(sentence => this.parseSentence(sentence, state));
+
+    this.finalize(root, lines, rawLines);
+    root.text = source;
+    return root;
+  }
+
+  // Fixed-format sources keep columns 1-6 for sequence numbers and column 7 for indicators
+  isFixedFormat(rawLines) {
+    if (rawLines.some(line => /^\s*>>\s*SOURCE\s+(FORMAT\s+)?(IS\s+)?FREE/i.test(line) || /SOURCEFORMAT\s*\(?\s*["']?FREE/i.test(line))) {
+      return false;
+    }
+
+    const codeLines = rawLines.filter(line => line.trim().length > 0);
+    const fixed = codeLines.filter(line => /^[\d ]{6}/.test(line) || line.length <= 6);
+    return codeLines.length === 0 || fixed.length / codeLines.length >= 0.9;
+  }
+
+  // Code-area text of every line with comments blanked and continuations folded into the line they continue
+  readLines(rawLines, fixedFormat) {
+    const lines = [];
+    let previous = null;
+
+    rawLines.forEach((raw, row) => {
+      let indicator = ' ';
+      let text = raw;
+
+      if (fixedFormat) {
+        indicator = raw[6] || ' ';
+        text = raw.slice(7, 72);
+      }
+
+      if (/^\s*>>/.test(raw) || /^\s*\$SET\b/i.test(raw)) {
+        text = ''; // compiler directives
+      } else if (indicator === '*' || indicator === '/' || /^\s*\*>/.test(text)) {
+        text = '';
+      } else {
+        text = this.stripInlineComment(text);
+      }
+
+      const line = { row, text: text.replace(/\s+$/, ''), column: raw.length - raw.trimStart().length };
+
+      // Continuation lines resume an open literal (or word) from the previous code line
+      if (indicator === '-' && previous) {
+        previous.text += text.trimStart().replace(/^["']/, '');
+        previous.endRow = row;
+        line.text = '';
+      } else if (line.text.length > 0) {
+        previous = line;
+      }
+
+      lines.push(line);
+    });
+
+    return lines;
+  }
+
+  stripInlineComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length - 1; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '*' && text[i + 1] === '>') {
+        return text.slice(0, i);
+      }
+    }
+    return text;
+  }
+
+  // Split the code into period-terminated sentences, remembering which rows each one covers
+  splitSentences(lines) {
+    const sentences = [];
+    let current = { segments: [] };
+    let quote = null;
+
+    lines.forEach(line => {
+      let start = 0;
+
+      for (let i = 0; i < line.text.length; i++) {
+        const char = line.text[i];
+        if (quote) {
+          if (char === quote) quote = null;
+          continue;
+        }
+        if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '.' && (i + 1 === line.text.length || /\s/.test(line.text[i + 1]))) {
+          this.addSegment(current, line, start, i + 1);
+          sentences.push(current);
+          current = { segments: [] };
+          start = i + 1;
+        }
+      }
+
+      this.addSegment(current, line, start, line.text.length);
+      quote = null; // unterminated literals end with the line
+    });
+
+    if (current.segments.length > 0) sentences.push(current);
+
+    return sentences.map(sentence => ({
+      ...sentence,
+      text: sentence.segments.map(segment => segment.text).join(' ').replace(/\.$/, '').trim(),
+      startRow: sentence.segments[0].row,
+      endRow: sentence.segments[sentence.segments.length - 1].endRow
+    }));
+  }
+
+  addSegment(sentence, line, start, end) {
+    const text = line.text.slice(start, end).trim();
+    if (text.length === 0) return;
+
+    sentence.segments.push({ row: line.row, endRow: line.endRow || line.row, text });
+  }
+
+  parseSentence(sentence, state) {
+    const text = sentence.text;
+    const upper = text.toUpperCase();
+    let match;
+
+    // PROGRAM-ID. NAME. arrives as two sentences
+    if (state.pendingProgramId) {
+      state.pendingProgramId = false;
+      state.program.metadata.name = this.unquote(text.split(/\s+/)[0]);
+      state.stack.forEach(node => this.extendTo(node, sentence.endRow));
+      return;
+    }
+
+    if ((match = upper.match(/^(IDENTIFICATION|ID|ENVIRONMENT|DATA|PROCEDURE)\s+DIVISION\b/))) {
+      const name = match[1] === 'ID' ? 'IDENTIFICATION' : match[1];
+
+      // A new identification division starts the next (or a nested) program
+      if (name === 'IDENTIFICATION' || !state.program) {
+        this.openProgram(sentence, state);
+      }
+
+      const division = this.openContainer('division', name, sentence, state);
+      state.division = name;
+      state.dataItems = [];
+
+      const using = text.match(/\bUSING\s+(.+)$/i);
+      if (name === 'PROCEDURE' && using) {
+        division.metadata.parameters = this.words(using[1]).filter(word => !/^(BY|REFERENCE|CONTENT|VALUE)$/i.test(word));
+        state.program.metadata.parameters = division.metadata.parameters;
+      }
+      return;
+    }
+
+    if ((match = upper.match(/^PROGRAM-ID\b\s*\.?\s*(.*)$/))) {
+      if (!state.program) this.openProgram(sentence, state);
+      if (match[1]) {
+        state.program.metadata.name = this.unquote(text.slice(text.length - match[1].length).split(/\s+/)[0]);
+      } else {
+        state.pendingProgramId = true;
+      }
+      state.stack.forEach(node => this.extendTo(node, sentence.endRow));
+      return;
+    }
+
+    if (/^END\s+PROGRAM\b/.test(upper) && state.program) {
+      while (state.stack[state.stack.length - 1] !== state.program) state.stack.pop();
+      this.extendTo(state.stack.pop(), sentence.endRow);
+      // Back in the enclosing program, if this one was nested
+      const enclosing = [...state.stack].reverse();
+      state.program = enclosing.find(node => node.type === 'program') || null;
+      state.division = enclosing.find(node => node.type === 'division')?.metadata.name || null;
+      return;
+    }
+
+    if ((match = text.match(/^([\w-]+)\s+SECTION\b/i))) {
+      this.openContainer('section', match[1].toUpperCase(), sentence, state);
+      state.dataItems = [];
+      return;
+    }
+
+    if (/^COPY\s/i.test(text)) {
+      this.addChild(state, this.createCopy(sentence, state));
+      return;
+    }
+
+    switch (state.division) {
+      case 'PROCEDURE':
+        return this.parseProcedureSentence(sentence, state);
+      case 'ENVIRONMENT':
+        return this.parseEnvironmentSentence(sentence, state);
+      default:
+        if (/^EXEC\s/i.test(text)) {
+          return this.addChild(state, this.createStatement(sentence, state));
+        }
+        // Data entries also make up copybooks, which have no divisions at all
+        if (/^\d{1,2}\s/.test(text) || /^(FD|SD|RD)\s/i.test(text)) {
+          return this.parseDataSentence(sentence, state);
+        }
+        return this.addChild(state, this.createNode('entry', sentence.startRow, state.rawLines, sentence.endRow));
+    }
+  }
+
+  parseEnvironmentSentence(sentence, state) {
+    const match = sentence.text.match(/^SELECT\s+(?:OPTIONAL\s+)?([\w-]+)\s+ASSIGN\s+(?:TO\s+)?(\S+)/i);
+    const node = this.createNode(match ? 'file_control' : 'entry', sentence.startRow, state.rawLines, sentence.endRow);
+
+    if (match) {
+      node.metadata.name = match[1].toUpperCase();
+      node.metadata.dependencies.push(this.unquote(match[2]));
+    }
+
+    this.addChild(state, node);
+  }
+
+  parseDataSentence(sentence, state) {
+    const text = sentence.text;
+
+    const fileMatch = text.match(/^(FD|SD|RD)\s+([\w-]+)/i);
+    if (fileMatch) {
+      const node = this.createNode('file_description', sentence.startRow, state.rawLines, sentence.endRow);
+      node.metadata.name = fileMatch[2].toUpperCase();
+      node.metadata.modifiers.push(fileMatch[1].toUpperCase());
+      state.dataItems = [];
+      return this.addChild(state, node);
+    }
+
+    const [levelText, candidate] = text.split(/\s+/);
+    const level = parseInt(levelText, 10);
+    const node = this.createNode('data_item', sentence.startRow, state.rawLines, sentence.endRow);
+
+    if (candidate && !DATA_CLAUSES.has(candidate.toUpperCase())) {
+      node.metadata.name = candidate.toUpperCase();
+    }
+    node.metadata.modifiers.push(`level ${levelText.padStart(2, '0')}`);
+
+    const picture = text.match(/\bPIC(?:TURE)?\s+(?:IS\s+)?(\S+)/i);
+    if (picture) node.metadata.returnType = picture[1];
+
+    const usage = text.match(USAGES);
+    if (usage) node.metadata.modifiers.push(usage[1].toUpperCase());
+
+    const occurs = text.match(/\bOCCURS\s+(\d+)/i);
+    if (occurs) node.metadata.modifiers.push(`occurs ${occurs[1]}`);
+
+    const redefines = text.match(/\bREDEFINES\s+([\w-]+)/i);
+    if (redefines) node.metadata.dependencies.push(redefines[1].toUpperCase());
+
+    // Level numbers nest: 05 under the preceding 01, 88 condition names under their item
+    let parent = null;
+    if (level === 88) {
+      parent = state.dataItems[state.dataItems.length - 1] || null;
+    } else if (level !== 1 && level !== 77) {
+      while (state.dataItems.length > 0 && state.dataItems[state.dataItems.length - 1].level >= level) {
+        state.dataItems.pop();
+      }
+      parent = state.dataItems[state.dataItems.length - 1] || null;
+    } else {
+      state.dataItems = [];
+    }
+
+    if (parent) {
+      parent.node.children.push(node);
+      this.extendTo(parent.node, sentence.endRow);
+    } else {
+      this.addChild(state, node);
+    }
+
+    if (level !== 88) state.dataItems.push({ level, node });
+  }
+
+  parseProcedureSentence(sentence, state) {
+    const words = sentence.text.split(/\s+/);
+
+    // A lone non-verb word is a paragraph header
+    if (words.length === 1 && !VERBS.has(words[0].toUpperCase()) && !SCOPE_TERMINATORS.test(words[0])) {
+      this.openContainer('paragraph', words[0].toUpperCase(), sentence, state);
+      return;
+    }
+
+    this.splitStatements(sentence).forEach(statement => {
+      const node = this.createStatement(statement, state);
+      this.addChild(state, node);
+
+      // Paragraphs and sections depend on everything they perform or call
+      const container = state.stack[state.stack.length - 1];
+      if (container.type === 'paragraph' || container.type === 'section') {
+        node.metadata.dependencies.forEach(dependency => {
+          if (!container.metadata.dependencies.includes(dependency)) {
+            container.metadata.dependencies.push(dependency);
+          }
+        });
+      }
+    });
+  }
+
+  // A new statement starts on every line that begins with a verb
+  splitStatements(sentence) {
+    const statements = [];
+
+    sentence.segments.forEach(segment => {
+      const firstWord = segment.text.split(/\s+/)[0].replace(/\.$/, '').toUpperCase();
+      const last = statements[statements.length - 1];
+
+      if (!last || (VERBS.has(firstWord) && !this.isOpenExec(last))) {
+        statements.push({ segments: [segment] });
+      } else {
+        last.segments.push(segment);
+      }
+    });
+
+    return statements.map(statement => ({
+      text: statement.segments.map(segment => segment.text).join(' ').replace(/\.$/, '').trim(),
+      startRow: statement.segments[0].row,
+      endRow: statement.segments[statement.segments.length - 1].endRow
+    }));
+  }
+
+  isOpenExec(statement) {
+    const text = statement.segments.map(segment => segment.text).join(' ');
+    return /^EXEC\b/i.test(text) && !/\bEND-EXEC\b/i.test(text);
+  }
+
+  createStatement(statement, state) {
+    const text = statement.text;
+    const verb = text.split(/\s+/)[0].toUpperCase();
+    const node = this.createNode(`${verb.toLowerCase().replace(/-/g, '_')}_statement`, statement.startRow, state.rawLines, statement.endRow);
+    const metadata = node.metadata;
+    let match;
+
+    switch (verb) {
+      case 'CALL':
+        if ((match = text.match(/^CALL\s+(\S+)/i))) {
+          metadata.name = this.unquote(match[1]);
+          metadata.dependencies.push(metadata.name);
+        }
+        if ((match = text.match(/\bUSING\s+(.+?)(?:\s+(?:RETURNING|ON|NOT|END-CALL)\b|$)/i))) {
+          metadata.parameters = this.words(match[1]).filter(word => !/^(BY|REFERENCE|CONTENT|VALUE)$/i.test(word));
+        }
+        break;
+      case 'PERFORM':
+        // PERFORM para [THRU para2]; inline PERFORM UNTIL/VARYING/n TIMES has no target
+        if ((match = text.match(/^PERFORM\s+([A-Z0-9][\w-]*)(?:\s+(?:THRU|THROUGH)\s+([\w-]+))?/i)) &&
+            !/^(UNTIL|VARYING|WITH|TEST|\d+)$/i.test(match[1])) {
+          metadata.dependencies.push(match[1].toUpperCase());
+          if (match[2]) metadata.dependencies.push(match[2].toUpperCase());
+        }
+        break;
+      case 'GO':
+        if ((match = text.match(/^GO\s+(?:TO\s+)?([\w-]+)/i))) {
+          metadata.dependencies.push(match[1].toUpperCase());
+        }
+        break;
+      case 'EXEC':
+        if ((match = text.match(/^EXEC\s+(\w+)/i))) metadata.modifiers.push(match[1].toUpperCase());
+        if ((match = text.match(/\b(?:LINK|XCTL)\s+PROGRAM\s*\(\s*([^)\s]+)\s*\)/i))) {
+          metadata.dependencies.push(this.unquote(match[1]));
+        }
+        if ((match = text.match(/^EXEC\s+SQL\s+INCLUDE\s+([\w-]+)/i))) {
+          metadata.imports.push(match[1].toUpperCase());
+          this.addImport(state, match[1].toUpperCase());
+        }
+        break;
+      case 'COPY':
+        return this.createCopy(statement, state);
+    }
+
+    return node;
+  }
+
+  createCopy(sentence, state) {
+    const node = this.createNode('copy_statement', sentence.startRow, state.rawLines, sentence.endRow);
+    const match = sentence.text.match(/^COPY\s+(\S+)/i);
+
+    if (match) {
+      node.metadata.name = this.unquote(match[1]).toUpperCase();
+      node.metadata.imports.push(node.metadata.name);
+      this.addImport(state, node.metadata.name);
+    }
+
+    return node;
+  }
+
+  addImport(state, name) {
+    const owner = state.program || state.stack[0];
+    if (!owner.metadata.imports.includes(name)) owner.metadata.imports.push(name);
+  }
+
+  openProgram(sentence, state) {
+    // Programs that follow another one before its END PROGRAM are nested in its procedure division
+    this.closeTo(state, RANKS.section);
+    const program = this.createNode('program', sentence.startRow, state.rawLines, sentence.endRow);
+    this.addChild(state, program);
+    state.stack.push(program);
+    state.program = program;
+  }
+
+  openContainer(type, name, sentence, state) {
+    this.closeTo(state, RANKS[type]);
+
+    const node = this.createNode(type, sentence.startRow, state.rawLines, sentence.endRow);
+    node.metadata.name = name;
+    this.addChild(state, node);
+    state.stack.push(node);
+
+    return node;
+  }
+
+  // Pop containers at `rank` or deeper
+  closeTo(state, rank) {
+    while (state.stack.length > 1 && RANKS[state.stack[state.stack.length - 1].type] >= rank) {
+      state.stack.pop();
+    }
+  }
+
+  addChild(state, node) {
+    state.stack[state.stack.length - 1].children.push(node);
+    state.stack.forEach(ancestor => this.extendTo(ancestor, node.endPosition.row));
+  }
+
+  extendTo(node, row) {
+    if (row > node.endPosition.row) node.endPosition.row = row;
+  }
+
+  // Offsets into the code text are filled in by finalize(), once the rows a node spans are known
+  createNode(type, startRow, rawLines, endRow = startRow) {
+    const startLine = rawLines[startRow] || '';
+
+    return new ASTNode(
+      type,
+      '',
+      0,
+      0,
+      { row: startRow, column: startLine.length - startLine.trimStart().length },
+      { row: endRow, column: 0 },
+      'cobol',
+      {
+        name: null,
+        parameters: [],
+        returnType: null,
+        modifiers: [],
+        annotations: [],
+        imports: [],
+        dependencies: []
+      }
+    );
+  }
+
+  // Containers end with their last child. Every node then points into one shared text: the
+  // code of all lines, comments blanked and continuations folded. Children come after their
+  // parent in preorder, so walking it backwards finishes them first.
+  finalize(root, lines, rawLines) {
+    const code = lines.map(line => line.text).join('\n');
+    const lineStarts = [];
+    lines.reduce((offset, line) => {
+      lineStarts.push(offset);
+      return offset + line.text.length + 1;
+    }, 0);
+
+    const nodes = [];
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      nodes.push(node);
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+    }
+
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      const endRow = node.children.reduce((row, child) => Math.max(row, child.endPosition.row), node.endPosition.row);
+      node.endPosition.row = endRow;
+      node.endPosition.column = (rawLines[endRow] || '').length;
+      node.source = code;
+      node.startIndex = lineStarts[node.startPosition.row];
+      node.endIndex = lineStarts[endRow] + lines[endRow].text.length;
+      node.transform = dropBlankLines;
+    }
+  }
+
+  words(text) {
+    return text.split(/[\s,]+/).filter(Boolean).map(word => this.unquote(word));
+  }
+
+  unquote(word) {
+    return word.replace(/\.$/, '').replace(/^["']|["']$/g, '');
+  }
+}
+
+module.exports = { CobolParser };
@@ -0,0 +1,241 @@
+const { UNIT_KINDS } = require('./crossLanguageMapper');
+
+// Branches and loops: one decision each, and nested code under them weighs more
+const STRUCTURAL_TYPES = [
+  'if_statement',
+  'ternary_expression',
+  'conditional_expression',
+  'switch_statement',
+  'switch_expression',
+  'match_statement',
+  'for_statement',
+  'for_in_statement',
+  'enhanced_for_statement',
+  'for_each_statement',
+  'for_range_loop',
+  'while_statement',
+  'do_statement',
+  'catch_clause',
+  'except_clause',
+  'select_group'
+];
+
+// Switches count their cases as decisions rather than themselves
+const SWITCH_TYPES = ['switch_statement', 'switch_expression', 'match_statement', 'select_group'];
+
+const CASE_TYPES = ['switch_case', 'switch_label', 'case_statement', 'case_switch_label', 'case_pattern_switch_label', 'case_clause', 'switch_expression_arm', 'when_statement'];
+
+// Anonymous functions belong to the function around them but nest what they contain
+const ANONYMOUS_FUNCTION_TYPES = ['arrow_function', 'function', 'function_expression', 'lambda', 'lambda_expression', 'anonymous_method_expression', 'local_function_statement'];
+
+const LOGICAL_OPERATORS = ['&&', '||', '??', 'and', 'or'];
+
+// Cyclomatic complexity (McCabe) and cognitive complexity (SonarSource) of every function
+class ComplexityAnalyzer {
+  compare(legacyAST, refactoredAST) {
+    const legacy = this.analyze(legacyAST);
+    const refactored = this.analyze(refactoredAST);
+
+    const functions = [];
+    refactored.forEach((after, key) => {
+      const before = legacy.get(key) || null;
+      functions.push({ name: after.name, type: after.type, line: after.line, legacy: before && before.complexity, refactored: after.complexity });
+    });
+    legacy.forEach((before, key) => {
+      if (!refactored.has(key)) {
+        functions.push({ name: before.name, type: before.type, line: before.line, legacy: before.complexity, refactored: null });
+      }
+    });
+
+    const legacyTotal = this.total(legacy);
+    const refactoredTotal = this.total(refactored);
+
+    return {
+      legacy: legacyTotal,
+      refactored: refactoredTotal,
+      delta: {
+        cyclomatic: refactoredTotal.cyclomatic - legacyTotal.cyclomatic,
+        cognitive: refactoredTotal.cognitive - legacyTotal.cognitive
+      },
+      functions
+    };
+  }
+
+  // Functions keyed by their qualified name (Class.method); overloads get a #n suffix
+  analyze(ast) {
+    const functions = new Map();
+
+    const stack = [[ast, []]];
+    while (stack.length > 0) {
+      let [node, containers] = stack.pop();
+
+      // Only the procedure division of a COBOL program holds code
+      if (node.type === 'division' && node.metadata.name !== 'PROCEDURE') continue;
+
+      const kind = UNIT_KINDS[node.type];
+      const name = node.metadata?.name;
+      if (kind === 'type' && name) {
+        containers = [...containers, name];
+      } else if (this.isFunction(node)) {
+        const qualifiedName = [...containers, name].join('.');
+        let key = qualifiedName;
+        for (let i = 2; functions.has(key); i++) key = `${qualifiedName}#${i}`;
+
+        functions.set(key, {
+          name: qualifiedName,
+          type: node.type,
+          line: node.startPosition.row + 1,
+          node,
+          complexity: this.measure(node)
+        });
+        containers = [...containers, name];
+      }
+
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push([node.children[i], containers]);
+    }
+
+    return functions;
+  }
+
+  isFunction(node) {
+    return UNIT_KINDS[node.type] === 'callable' && Boolean(node.metadata?.name) && this.hasBody(node);
+  }
+
+  // Declarators only name a function when they hold one
+  hasBody(node) {
+    return node.type !== 'variable_declarator' ||
+      node.children.some(child => ANONYMOUS_FUNCTION_TYPES.includes(child.type));
+  }
+
+  measure(unit) {
+    let cyclomatic = 1;
+    let cognitive = 0;
+
+    // const handler = () => ... is measured from the function it holds
+    if (unit.type === 'variable_declarator') {
+      unit = unit.children.find(child => ANONYMOUS_FUNCTION_TYPES.includes(child.type));
+    }
+
+    const stack = [[unit, null, null, 0]];
+    while (stack.length > 0) {
+      const [node, parent, previous, nesting] = stack.pop();
+
+      // Named functions inside this one are measured on their own
+      if (node !== unit && this.isFunction(node)) continue;
+
+      let childNesting = nesting;
+
+      if (node.language === 'cobol') {
+        const counts = this.measureCobolStatement(node);
+        cyclomatic += counts.cyclomatic;
+        cognitive += counts.cognitive;
+      } else if (node !== unit && ANONYMOUS_FUNCTION_TYPES.includes(node.type)) {
+        childNesting = nesting + 1;
+      } else if (this.isElseIf(node, parent, previous)) {
+        // else if reads like the if it continues: no nesting penalty, no deeper nesting
+        cyclomatic++;
+        cognitive++;
+      } else if (STRUCTURAL_TYPES.includes(node.type) || this.isPliLoop(node)) {
+        if (!SWITCH_TYPES.includes(node.type)) cyclomatic++;
+        cognitive += 1 + nesting;
+        childNesting = nesting + 1;
+      } else if (node.type === 'elif_clause') {
+        cyclomatic++;
+        cognitive++;
+      } else if (this.isElse(node, parent)) {
+        cognitive++;
+      } else if (CASE_TYPES.includes(node.type) && this.isCase(node)) {
+        cyclomatic++;
+      } else if (node.type === 'if_clause') {
+        // [x for x in xs if x]
+        cyclomatic++;
+        cognitive++;
+      } else if (node.type === 'goto_statement' || (node.type === 'go_statement' && node.language !== 'cobol')) {
+        cognitive++;
+      }
+
+      // a && b && c is one sequence of operators; a && b || c is two
+      const operator = this.logicalOperator(node);
+      if (operator) {
+        cyclomatic++;
+        if (this.logicalOperator(parent) !== operator) cognitive++;
+      }
+
+      node.children.forEach((child, index) => stack.push([child, node, node.children[index - 1] || null, childNesting]));
+    }
+
+    return { cyclomatic, cognitive };
+  }
+
+  isElseIf(node, parent, previous) {
+    if (node.type === 'else_statement' && node.language === 'pli') return /^ELSE\s+IF\b/i.test(node.text);
+    if (node.type !== 'if_statement' || !parent) return false;
+    // JavaScript wraps the alternative in an else clause; Java, C and C# put it right after "else"
+    return parent.type === 'else_clause' || (parent.type === 'if_statement' && previous?.type === 'else');
+  }
+
+  isElse(node, parent) {
+    if (node.type === 'else_clause') {
+      return !node.children.some(child => child.type === 'if_statement');
+    }
+    if (node.type === 'else' && parent?.type === 'if_statement') {
+      const index = parent.children.indexOf(node);
+      return parent.children[index + 1]?.type !== 'if_statement';
+    }
+    // PL/I: ELSE CALL X; and ELSE DO; (ELSE IF is an else-if)
+    if (node.type === 'else_statement' && node.language === 'pli') {
+      return !/^ELSE\s+IF\b/i.test(node.text);
+    }
+    return false;
+  }
+
+  // default:, case _: and WHEN OTHER are the fallthrough, not a decision
+  isCase(node) {
+    const text = node.text.trim();
+    if (node.type === 'switch_expression_arm') return !/^_\s*=>/.test(text);
+    if (node.type === 'when_statement') return true;
+    return /^case\b/i.test(text) && !/^case\s+_\s*:/.test(text);
+  }
+
+  // DO WHILE, DO UNTIL and DO I = ... loop; a plain DO only groups statements
+  isPliLoop(node) {
+    return node.language === 'pli' && node.type === 'do_group' &&
+      /^([\w#@$]+\s*:\s*)*DO\s+(WHILE|UNTIL|[\w#@$]+\s*=)/i.test(node.text);
+  }
+
+  logicalOperator(node) {
+    if (!node || !['binary_expression', 'boolean_operator'].includes(node.type)) return null;
+    const operator = node.children.find(child => LOGICAL_OPERATORS.includes(child.type));
+    return operator ? operator.type : null;
+  }
+
+  // COBOL statements are flat (IF ... ELSE ... END-IF is one statement with the next
+  // verb starting another), so decisions are counted from the text and nesting is not weighed
+  measureCobolStatement(node) {
+    if (!/_statement$/.test(node.type) || node.children.length > 0) return { cyclomatic: 0, cognitive: 0 };
+
+    const text = node.text.replace(/'[^']*'|"[^"]*"/g, ' ');
+    const count = pattern => (text.match(pattern) || []).length;
+
+    const ifs = count(/(?<!-)\bIF\b/gi); // not END-IF
+    const whens = count(/\bWHEN\b(?!\s+OTHER\b)/gi);
+    const loops = count(/\bUNTIL\b/gi);
+    const operators = count(/\b(AND|OR)\b/gi);
+
+    return {
+      cyclomatic: ifs + whens + loops + operators,
+      cognitive: ifs + loops + operators + count(/\bELSE\b/gi) + count(/(?<!-)\bEVALUATE\b/gi) + (node.type === 'go_statement' ? 1 : 0)
+    };
+  }
+
+  total(functions) {
+    const total = { functions: functions.size, cyclomatic: 0, cognitive: 0 };
+    functions.forEach(({ complexity }) => {
+      total.cyclomatic += complexity.cyclomatic;
+      total.cognitive += complexity.cognitive;
+    });
+    return total;
+  }
+}
+
+module.exports = { ComplexityAnalyzer };
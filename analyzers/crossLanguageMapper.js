@@ -0,0 +1,281 @@
+// Maps legacy units (paragraphs, procedures, functions, classes) to their counterparts in code
+// rewritten in another language, where ASTs share no node types and only names, signature
+// shape and call structure carry over.
+
+// Named node types that make up a unit, by kind
+const UNIT_KINDS = {
+  function_declaration: 'callable',
+  function_definition: 'callable',
+  function: 'callable',
+  method_declaration: 'callable',
+  method_definition: 'callable',
+  constructor_declaration: 'callable',
+  variable_declarator: 'callable', // const handler = () => ...
+  paragraph: 'callable',
+  section: 'callable',
+  procedure: 'callable',
+  class_declaration: 'type',
+  class_definition: 'type',
+  class: 'type',
+  abstract_class_declaration: 'type',
+  interface_declaration: 'type',
+  struct_declaration: 'type',
+  record_declaration: 'type',
+  enum_declaration: 'type',
+  program: 'type'
+};
+
+// Call sites whose callee is the child right before the argument list
+const CALL_TYPES = ['call_expression', 'method_invocation', 'call', 'invocation_expression'];
+
+// Units without parameter lists, whose signature is only their kind
+const PARAMETERLESS_TYPES = ['paragraph', 'section'];
+
+// Name parts that say what a legacy unit is rather than what it does
+const STOP_TOKENS = ['para', 'paragraph', 'sect', 'section', 'rtn', 'routine'];
+
+class CrossLanguageMapper {
+  constructor(astAnalyzer) {
+    this.astAnalyzer = astAnalyzer;
+
+    this.thresholds = {
+      anchor: 0.6,  // name and signature alone
+      mapped: 0.5   // once call structure is taken into account
+    };
+  }
+
+  // Units come from collectUnits() on every file of each side
+  map(legacyFiles, refactoredFiles, legacyLanguage, refactoredLanguage) {
+    const withCallSet = files => files.flat().map(unit => ({ ...unit, calls: new Set(unit.calls) }));
+    const legacyUnits = withCallSet(legacyFiles);
+    const refactoredUnits = withCallSet(refactoredFiles);
+
+    this.linkCallers(legacyUnits);
+    this.linkCallers(refactoredUnits);
+
+    const counterparts = this.matchUnits(legacyUnits, refactoredUnits);
+    const migrated = [];
+    const unmigrated = [];
+
+    legacyUnits.forEach(unit => {
+      const match = counterparts.get(unit);
+      if (match) {
+        migrated.push({
+          legacy: this.describe(unit),
+          counterpart: this.describe(match.unit),
+          confidence: Math.round(match.score * 100) / 100,
+          evidence: match.evidence
+        });
+      } else {
+        unmigrated.push(this.describe(unit));
+      }
+    });
+
+    return {
+      legacyLanguage,
+      refactoredLanguage,
+      coverage: legacyUnits.length > 0 ? Math.round((migrated.length / legacyUnits.length) * 100) : 100,
+      migrated,
+      unmigrated
+    };
+  }
+
+  collectUnits(ast, filePath) {
+    const units = [];
+
+    const stack = [ast];
+    while (stack.length > 0) {
+      const node = stack.pop();
+
+      // Only the procedure division of a COBOL program holds code
+      if (node.type === 'division' && node.metadata.name !== 'PROCEDURE') continue;
+
+      const kind = UNIT_KINDS[node.type];
+      if (kind && node.metadata?.name) {
+        units.push({
+          name: node.metadata.name,
+          type: node.type,
+          kind,
+          filePath,
+          language: node.language,
+          tokens: this.tokenize(node.metadata.name),
+          parameters: node.metadata.parameters.length,
+          calls: [...this.collectCalls(node)]
+        });
+      }
+
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+    }
+
+    return units;
+  }
+
+  // Names of everything a unit calls: PERFORM / CALL targets, or the callees of call expressions
+  collectCalls(unit) {
+    const calls = new Set();
+
+    const stack = [unit];
+    while (stack.length > 0) {
+      const node = stack.pop();
+
+      if (node !== unit && ['paragraph', 'section', 'procedure'].includes(node.type)) continue;
+
+      if (['paragraph', 'section', 'procedure'].includes(node.type) || /_statement$/.test(node.type)) {
+        (node.metadata?.dependencies || []).forEach(name => calls.add(name.toLowerCase()));
+      }
+
+      if (CALL_TYPES.includes(node.type)) {
+        const argumentsIndex = node.children.findIndex(child => /^(argument_list|arguments)$/.test(child.type));
+        const callee = node.children[argumentsIndex - 1];
+        const name = callee && callee.text.match(/[\w$]+$/);
+        if (name) calls.add(name[0].toLowerCase());
+      }
+
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+    }
+
+    return calls;
+  }
+
+  linkCallers(units) {
+    units.forEach(unit => {
+      const name = unit.name.toLowerCase();
+      unit.callers = units.filter(other => other !== unit && other.calls.has(name));
+    });
+  }
+
+  // Name and signature anchor the obvious matches; call structure then maps the rest
+  matchUnits(legacyUnits, refactoredUnits) {
+    const counterparts = new Map();
+    const used = new Set();
+
+    this.assign(legacyUnits, refactoredUnits, counterparts, used, this.thresholds.anchor, false);
+
+    for (let round = 0; round < 3; round++) {
+      const mapped = counterparts.size;
+      this.assign(legacyUnits, refactoredUnits, counterparts, used, this.thresholds.mapped, true);
+      if (counterparts.size === mapped) break;
+    }
+
+    return counterparts;
+  }
+
+  assign(legacyUnits, refactoredUnits, counterparts, used, threshold, useCalls) {
+    const candidates = [];
+    const mapped = useCalls ? { counterparts, names: this.buildNameMap(counterparts) } : null;
+
+    legacyUnits.filter(unit => !counterparts.has(unit)).forEach(legacy => {
+      refactoredUnits.filter(unit => !used.has(unit)).forEach(refactored => {
+        const match = this.score(legacy, refactored, mapped);
+        if (match.score >= threshold) candidates.push({ legacy, refactored, ...match });
+      });
+    });
+
+    candidates
+      .sort((a, b) => b.score - a.score)
+      .forEach(candidate => {
+        if (counterparts.has(candidate.legacy) || used.has(candidate.refactored)) return;
+        counterparts.set(candidate.legacy, { unit: candidate.refactored, score: candidate.score, evidence: candidate.evidence });
+        used.add(candidate.refactored);
+      });
+  }
+
+  buildNameMap(counterparts) {
+    const names = new Map();
+    counterparts.forEach((match, unit) => names.set(unit.name.toLowerCase(), match.unit.name.toLowerCase()));
+    return names;
+  }
+
+  score(legacy, refactored, mapped) {
+    const name = this.nameSimilarity(legacy.tokens, refactored.tokens);
+    const signature = this.signatureSimilarity(legacy, refactored);
+    const calls = mapped ? this.callSimilarity(legacy, refactored, mapped) : null;
+
+    const evidence = [];
+    if (name >= 0.5) evidence.push('name');
+    if (signature === 1) evidence.push('signature');
+    if (calls !== null && calls >= 0.5) evidence.push('call structure');
+
+    const score = calls === null
+      ? (name * 0.75) + (signature * 0.25)
+      : (name * 0.5) + (signature * 0.2) + (calls * 0.3);
+
+    return { score, evidence };
+  }
+
+  // CALC-INTEREST ~ calculateInterest: tokens match exactly, by prefix or as abbreviations
+  nameSimilarity(tokens1, tokens2) {
+    if (tokens1.length === 0 || tokens2.length === 0) return 0;
+
+    const remaining = [...tokens2];
+    let shared = 0;
+    tokens1.forEach(token => {
+      const index = remaining.findIndex(other => this.tokensMatch(token, other));
+      if (index !== -1) {
+        remaining.splice(index, 1);
+        shared++;
+      }
+    });
+
+    return (2 * shared) / (tokens1.length + tokens2.length);
+  }
+
+  tokensMatch(token1, token2) {
+    if (token1 === token2) return true;
+
+    const [short, long] = token1.length <= token2.length ? [token1, token2] : [token2, token1];
+    if (short.length < 3 || short[0] !== long[0]) return false;
+    if (long.startsWith(short)) return true;
+
+    // amt -> amount, cust -> customer
+    let position = 0;
+    for (const char of short) {
+      position = long.indexOf(char, position);
+      if (position === -1) return false;
+      position++;
+    }
+    return true;
+  }
+
+  signatureSimilarity(legacy, refactored) {
+    if (legacy.kind !== refactored.kind) return 0;
+    if (PARAMETERLESS_TYPES.includes(legacy.type) || PARAMETERLESS_TYPES.includes(refactored.type)) return 1;
+
+    const most = Math.max(legacy.parameters, refactored.parameters);
+    return most === 0 ? 1 : 1 - (Math.abs(legacy.parameters - refactored.parameters) / most);
+  }
+
+  // Share of a legacy unit's already-mapped callees and callers whose counterparts
+  // are called by, or call, the candidate
+  callSimilarity(legacy, refactored, { counterparts, names }) {
+    const callees = [...legacy.calls].filter(name => names.has(name)).map(name => names.get(name));
+    const callers = legacy.callers.map(unit => counterparts.get(unit)?.unit).filter(Boolean);
+    const expected = callees.length + callers.length;
+    if (expected === 0) return null;
+
+    const name = refactored.name.toLowerCase();
+    const kept = callees.filter(callee => refactored.calls.has(callee)).length +
+      callers.filter(caller => caller.calls.has(name)).length;
+
+    return kept / expected;
+  }
+
+  tokenize(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 0 && !/^\d+$/.test(token) && !STOP_TOKENS.includes(token));
+  }
+
+  describe(unit) {
+    return {
+      name: unit.name,
+      type: unit.type,
+      filePath: unit.filePath,
+      language: unit.language
+    };
+  }
+}
+
+module.exports = { CrossLanguageMapper, UNIT_KINDS, CALL_TYPES };
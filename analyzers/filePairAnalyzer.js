@@ -0,0 +1,135 @@
+const { FilePairer } = require('./filePairer');
+const { BatchJobMapper } = require('./batchJobMapper');
+const { CrossLanguageMapper } = require('./crossLanguageMapper');
+const { CallGraphBuilder } = require('./callGraphBuilder');
+const { ModuleGraphBuilder } = require('./moduleGraphBuilder');
+const { CloneDetector } = require('./cloneDetector');
+
+// Parses, maps and diffs one file pair, and collects what the cross-file steps need from its
+// two files so they never parse. Runs in the analysis worker processes, or on the calling
+// thread when the worker pool is disabled.
+class FilePairAnalyzer {
+  constructor(astAnalyzer, refactorClassifier) {
+    this.astAnalyzer = astAnalyzer;
+    this.refactorClassifier = refactorClassifier;
+    this.filePairer = new FilePairer(astAnalyzer);
+    this.batchJobMapper = new BatchJobMapper(astAnalyzer);
+    this.crossLanguageMapper = new CrossLanguageMapper(astAnalyzer);
+    this.callGraphBuilder = new CallGraphBuilder(astAnalyzer);
+    this.moduleGraphBuilder = new ModuleGraphBuilder(astAnalyzer);
+    this.cloneDetector = new CloneDetector(astAnalyzer);
+  }
+
+  // Named elements of one side of an unmatched pair, for FilePairer.pair()
+  async elements(pair, side, request) {
+    try {
+      const ast = await this.astAnalyzer.parseCode(pair[side] || '', pair.language || request.language, pair[`${side}Path`]);
+      return this.filePairer.namedElements(ast);
+    } catch (error) {
+      // Unparseable files are compared on content alone
+      return [];
+    }
+  }
+
+  // Imports of one side of a file that is the same on both sides, for the module graph
+  async moduleFacts(pair, side, request) {
+    const language = pair.language || request.language;
+    try {
+      const ast = await this.astAnalyzer.parseCode(pair[side] || '', language, pair[`${side}Path`]);
+      return { filePath: pair.filePath, language, imports: this.moduleGraphBuilder.collectImports(ast, language) };
+    } catch (error) {
+      // Unparseable files stay in the graph as modules without imports
+      return { filePath: pair.filePath, language, imports: [] };
+    }
+  }
+
+  // { fileDiff, facts }, facts holding each side's call units, imports and clone index, or
+  // its units for the cross-language mapping, and the jobs of JCL files
+  async analyze(pair, request) {
+    const language = pair.language || request.language;
+
+    // Added and removed files are compared against an empty file
+    let legacyAST = await this.astAnalyzer.parseCode(
+      pair.legacy || '',
+      pair.legacyLanguage || language,
+      pair.legacyPath || pair.filePath
+    );
+
+    let refactoredAST = await this.astAnalyzer.parseCode(
+      pair.refactored || '',
+      language,
+      pair.refactoredPath || pair.filePath
+    );
+
+    // Reformatting and comment edits are reported on their own instead of as changes
+    let formatting;
+    const originals = { legacy: legacyAST, refactored: refactoredAST };
+    if (request.options?.ignoreFormatting) {
+      formatting = this.astAnalyzer.compareFormatting(legacyAST, refactoredAST);
+      legacyAST = this.astAnalyzer.stripFormatting(legacyAST);
+      refactoredAST = this.astAnalyzer.stripFormatting(refactoredAST);
+    }
+
+    const mappings = await this.astAnalyzer.mapElements(
+      legacyAST,
+      refactoredAST,
+      request.options?.mapHints || {}
+    );
+
+    const fileDiff = await this.astAnalyzer.computeDiffs(
+      legacyAST,
+      refactoredAST,
+      mappings,
+      pair.filePath,
+      originals
+    );
+
+    // Files that differ in nothing but formatting or comments have no changed lines
+    if (formatting && formatting.kind !== 'code') {
+      fileDiff.overall.linesAdded = 0;
+      fileDiff.overall.linesRemoved = 0;
+      fileDiff.files.forEach(file => {
+        file.changes.linesAdded = 0;
+        file.changes.linesRemoved = 0;
+      });
+    }
+
+    for (const file of fileDiff.files) {
+      file.status = pair.status;
+      if (formatting) file.changes.formatting = formatting;
+      if (pair.status === 'moved') file.legacyPath = pair.legacyPath;
+      file.refactorTypes = await this.refactorClassifier.classify(
+        { files: [file] },
+        language
+      );
+    }
+
+    return {
+      fileDiff,
+      facts: {
+        legacy: pair.legacy ? this.collectFacts(originals.legacy, pair, 'legacy', request) : null,
+        refactored: pair.refactored ? this.collectFacts(originals.refactored, pair, 'refactored', request) : null
+      }
+    };
+  }
+
+  collectFacts(ast, pair, side, request) {
+    const language = pair[`${side}Language`] || pair.language || request.language;
+    const facts = {};
+
+    if (request.crossLanguage) {
+      facts.units = this.crossLanguageMapper.collectUnits(ast, pair[`${side}Path`] || pair.filePath);
+    } else {
+      facts.calls = this.callGraphBuilder.collectUnits(ast, pair.filePath, language);
+      facts.module = { filePath: pair.filePath, language, imports: this.moduleGraphBuilder.collectImports(ast, language) };
+      facts.clones = this.cloneDetector.indexFile(ast, pair.filePath);
+    }
+    if (pair.language === 'jcl') {
+      facts.jobs = this.batchJobMapper.collectJobs(ast, pair[`${side}Path`]);
+    }
+
+    return facts;
+  }
+}
+
+module.exports = { FilePairAnalyzer };
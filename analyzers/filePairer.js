@@ -0,0 +1,189 @@
+const path = require('path');
+
+class FilePairer {
+  constructor(astAnalyzer) {
+    this.astAnalyzer = astAnalyzer;
+
+    this.thresholds = {
+      move: 0.6,      // 1->1 similarity to treat an add/remove as the same file
+      contained: 0.5  // share of a file's content found in another for splits/merges
+    };
+  }
+
+  // Files that path matching left as plain removals and additions; pair() compares them by
+  // their named elements
+  unmatched(pairs) {
+    const removed = pairs.filter(pair => pair.status === 'removed');
+    const added = pairs.filter(pair => pair.status === 'added');
+
+    return removed.length > 0 && added.length > 0 ? [...removed, ...added] : [];
+  }
+
+  // Re-pair files that path matching left as plain removals and additions. elements holds what
+  // namedElements() found in each unmatched() file; files without are compared on content alone.
+  pair(pairs, elements = new Map()) {
+    const removed = pairs.filter(pair => pair.status === 'removed');
+    const added = pairs.filter(pair => pair.status === 'added');
+
+    if (removed.length === 0 || added.length === 0) {
+      return { pairs, moves: [] };
+    }
+
+    const legacyFeatures = removed.map(pair => this.extractFeatures(pair.legacy, elements.get(pair)));
+    const refactoredFeatures = added.map(pair => this.extractFeatures(pair.refactored, elements.get(pair)));
+
+    const candidates = [];
+    removed.forEach((legacy, i) => {
+      added.forEach((refactored, j) => {
+        // In mixed-language analyses only files of the same language are paired
+        if (legacy.language !== refactored.language) return;
+
+        candidates.push({
+          i,
+          j,
+          similarity: this.calculateSimilarity(legacyFeatures[i], refactoredFeatures[j]),
+          // How much of each side is found in the other
+          legacyInRefactored: this.calculateContainment(legacyFeatures[i], refactoredFeatures[j]),
+          refactoredInLegacy: this.calculateContainment(refactoredFeatures[j], legacyFeatures[i])
+        });
+      });
+    });
+
+    const partners = new Map(); // removed index -> added index
+    const moves = [];
+
+    // 1 -> N splits: several new files mostly made of one removed file
+    removed.forEach((legacy, i) => {
+      const targets = candidates.filter(c => c.i === i && c.refactoredInLegacy >= this.thresholds.contained);
+      if (targets.length >= 2) {
+        moves.push(this.buildMove('split', [legacy], targets.map(c => added[c.j]), this.average(targets, 'refactoredInLegacy')));
+      }
+    });
+
+    // N -> 1 merges: one new file mostly made of several removed files
+    added.forEach((refactored, j) => {
+      const sources = candidates.filter(c => c.j === j && c.legacyInRefactored >= this.thresholds.contained);
+      if (sources.length >= 2) {
+        moves.push(this.buildMove('merge', sources.map(c => removed[c.i]), [refactored], this.average(sources, 'legacyInRefactored')));
+      }
+    });
+
+    // 1 -> 1 renames and moves, best matches first; split/merge parts are paired the same way
+    const usedAdded = new Set();
+    candidates
+      .filter(c => c.similarity >= this.thresholds.move || this.isSplitOrMergePart(c, moves, removed, added))
+      .sort((a, b) => b.similarity - a.similarity)
+      .forEach(c => {
+        if (partners.has(c.i) || usedAdded.has(c.j)) return;
+        partners.set(c.i, c.j);
+        usedAdded.add(c.j);
+
+        const inSplitOrMerge = this.isSplitOrMergePart(c, moves, removed, added);
+        if (!inSplitOrMerge) {
+          const legacyPath = removed[c.i].legacyPath;
+          const refactoredPath = added[c.j].refactoredPath;
+          const kind = path.posix.dirname(legacyPath) === path.posix.dirname(refactoredPath) ? 'rename' : 'move';
+          moves.push(this.buildMove(kind, [removed[c.i]], [added[c.j]], c.similarity));
+        }
+      });
+
+    const merged = new Set();
+    const result = pairs.filter(pair => pair.status !== 'removed' && pair.status !== 'added');
+
+    partners.forEach((j, i) => {
+      const legacy = removed[i];
+      const refactored = added[j];
+      merged.add(legacy).add(refactored);
+
+      result.push({
+        filePath: refactored.filePath,
+        status: 'moved',
+        language: refactored.language,
+        legacyLanguage: legacy.legacyLanguage,
+        refactoredLanguage: refactored.refactoredLanguage,
+        legacyPath: legacy.legacyPath,
+        refactoredPath: refactored.refactoredPath,
+        legacy: legacy.legacy,
+        refactored: refactored.refactored
+      });
+    });
+
+    result.push(...removed.filter(pair => !merged.has(pair)), ...added.filter(pair => !merged.has(pair)));
+    result.sort((a, b) => a.filePath.localeCompare(b.filePath));
+
+    return { pairs: result, moves };
+  }
+
+  isSplitOrMergePart(candidate, moves, removed, added) {
+    const legacyPath = removed[candidate.i].legacyPath;
+    const refactoredPath = added[candidate.j].refactoredPath;
+
+    return moves.some(move => (move.kind === 'split' || move.kind === 'merge') &&
+      move.from.includes(legacyPath) && move.to.includes(refactoredPath));
+  }
+
+  average(candidates, key) {
+    return candidates.reduce((sum, c) => sum + c[key], 0) / candidates.length;
+  }
+
+  buildMove(kind, legacyPairs, refactoredPairs, similarity) {
+    return {
+      kind,
+      from: legacyPairs.map(pair => pair.legacyPath),
+      to: refactoredPairs.map(pair => pair.refactoredPath),
+      similarity: Math.round(similarity * 100) / 100
+    };
+  }
+
+  extractFeatures(source, elements = []) {
+    const lines = new Set(
+      (source || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 2) // skip blank lines and lone braces
+    );
+
+    return { lines, elements: new Set(elements) };
+  }
+
+  // Named AST elements survive reformatting and reordering
+  namedElements(ast) {
+    return this.astAnalyzer.collectNamedNodes(ast).map(node => `${node.type}:${node.metadata.name}`);
+  }
+
+  calculateSimilarity(features1, features2) {
+    const lineSimilarity = this.dice(features1.lines, features2.lines);
+
+    if (features1.elements.size === 0 && features2.elements.size === 0) {
+      return lineSimilarity;
+    }
+
+    return (lineSimilarity + this.dice(features1.elements, features2.elements)) / 2;
+  }
+
+  // Share of `inner` found in `outer`
+  calculateContainment(inner, outer) {
+    const set = inner.elements.size > 0 ? 'elements' : 'lines';
+    if (inner[set].size === 0) return 0;
+
+    let shared = 0;
+    inner[set].forEach(item => {
+      if (outer[set].has(item)) shared++;
+    });
+
+    return shared / inner[set].size;
+  }
+
+  dice(set1, set2) {
+    if (set1.size === 0 && set2.size === 0) return 0;
+
+    let shared = 0;
+    set1.forEach(item => {
+      if (set2.has(item)) shared++;
+    });
+
+    return (2 * shared) / (set1.size + set2.size);
+  }
+}
+
+module.exports = { FilePairer };
@@ -17,9 +17,10 @@ class ImpactScorer {
     };
   }
 
-  async calculate(astDiffs, refactorTypes, language) {
+  async calculate(astDiffs, refactorTypes, language, options = {}) {
     const metrics = await this.calculateMetrics(astDiffs, refactorTypes, language);
-    const overallScore = this.calculateOverallScore(metrics);
+    // Scored with the language adjustments; the reported metrics stay as measured
+    const overallScore = this.calculateOverallScore(this.adjustForLanguage(metrics, astDiffs.files || [], language), options);
     const level = this.determineLevel(overallScore);
 
     return {
@@ -36,6 +37,11 @@ class ImpactScorer {
       newDependencies: [],
       removedDependencies: [],
       cyclomaticComplexityDelta: 0,
+      cognitiveComplexityDelta: 0,
+      halsteadVolumeDelta: 0,
+      halsteadDifficultyDelta: 0,
+      halsteadEffortDelta: 0,
+      maintainabilityIndexDelta: 0,
       testCoverageDelta: 0,
       astNodesChanged: 0,
       newInfrastructureComponents: 0,
@@ -87,8 +93,13 @@ class ImpactScorer {
       });
     });
 
-    // Calculate complexity delta (simplified)
-    metrics.cyclomaticComplexityDelta = this.calculateComplexityDelta(astDiffs, refactorTypes);
+    // Complexity delta summed over the functions of every file
+    const complexityDelta = this.calculateComplexityDelta(astDiffs);
+    metrics.cyclomaticComplexityDelta = complexityDelta.cyclomatic;
+    metrics.cognitiveComplexityDelta = complexityDelta.cognitive;
+
+    // Halstead and Maintainability Index deltas across all files
+    Object.assign(metrics, this.calculateMaintainabilityDelta(astDiffs));
 
     // Calculate test coverage delta (simplified)
     metrics.testCoverageDelta = this.calculateTestCoverageDelta(refactorTypes);
@@ -99,23 +110,32 @@ class ImpactScorer {
     return metrics;
   }
 
-  calculateOverallScore(metrics) {
+  calculateOverallScore(metrics, options = {}) {
     // Normalize metrics to 0-100 scale
     const normalizedMetrics = {
       linesChanged: this.normalizeLinesChanged(metrics.totalLinesChanged),
       astNodesChanged: this.normalizeASTNodes(metrics.astNodesChanged),
       newInfrastructure: this.normalizeInfrastructure(metrics.newInfrastructureComponents),
       testCoverage: this.normalizeTestCoverage(metrics.testCoverageDelta),
-      complexityDelta: this.normalizeComplexity(metrics.cyclomaticComplexityDelta)
+      complexityDelta: this.normalizeComplexity(metrics.cyclomaticComplexityDelta),
+      maintainability: this.normalizeMaintainability(metrics.maintainabilityIndexDelta)
     };
 
+    // Maintainability is an optional dimension; giving it weight scales the others down
+    const maintainabilityWeight = Math.min(Math.max(options.maintainabilityWeight || 0, 0), 1);
+    const weights = { maintainability: maintainabilityWeight };
+    Object.entries(this.weights).forEach(([key, weight]) => {
+      weights[key] = weight * (1 - maintainabilityWeight);
+    });
+
     // Calculate weighted score
     const score = 
-      (normalizedMetrics.linesChanged * this.weights.linesChanged) +
-      (normalizedMetrics.astNodesChanged * this.weights.astNodesChanged) +
-      (normalizedMetrics.newInfrastructure * this.weights.newInfrastructure) +
-      (normalizedMetrics.testCoverage * this.weights.testCoverage) +
-      (normalizedMetrics.complexityDelta * this.weights.complexityDelta);
+      (normalizedMetrics.linesChanged * weights.linesChanged) +
+      (normalizedMetrics.astNodesChanged * weights.astNodesChanged) +
+      (normalizedMetrics.newInfrastructure * weights.newInfrastructure) +
+      (normalizedMetrics.testCoverage * weights.testCoverage) +
+      (normalizedMetrics.complexityDelta * weights.complexityDelta) +
+      (normalizedMetrics.maintainability * weights.maintainability);
 
     return Math.round(Math.min(Math.max(score, 0), 100));
   }
@@ -161,6 +181,12 @@ class ImpactScorer {
     return Math.min(Math.max((10 - delta) * 5, 0), 100);
   }
 
+  normalizeMaintainability(delta) {
+    // Maintainability Index changes (positive is good, negative is bad)
+    // Scale from -20 to +20 to 0-100
+    return Math.min(Math.max((delta + 20) * 2.5, 0), 100);
+  }
+
   extractDependencies(evidence) {
     const dependencies = [];
     
@@ -184,40 +210,59 @@ class ImpactScorer {
     return dependencies;
   }
 
-  calculateComplexityDelta(astDiffs, refactorTypes) {
-    // Simplified complexity calculation
-    let delta = 0;
-
-    // Add complexity for new infrastructure components
-    const complexTypes = [
-      'Service Extraction',
-      'Cloud Migration',
-      'Event-driven',
-      'Infrastructure as Code'
-    ];
+  calculateComplexityDelta(astDiffs) {
+    const delta = { cyclomatic: 0, cognitive: 0 };
 
-    refactorTypes.forEach(refactor => {
-      if (complexTypes.includes(refactor.type)) {
-        delta += refactor.level * 2;
-      } else {
-        delta += refactor.level;
-      }
+    astDiffs.files?.forEach(file => {
+      delta.cyclomatic += file.complexity?.delta.cyclomatic || 0;
+      delta.cognitive += file.complexity?.delta.cognitive || 0;
     });
 
-    // Subtract complexity for simplifications
-    const simplifyingTypes = [
-      'Extract Method',
-      'Inline Method',
-      'Rename Symbol'
-    ];
+    return delta;
+  }
 
-    refactorTypes.forEach(refactor => {
-      if (simplifyingTypes.includes(refactor.type)) {
-        delta -= refactor.level;
-      }
+  // Volume and effort add up across files; difficulty and the Maintainability Index are
+  // averaged per side, weighted by lines, so added and removed files count on their side only
+  calculateMaintainabilityDelta(astDiffs) {
+    const sides = {
+      legacy: { lines: 0, difficulty: 0, maintainabilityIndex: 0 },
+      refactored: { lines: 0, difficulty: 0, maintainabilityIndex: 0 }
+    };
+    const delta = {
+      halsteadVolumeDelta: 0,
+      halsteadDifficultyDelta: 0,
+      halsteadEffortDelta: 0,
+      maintainabilityIndexDelta: 0
+    };
+
+    astDiffs.files?.forEach(file => {
+      if (!file.maintainability) return;
+
+      delta.halsteadVolumeDelta += file.maintainability.delta.volume;
+      delta.halsteadEffortDelta += file.maintainability.delta.effort;
+
+      Object.keys(sides).forEach(side => {
+        const metrics = file.maintainability[side];
+        if (metrics.maintainabilityIndex === null) return;
+        sides[side].lines += metrics.lines;
+        sides[side].difficulty += metrics.difficulty * metrics.lines;
+        sides[side].maintainabilityIndex += metrics.maintainabilityIndex * metrics.lines;
+      });
     });
 
-    return Math.max(delta, -10); // Cap at -10
+    const average = (side, key) => (sides[side].lines > 0 ? sides[side][key] / sides[side].lines : 0);
+    const round = value => Math.round(value * 100) / 100;
+
+    // Without code on both sides there is nothing to compare
+    if (sides.legacy.lines > 0 && sides.refactored.lines > 0) {
+      delta.halsteadDifficultyDelta = average('refactored', 'difficulty') - average('legacy', 'difficulty');
+      delta.maintainabilityIndexDelta = average('refactored', 'maintainabilityIndex') - average('legacy', 'maintainabilityIndex');
+    }
+
+    Object.keys(delta).forEach(key => {
+      delta[key] = round(delta[key]);
+    });
+    return delta;
   }
 
   calculateTestCoverageDelta(refactorTypes) {
@@ -236,8 +281,9 @@ class ImpactScorer {
     return Math.max(Math.min(delta, 50), -50); // Cap between -50 and +50
   }
 
-  // Language-specific scoring adjustments
-  adjustForLanguage(metrics, language) {
+  // Language-specific scoring adjustments, per file: complexity deltas scale by the language of
+  // their file, and infrastructure, which is analysis-wide, by the heaviest language analyzed
+  adjustForLanguage(metrics, files, language) {
     const adjustments = {
       java: {
         complexityMultiplier: 1.1, // Java tends to be more complex
@@ -247,6 +293,10 @@ class ImpactScorer {
         complexityMultiplier: 0.9, // JavaScript is generally simpler
         infrastructureWeight: 1.0
       },
+      typescript: {
+        complexityMultiplier: 0.95, // Types add declarations but not control flow
+        infrastructureWeight: 1.0
+      },
       python: {
         complexityMultiplier: 0.95,
         infrastructureWeight: 1.0
@@ -262,15 +312,34 @@ class ImpactScorer {
       csharp: {
         complexityMultiplier: 1.05,
         infrastructureWeight: 1.1
+      },
+      cobol: {
+        complexityMultiplier: 1.2, // Shared data and GO TO control flow
+        infrastructureWeight: 1.3  // Leaving the mainframe is a platform change
+      },
+      pli: {
+        complexityMultiplier: 1.2,
+        infrastructureWeight: 1.3
+      },
+      jcl: {
+        complexityMultiplier: 0.8, // Job streams have little control flow
+        infrastructureWeight: 1.5  // Replacing jobs means new schedulers and runtimes
       }
     };
 
-    const adjustment = adjustments[language] || { complexityMultiplier: 1.0, infrastructureWeight: 1.0 };
-    
-    metrics.cyclomaticComplexityDelta *= adjustment.complexityMultiplier;
-    metrics.newInfrastructureComponents *= adjustment.infrastructureWeight;
+    const adjustmentFor = fileLanguage => adjustments[fileLanguage] || { complexityMultiplier: 1.0, infrastructureWeight: 1.0 };
+    const measured = files.filter(file => file.complexity);
+    const languages = measured.length > 0 ? measured.map(file => file.language || language) : [language];
 
-    return metrics;
+    return {
+      ...metrics,
+      cyclomaticComplexityDelta: measured.reduce(
+        (sum, file) => sum + (file.complexity.delta.cyclomatic || 0) * adjustmentFor(file.language || language).complexityMultiplier,
+        0
+      ),
+      newInfrastructureComponents: metrics.newInfrastructureComponents *
+        Math.max(...languages.map(fileLanguage => adjustmentFor(fileLanguage).infrastructureWeight))
+    };
   }
 
   // Generate impact description
@@ -0,0 +1,302 @@
+// JCL job-stream parser. Builds normalized ASTs of jobs, steps and DD statements
+// so batch jobs can be diffed and mapped like any other source.
+const { ASTNode } = require('./astNode');
+
+// Nesting depth of container nodes; opening one closes everything at the same depth or deeper
+const RANKS = {
+  job: 1,
+  procedure: 1,
+  step: 2,
+  dd_statement: 3
+};
+
+class JclParser {
+  parse(source) {
+    const lines = source.split(/\r?\n/);
+    const root = this.createNode('source_file', 0, 0);
+    const stack = [root];
+    let lastDd = null;
+
+    this.readStatements(lines).forEach(statement => {
+      const node = this.createStatement(statement);
+
+      // Unnamed DD statements concatenate datasets onto the previous DD
+      if (node.type === 'dd_statement' && !statement.name && lastDd) {
+        lastDd.metadata.dependencies.push(...node.metadata.dependencies);
+        lastDd.endPosition.row = statement.endRow;
+        return;
+      }
+
+      if (node.type === 'pend_statement') {
+        this.closeTo(stack, RANKS.procedure);
+        return;
+      }
+
+      // Other statements (INCLUDE, SET, IF...) belong to the enclosing step or job, never to a DD
+      const rank = RANKS[node.type];
+      this.closeTo(stack, rank || RANKS.dd_statement);
+      stack[stack.length - 1].children.push(node);
+      if (rank) stack.push(node);
+
+      lastDd = node.type === 'dd_statement' ? node : null;
+    });
+
+    this.finalize(root, lines);
+    root.text = source;
+    return root;
+  }
+
+  // Group physical lines into statements: continuations are folded in and
+  // in-stream data is kept with the DD statement that introduces it
+  readStatements(lines) {
+    const statements = [];
+    let current = null;
+    let inStreamDelimiter = null;
+
+    lines.forEach((raw, row) => {
+      const line = raw.replace(/\s+$/, '');
+
+      if (inStreamDelimiter) {
+        const isDelimiter = line.startsWith(inStreamDelimiter);
+        // Without DLM=, the next JCL statement also ends the data
+        const isNextStatement = inStreamDelimiter === '/*' && line.startsWith('//');
+
+        if (!isNextStatement) {
+          current.endRow = row;
+          if (isDelimiter) inStreamDelimiter = null;
+          return;
+        }
+        inStreamDelimiter = null;
+      }
+
+      if (!line.startsWith('//') || line.startsWith('//*') || line === '//') return;
+
+      // "//  more,operands" continues a statement whose operands ended with a comma
+      if (current && current.continues && /^\/\/\s+\S/.test(line)) {
+        const operands = this.readOperands(line.slice(2).trim());
+        current.operands += operands.text;
+        current.continues = operands.continues;
+        current.endRow = row;
+        return;
+      }
+
+      const match = line.match(/^\/\/(\S*)\s+(\S+)\s*(.*)$/);
+      if (!match) return;
+
+      const operands = this.readOperands(match[3]);
+      current = {
+        name: match[1].toUpperCase(),
+        operation: match[2].toUpperCase(),
+        operands: operands.text,
+        continues: operands.continues,
+        startRow: row,
+        endRow: row
+      };
+      statements.push(current);
+
+      if (current.operation === 'DD') {
+        const positional = operands.text.split(',')[0].toUpperCase();
+        const delimiter = operands.text.match(/\bDLM=(['"]?)(..)\1/i);
+        if (positional === '*' || positional === 'DATA') {
+          inStreamDelimiter = delimiter ? delimiter[2] : '/*';
+        }
+      }
+    });
+
+    return statements;
+  }
+
+  // Operands end at the first blank outside quotes and parentheses; the rest is a comment
+  readOperands(text) {
+    let depth = 0;
+    let quote = false;
+    let end = text.length;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === "'") quote = !quote;
+      else if (!quote && char === '(') depth++;
+      else if (!quote && char === ')') depth--;
+      else if (!quote && depth === 0 && char === ' ') {
+        end = i;
+        break;
+      }
+    }
+
+    const operands = text.slice(0, end);
+    return { text: operands, continues: operands.endsWith(',') };
+  }
+
+  // Split "PGM=X,PARM='A,B',DISP=(NEW,CATLG)" into positional and keyword parameters
+  parseOperands(text) {
+    const positional = [];
+    const keywords = {};
+    let depth = 0;
+    let quote = false;
+    let current = '';
+
+    const flush = () => {
+      if (!current) return;
+      const equals = current.indexOf('=');
+      if (equals > 0 && /^[A-Z][\w.]*$/i.test(current.slice(0, equals))) {
+        keywords[current.slice(0, equals).toUpperCase()] = current.slice(equals + 1);
+      } else {
+        positional.push(current);
+      }
+      current = '';
+    };
+
+    for (const char of text) {
+      if (char === "'") quote = !quote;
+      else if (!quote && char === '(') depth++;
+      else if (!quote && char === ')') depth--;
+      else if (!quote && depth === 0 && char === ',') {
+        flush();
+        continue;
+      }
+      current += char;
+    }
+    flush();
+
+    return { positional, keywords };
+  }
+
+  createStatement(statement) {
+    const { positional, keywords } = this.parseOperands(statement.operands);
+    const node = this.createNode(this.statementType(statement.operation), statement.startRow, statement.endRow);
+    const metadata = node.metadata;
+    metadata.name = statement.name || null;
+
+    switch (node.type) {
+      case 'job':
+        ['CLASS', 'MSGCLASS', 'TYPRUN', 'REGION', 'TIME'].forEach(keyword => {
+          if (keywords[keyword]) metadata.modifiers.push(`${keyword}=${keywords[keyword]}`);
+        });
+        break;
+      case 'step': {
+        // EXEC PGM=X runs a program; EXEC X or EXEC PROC=X runs a procedure
+        const program = keywords.PGM;
+        const procedure = keywords.PROC || positional[0];
+        if (program) {
+          metadata.returnType = this.unquote(program).toUpperCase();
+          metadata.dependencies.push(metadata.returnType);
+        } else if (procedure) {
+          metadata.dependencies.push(procedure.toUpperCase());
+          metadata.modifiers.push('PROC');
+        }
+        if (keywords.PARM) metadata.parameters.push(this.unquote(keywords.PARM));
+        if (keywords.COND) metadata.modifiers.push(`COND=${keywords.COND}`);
+        break;
+      }
+      case 'dd_statement': {
+        const dataset = keywords.DSN || keywords.DSNAME;
+        if (dataset) metadata.dependencies.push(dataset.toUpperCase());
+        if (keywords.DISP) metadata.modifiers.push(`DISP=${keywords.DISP}`);
+        if (keywords.SYSOUT) metadata.modifiers.push(`SYSOUT=${keywords.SYSOUT}`);
+        if (['*', 'DATA'].includes((positional[0] || '').toUpperCase())) metadata.modifiers.push('INSTREAM');
+        if ((positional[0] || '').toUpperCase() === 'DUMMY') metadata.modifiers.push('DUMMY');
+        break;
+      }
+      case 'include_statement':
+        if (keywords.MEMBER) {
+          metadata.name = keywords.MEMBER.toUpperCase();
+          metadata.imports.push(metadata.name);
+        }
+        break;
+      case 'jcllib_statement':
+        (keywords.ORDER || '').replace(/[()]/g, '').split(',').filter(Boolean).forEach(library => {
+          metadata.imports.push(library.trim().toUpperCase());
+        });
+        break;
+    }
+
+    return node;
+  }
+
+  statementType(operation) {
+    switch (operation) {
+      case 'JOB':
+        return 'job';
+      case 'PROC':
+        return 'procedure';
+      case 'EXEC':
+        return 'step';
+      case 'DD':
+        return 'dd_statement';
+      default:
+        return `${operation.toLowerCase()}_statement`;
+    }
+  }
+
+  closeTo(stack, rank) {
+    while (stack.length > 1 && RANKS[stack[stack.length - 1].type] >= rank) {
+      stack.pop();
+    }
+  }
+
+  // Offsets into the source lines are filled in by finalize(), once the rows a node spans are known
+  createNode(type, startRow, endRow) {
+    return new ASTNode(
+      type,
+      '',
+      0,
+      0,
+      { row: startRow, column: 0 },
+      { row: endRow, column: 0 },
+      'jcl',
+      {
+        name: null,
+        parameters: [],
+        returnType: null,
+        modifiers: [],
+        annotations: [],
+        imports: [],
+        dependencies: []
+      }
+    );
+  }
+
+  // Containers end with their last child; jobs and procedures depend on every program they run.
+  // Every node then points into the source lines joined by plain newlines. Children come after
+  // their parent in preorder, so walking it backwards finishes them first.
+  finalize(root, lines) {
+    const text = lines.join('\n');
+    const lineStarts = [];
+    lines.reduce((offset, line) => {
+      lineStarts.push(offset);
+      return offset + line.length + 1;
+    }, 0);
+
+    const nodes = [];
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      nodes.push(node);
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+    }
+
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      node.children.forEach(child => {
+        node.endPosition.row = Math.max(node.endPosition.row, child.endPosition.row);
+
+        if ((node.type === 'job' || node.type === 'procedure') && child.type === 'step') {
+          child.metadata.dependencies
+            .filter(dependency => !node.metadata.dependencies.includes(dependency))
+            .forEach(dependency => node.metadata.dependencies.push(dependency));
+        }
+      });
+
+      node.endPosition.column = (lines[node.endPosition.row] || '').length;
+      node.source = text;
+      node.startIndex = lineStarts[node.startPosition.row];
+      node.endIndex = lineStarts[node.endPosition.row] + node.endPosition.column;
+    }
+  }
+
+  unquote(value) {
+    return value.replace(/^\(?'(.*)'\)?$/, '$1').replace(/^\((.*)\)$/, '$1');
+  }
+}
+
+module.exports = { JclParser };
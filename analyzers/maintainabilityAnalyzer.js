@@ -0,0 +1,176 @@
+const { ComplexityAnalyzer } = require('./complexityAnalyzer');
+
+// Leaf tokens that name or hold a value; every other token (keywords, punctuation,
+// operators) is an operator
+const OPERAND_PATTERN = /identifier$|literal$|^(number|integer|float|true|false|none|null|undefined|this|self|super)$/;
+
+// String nodes are one operand, interpolations included
+const STRING_TYPES = [
+  'string',
+  'template_string',
+  'string_literal',
+  'char_literal',
+  'character_literal',
+  'raw_string_literal',
+  'verbatim_string_literal',
+  'interpolated_string_expression'
+];
+
+// Hand-written front ends keep whole statements as text; these words act as operators there
+const STATEMENT_KEYWORDS = new Set([
+  'TO', 'FROM', 'BY', 'INTO', 'GIVING', 'USING', 'UNTIL', 'VARYING', 'WHILE', 'TIMES', 'THRU', 'THROUGH',
+  'IF', 'THEN', 'ELSE', 'WHEN', 'OTHER', 'OTHERWISE', 'AND', 'OR', 'NOT', 'END-IF', 'END-EVALUATE',
+  'END-PERFORM', 'END-READ', 'END', 'DO', 'RETURN', 'RETURNS', 'CALL', 'GO', 'EQUAL', 'GREATER', 'LESS', 'THAN'
+]);
+
+const FRONT_END_LANGUAGES = ['cobol', 'pli', 'jcl'];
+
+// Halstead volume, difficulty and effort, and the Maintainability Index, per file and function
+class MaintainabilityAnalyzer {
+  constructor(complexityAnalyzer = new ComplexityAnalyzer()) {
+    this.complexityAnalyzer = complexityAnalyzer;
+  }
+
+  compare(legacyAST, refactoredAST) {
+    const legacy = this.analyze(legacyAST);
+    const refactored = this.analyze(refactoredAST);
+
+    const functions = [];
+    refactored.functions.forEach((after, key) => {
+      const before = legacy.functions.get(key);
+      functions.push({ name: after.name, legacy: before ? before.metrics : null, refactored: after.metrics });
+    });
+    legacy.functions.forEach((before, key) => {
+      if (!refactored.functions.has(key)) functions.push({ name: before.name, legacy: before.metrics, refactored: null });
+    });
+
+    return {
+      legacy: legacy.file,
+      refactored: refactored.file,
+      delta: this.delta(legacy.file, refactored.file),
+      functions
+    };
+  }
+
+  analyze(ast) {
+    const complexity = this.complexityAnalyzer.analyze(ast);
+
+    const functions = new Map();
+    complexity.forEach((entry, key) => {
+      functions.set(key, {
+        name: entry.name,
+        metrics: this.measure(entry.node, entry.complexity.cyclomatic, true)
+      });
+    });
+
+    // A file's cyclomatic complexity is that of its functions, or 1 for straight-line code
+    const cyclomatic = [...complexity.values()].reduce((sum, entry) => sum + entry.complexity.cyclomatic, 0) || 1;
+
+    return { file: this.measure(ast, cyclomatic, false), functions };
+  }
+
+  measure(root, cyclomatic, skipNestedFunctions) {
+    const counts = this.countTokens(root, skipNestedFunctions);
+    const halstead = this.halstead(counts);
+    const lines = (root.text || '').split('\n').filter(line => line.trim()).length;
+
+    return {
+      lines,
+      ...halstead,
+      maintainabilityIndex: this.maintainabilityIndex(halstead.volume, cyclomatic, lines)
+    };
+  }
+
+  countTokens(root, skipNestedFunctions) {
+    const operators = new Map();
+    const operands = new Map();
+    const add = (map, token) => map.set(token, (map.get(token) || 0) + 1);
+
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+
+      if (/comment/.test(node.type)) continue;
+      // Named functions nested in the one being measured are measured on their own
+      if (skipNestedFunctions && node !== root && this.complexityAnalyzer.isFunction(node)) continue;
+
+      if (FRONT_END_LANGUAGES.includes(node.language)) {
+        this.statementTokens(node).forEach(({ token, operator }) => add(operator ? operators : operands, token));
+      } else if (STRING_TYPES.includes(node.type)) {
+        add(operands, node.text);
+        continue;
+      } else if (node.children.length === 0 && node.text) {
+        add(OPERAND_PATTERN.test(node.type) ? operands : operators, node.text);
+      }
+
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+    }
+
+    return {
+      distinctOperators: operators.size,
+      distinctOperands: operands.size,
+      totalOperators: [...operators.values()].reduce((sum, count) => sum + count, 0),
+      totalOperands: [...operands.values()].reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  // Statements of the COBOL, PL/I and JCL front ends: the verb, keywords and symbols are
+  // operators, names and literals operands. PL/I groups only contribute their opening statement.
+  statementTokens(node) {
+    let text;
+    if (node.children.length === 0) {
+      text = node.text;
+    } else if (node.language === 'pli') {
+      text = (node.text || '').split(';')[0];
+    } else {
+      return [];
+    }
+
+    const tokens = (text || '').match(/'[^']*'|"[^"]*"|[\w#@$-]+|[^\s\w]/g) || [];
+    return tokens.map((token, index) => ({
+      token: /^\w/.test(token) ? token.toUpperCase() : token,
+      operator: index === 0 || STATEMENT_KEYWORDS.has(token.toUpperCase()) || /^[^\w'"#@$]$/.test(token)
+    }));
+  }
+
+  halstead({ distinctOperators, distinctOperands, totalOperators, totalOperands }) {
+    const vocabulary = distinctOperators + distinctOperands;
+    const length = totalOperators + totalOperands;
+    const volume = vocabulary > 1 ? length * Math.log2(vocabulary) : 0;
+    const difficulty = distinctOperands > 0 ? (distinctOperators / 2) * (totalOperands / distinctOperands) : 0;
+
+    return {
+      vocabulary,
+      length,
+      volume: this.round(volume),
+      difficulty: this.round(difficulty),
+      effort: this.round(difficulty * volume)
+    };
+  }
+
+  // MI = 171 - 5.2 ln(V) - 0.23 CC - 16.2 ln(LOC), rescaled to 0-100; none for empty code
+  maintainabilityIndex(volume, cyclomatic, lines) {
+    if (lines === 0) return null;
+
+    const index = 171 - (5.2 * Math.log(Math.max(volume, 1))) - (0.23 * cyclomatic) - (16.2 * Math.log(lines));
+    return this.round(Math.min(Math.max((index * 100) / 171, 0), 100));
+  }
+
+  delta(legacy, refactored) {
+    return {
+      volume: this.round(refactored.volume - legacy.volume),
+      difficulty: this.round(refactored.difficulty - legacy.difficulty),
+      effort: this.round(refactored.effort - legacy.effort),
+      // Added and removed files have nothing to compare against
+      maintainabilityIndex: legacy.maintainabilityIndex !== null && refactored.maintainabilityIndex !== null
+        ? this.round(refactored.maintainabilityIndex - legacy.maintainabilityIndex)
+        : null
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = { MaintainabilityAnalyzer };
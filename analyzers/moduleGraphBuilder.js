@@ -0,0 +1,257 @@
+const path = require('path');
+
+// Extensions tried, in order, when an import names a module without one
+const RESOLVE_EXTENSIONS = ['', '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '.py', '/index.js', '/index.ts', '/__init__.py'];
+
+class ModuleGraphBuilder {
+  constructor(astAnalyzer) {
+    this.astAnalyzer = astAnalyzer;
+  }
+
+  // Import graph of one side ('legacy' or 'refactored') from the { filePath, language, imports }
+  // of each of its files: every file is a module, and imports that resolve to another of the
+  // files are its dependencies. When only the changed files are given, relative imports of the
+  // others still count, under the path they resolve to.
+  build(files) {
+    const modules = new Map(files.map(module => [module.filePath, module]));
+
+    const edges = new Map();
+    const external = new Map();
+    modules.forEach(module => {
+      external.set(module.filePath, new Set());
+      module.imports.forEach(specifier => {
+        const targets = this.resolve(specifier, module, modules);
+        if (targets.length === 0) external.get(module.filePath).add(specifier);
+        targets
+          .filter(target => target !== module.filePath)
+          .forEach(target => edges.set(`${module.filePath} -> ${target}`, { from: module.filePath, to: target }));
+      });
+    });
+
+    edges.forEach(edge => {
+      if (!modules.has(edge.to)) {
+        modules.set(edge.to, { filePath: edge.to, language: modules.get(edge.from).language, imports: [] });
+        external.set(edge.to, new Set());
+      }
+    });
+
+    return { modules, edges, external };
+  }
+
+  collectImports(ast, language) {
+    const imports = new Set();
+
+    this.astAnalyzer.collectAllNodes(ast).forEach(node => {
+      (node.metadata?.imports || []).forEach(text => {
+        const specifier = this.importTarget(text, language);
+        if (specifier) imports.add(specifier);
+      });
+    });
+
+    return [...imports];
+  }
+
+  // The module an import statement names, in the language's own notation
+  importTarget(text, language) {
+    let match;
+    switch (language) {
+      case 'javascript':
+      case 'typescript':
+        match = text.match(/(?:from\s*|require\s*\(\s*|^import\s*)['"`]([^'"`]+)['"`]/);
+        return match ? match[1] : null;
+      case 'python':
+        match = text.match(/^from\s+([\w.]+)\s+import/) || text.match(/^import\s+([\w.]+)/);
+        return match ? match[1] : null;
+      case 'java':
+        match = text.match(/^import\s+(static\s+)?([\w.]+(?:\.\*)?)\s*;/);
+        if (!match) return null;
+        // import static com.acme.Util.format imports from com.acme.Util
+        return match[1] ? match[2].replace(/\.(\w+|\*)$/, '') : match[2];
+      case 'csharp':
+        match = text.match(/^(?:global\s+)?using\s+(?:static\s+)?(?:\w+\s*=\s*)?([\w.]+)\s*;/);
+        return match ? match[1] : null;
+      case 'c':
+      case 'cpp':
+        match = text.match(/#\s*include\s*[<"]([^>"]+)[>"]/);
+        return match ? match[1] : null;
+      default:
+        // COBOL copybooks, PL/I and JCL includes are plain member names
+        return /^[\w#@$.-]+$/.test(text) ? text : null;
+    }
+  }
+
+  // Analyzed files an import refers to; none for libraries and anything outside the analysis
+  resolve(specifier, module, modules) {
+    const filePaths = [...modules.keys()];
+    const directory = path.posix.dirname(module.filePath);
+    const withoutExtension = filePath => filePath.replace(/\.[^./]+$/, '');
+
+    switch (module.language) {
+      case 'javascript':
+      case 'typescript':
+      case 'c':
+      case 'cpp': {
+        // Relative paths resolve against the importing file; C includes also by file name
+        if (specifier.startsWith('.')) {
+          const base = path.posix.join(directory, specifier);
+          const found = RESOLVE_EXTENSIONS.map(extension => base + extension).find(candidate => modules.has(candidate));
+          if (found) return [found];
+          if (module.language === 'javascript' || module.language === 'typescript') {
+            return [path.posix.extname(base) ? base : base + path.posix.extname(module.filePath)];
+          }
+          return [];
+        }
+        if (module.language === 'c' || module.language === 'cpp') {
+          return filePaths.filter(filePath => filePath === specifier || filePath.endsWith(`/${specifier}`));
+        }
+        return [];
+      }
+      case 'python': {
+        // from ..models import x climbs one package per extra dot
+        const dots = specifier.match(/^\.*/)[0].length;
+        const parts = specifier.slice(dots).split('.').filter(Boolean);
+        let base = parts.join('/');
+        if (dots > 0) {
+          let anchor = directory;
+          for (let i = 1; i < dots; i++) anchor = path.posix.dirname(anchor);
+          base = path.posix.join(anchor, base);
+        }
+        const found = filePaths.filter(filePath => {
+          const name = withoutExtension(filePath).replace(/\/__init__$/, '');
+          return dots > 0 ? name === base : name === base || name.endsWith(`/${base}`);
+        });
+        if (found.length > 0) return found;
+
+        // from app.services import billing imports the modules of a package
+        const inPackage = filePaths.filter(filePath => {
+          const fileDirectory = path.posix.dirname(filePath);
+          return fileDirectory === base || (dots === 0 && fileDirectory.endsWith(`/${base}`));
+        });
+        return inPackage.length === 0 && dots > 0 ? [`${base}.py`] : inPackage;
+      }
+      case 'java':
+      case 'csharp': {
+        // com.acme.Order -> .../com/acme/Order.java; com.acme.* and namespaces -> files in .../com/acme/
+        const wildcard = specifier.endsWith('.*');
+        const parts = specifier.replace(/\.\*$/, '').split('.');
+        const qualified = parts.join('/');
+        const typeMatches = wildcard ? [] : filePaths.filter(filePath => {
+          const name = withoutExtension(filePath);
+          return name === qualified || name.endsWith(`/${qualified}`);
+        });
+        if (typeMatches.length > 0) return typeMatches;
+
+        return filePaths.filter(filePath => {
+          const fileDirectory = path.posix.dirname(filePath);
+          return fileDirectory === qualified || fileDirectory.endsWith(`/${qualified}`);
+        });
+      }
+      default: {
+        const member = specifier.toUpperCase();
+        return filePaths.filter(filePath => withoutExtension(path.posix.basename(filePath)).toUpperCase() === member);
+      }
+    }
+  }
+
+  // Afferent (Ca) and efferent (Ce) coupling per module; instability is Ce / (Ca + Ce)
+  coupling(graph) {
+    const coupling = new Map();
+    graph.modules.forEach((module, filePath) => coupling.set(filePath, { afferent: 0, efferent: 0 }));
+    graph.edges.forEach(edge => {
+      coupling.get(edge.from).efferent++;
+      coupling.get(edge.to).afferent++;
+    });
+    coupling.forEach(metrics => {
+      const total = metrics.afferent + metrics.efferent;
+      metrics.instability = total > 0 ? Math.round((metrics.efferent / total) * 100) / 100 : 0;
+    });
+    return coupling;
+  }
+
+  // Coupling changes are those of changedModules when given, of every module otherwise
+  diff(legacyGraph, refactoredGraph, layers = [], changedModules = null) {
+    const legacyCoupling = this.coupling(legacyGraph);
+    const refactoredCoupling = this.coupling(refactoredGraph);
+
+    const couplingChanges = [];
+    refactoredCoupling.forEach((after, filePath) => {
+      if (changedModules && !changedModules.has(filePath)) return;
+      const before = legacyCoupling.get(filePath) || null;
+      if (before && before.afferent === after.afferent && before.efferent === after.efferent) return;
+      couplingChanges.push({ module: filePath, legacy: before, refactored: after });
+    });
+
+    // Only violations the refactor introduced; existing ones are the baseline
+    const legacyViolations = new Set(this.findViolations(legacyGraph, layers).map(violation => `${violation.from} -> ${violation.to}`));
+    const layerViolations = this.findViolations(refactoredGraph, layers)
+      .filter(violation => !legacyViolations.has(`${violation.from} -> ${violation.to}`));
+
+    return {
+      summary: {
+        legacy: this.summarize(legacyGraph, legacyCoupling),
+        refactored: this.summarize(refactoredGraph, refactoredCoupling)
+      },
+      dependenciesAdded: [...refactoredGraph.edges].filter(([key]) => !legacyGraph.edges.has(key)).map(([, edge]) => edge),
+      dependenciesRemoved: [...legacyGraph.edges].filter(([key]) => !refactoredGraph.edges.has(key)).map(([, edge]) => edge),
+      coupling: couplingChanges,
+      layerViolations
+    };
+  }
+
+  summarize(graph, coupling) {
+    const instabilities = [...coupling.values()].map(metrics => metrics.instability);
+    const external = new Set();
+    graph.external.forEach(specifiers => specifiers.forEach(specifier => external.add(specifier)));
+
+    return {
+      modules: graph.modules.size,
+      dependencies: graph.edges.size,
+      externalDependencies: external.size,
+      averageInstability: instabilities.length > 0
+        ? Math.round((instabilities.reduce((sum, value) => sum + value, 0) / instabilities.length) * 100) / 100
+        : 0
+    };
+  }
+
+  // Layers come from org settings: { name, patterns: ['**/controllers/**'], allowed: ['service'] }.
+  // A module may import its own layer, the layers it is allowed, and anything outside every layer.
+  findViolations(graph, layers) {
+    if (!layers || layers.length === 0) return [];
+
+    const matchers = layers.map(layer => ({
+      ...layer,
+      regexes: (layer.patterns || []).map(pattern => this.globToRegExp(pattern))
+    }));
+    const layerOf = filePath => matchers.find(layer => layer.regexes.some(regex => regex.test(filePath))) || null;
+
+    const violations = [];
+    graph.edges.forEach(edge => {
+      const fromLayer = layerOf(edge.from);
+      const toLayer = layerOf(edge.to);
+      if (!fromLayer || !toLayer || fromLayer.name === toLayer.name) return;
+      if ((fromLayer.allowed || []).includes(toLayer.name)) return;
+
+      violations.push({ from: edge.from, to: edge.to, fromLayer: fromLayer.name, toLayer: toLayer.name });
+    });
+
+    return violations;
+  }
+
+  // ** spans directories, * and ? stay within one; patterns without a slash match file names anywhere
+  globToRegExp(pattern) {
+    const source = pattern
+      .split(/(\*\*\/?|\*|\?)/)
+      .map(part => {
+        if (part === '**/') return '(?:.*/)?';
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    return new RegExp(pattern.includes('/') ? `^${source}$` : `(^|/)${source}$`, 'i');
+  }
+}
+
+module.exports = { ModuleGraphBuilder };
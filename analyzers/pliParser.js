@@ -0,0 +1,312 @@
+// PL/I front end. Like the COBOL front end it builds normalized ASTs directly,
+// since there is no tree-sitter grammar for PL/I.
+const { ASTNode } = require('./astNode');
+
+// Statements that start a group closed by a matching END
+const GROUP_OPENERS = /^(PROC|PROCEDURE|BEGIN|DO|SELECT)\b|\b(THEN|ELSE|OTHERWISE|OTHER)\s+(DO|BEGIN)\b|\bWHEN\s*\(.*\)\s*(DO|BEGIN)\b|^ON\s+[\w-]+(\s*\([^)]*\))?\s*(SNAP\s+)?BEGIN\b/i;
+
+const GROUP_TYPES = {
+  PROC: 'procedure',
+  PROCEDURE: 'procedure',
+  BEGIN: 'begin_block',
+  DO: 'do_group',
+  SELECT: 'select_group'
+};
+
+class PliParser {
+  parse(source) {
+    const code = this.blankNonCode(source);
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const root = this.createNode('source_file', 0, source.length, source, lineStarts);
+    const stack = [root];
+    const groupLabels = new Map(); // open group -> its labels, which an END may name
+
+    this.splitStatements(code).forEach(statement => {
+      const { labels, body } = this.splitLabels(statement.text);
+      const keyword = (body.match(/^%?[A-Z][\w]*/i) || [''])[0].toUpperCase();
+      const parent = stack[stack.length - 1];
+
+      if (keyword === 'END') {
+        // END [label] closes the innermost group, or every group up to the labeled one
+        const label = body.split(/\s+/)[1]?.toUpperCase();
+        const target = label && stack.slice(1).reverse().find(node => groupLabels.get(node).includes(label));
+        while (stack.length > 1) {
+          const closed = stack.pop();
+          this.extendTo(closed, statement.end, lineStarts);
+          if (!target || closed === target) break;
+        }
+        return;
+      }
+
+      const node = this.createStatement(keyword, body, statement, source, lineStarts);
+      if (labels.length > 0 && !node.metadata.name && node.type === 'procedure') {
+        node.metadata.name = labels[0];
+      }
+      parent.children.push(node);
+
+      if (GROUP_OPENERS.test(body)) {
+        groupLabels.set(node, labels);
+        stack.push(node);
+      }
+    });
+
+    this.finalize(root, lineStarts);
+    return root;
+  }
+
+  // Replace comments (and sequence numbers in columns 73-80) with spaces, keeping offsets intact
+  blankNonCode(source) {
+    const chars = source.split('');
+    let quote = null;
+
+    for (let i = 0; i < chars.length; i++) {
+      if (quote) {
+        if (chars[i] === quote) quote = null;
+      } else if (chars[i] === "'" || chars[i] === '"') {
+        quote = chars[i];
+      } else if (chars[i] === '/' && chars[i + 1] === '*') {
+        const end = source.indexOf('*/', i + 2);
+        const stop = end === -1 ? chars.length : end + 2;
+        for (let j = i; j < stop; j++) {
+          if (chars[j] !== '\n') chars[j] = ' ';
+        }
+        i = stop - 1;
+      } else if (chars[i] === '\n') {
+        quote = null;
+      }
+    }
+
+    // Mainframe sources carry sequence numbers past column 72
+    const lines = chars.join('').split('\n');
+    const long = lines.filter(line => line.replace(/\r$/, '').length > 72);
+    if (long.length > 0 && long.every(line => /^[\s\d]*$/.test(line.slice(72)))) {
+      return lines.map(line => (line.length > 72 ? line.slice(0, 72) + ' '.repeat(line.length - 72) : line)).join('\n');
+    }
+
+    return lines.join('\n');
+  }
+
+  splitStatements(code) {
+    const statements = [];
+    let start = null;
+    let quote = null;
+
+    for (let i = 0; i < code.length; i++) {
+      const char = code[i];
+      if (start === null && /\s/.test(char)) continue;
+      if (start === null) start = i;
+
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === ';') {
+        statements.push({ text: code.slice(start, i).replace(/\s+/g, ' ').trim(), start, end: i + 1 });
+        start = null;
+      }
+    }
+
+    return statements.filter(statement => statement.text.length > 0);
+  }
+
+  // "MAIN: PROC" and "L1: L2: DO" carry labels; "A = B:C" does not
+  splitLabels(text) {
+    const labels = [];
+    let body = text;
+    let match;
+
+    while ((match = body.match(/^([A-Z#@$][\w#@$]*)\s*:(?!=)\s*/i))) {
+      labels.push(match[1].toUpperCase());
+      body = body.slice(match[0].length);
+    }
+
+    return { labels, body };
+  }
+
+  createStatement(keyword, body, statement, source, lineStarts) {
+    const type = GROUP_TYPES[keyword] || this.statementType(keyword, body);
+    const node = this.createNode(type, statement.start, statement.end, source, lineStarts);
+    const metadata = node.metadata;
+    let match;
+
+    switch (type) {
+      case 'procedure':
+        if ((match = body.match(/^PROC(?:EDURE)?\s*\(([^)]*)\)/i))) {
+          metadata.parameters = match[1].split(',').map(param => param.trim()).filter(Boolean);
+        }
+        if ((match = body.match(/\bRETURNS\s*\((.*?)\)(?=\s|$)/i))) metadata.returnType = match[1].trim();
+        if ((match = body.match(/\bOPTIONS\s*\(([^)]*)\)/i))) {
+          metadata.modifiers.push(...match[1].split(/[\s,]+/).filter(Boolean).map(option => option.toUpperCase()));
+        }
+        if (/\bRECURSIVE\b/i.test(body)) metadata.modifiers.push('RECURSIVE');
+        break;
+      case 'declaration':
+        this.parseDeclarations(body, node, lineStarts);
+        break;
+      case 'include_directive':
+        // %INCLUDE MEMBER; or %INCLUDE LIB(MEMBER), OTHER;
+        body.replace(/^%INCLUDE\s+/i, '').split(',').forEach(item => {
+          const member = item.trim().match(/^(?:[\w#@$]+\s*\(\s*([\w#@$]+)\s*\)|['"]?([\w#@$./-]+)['"]?)/);
+          const name = member && (member[1] || member[2]);
+          if (name) metadata.imports.push(name.toUpperCase());
+        });
+        metadata.name = metadata.imports[0] || null;
+        break;
+      case 'call_statement':
+        if ((match = body.match(/^CALL\s+([\w#@$]+)\s*(?:\((.*)\))?/i))) {
+          metadata.name = match[1].toUpperCase();
+          metadata.dependencies.push(metadata.name);
+          if (match[2]) metadata.parameters = this.splitTopLevel(match[2]);
+        }
+        break;
+      case 'go_statement':
+        if ((match = body.match(/^GO\s*TO\s+([\w#@$]+)/i))) metadata.dependencies.push(match[1].toUpperCase());
+        break;
+    }
+
+    // IF ... THEN CALL X; ELSE CALL Y; WHEN (1) CALL Z;
+    if (type !== 'call_statement') {
+      for (const call of body.matchAll(/\bCALL\s+([\w#@$]+)/gi)) {
+        metadata.dependencies.push(call[1].toUpperCase());
+      }
+    }
+
+    return node;
+  }
+
+  statementType(keyword, body) {
+    if (keyword === 'DCL' || keyword === 'DECLARE') return 'declaration';
+    if (keyword === '%INCLUDE') return 'include_directive';
+    if (keyword === 'GOTO') return 'go_statement';
+    // Keywords are not reserved, so "IF = 1" is an assignment
+    if (/^[\w#@$.]+(\([^)]*\))?\s*=/.test(body)) return 'assignment_statement';
+    return keyword ? `${keyword.replace(/^%/, '').toLowerCase()}_statement` : 'statement';
+  }
+
+  // DCL 1 REC, 2 ID CHAR(6), 2 NAME CHAR(30), (A, B) FIXED BIN(31);
+  parseDeclarations(body, declaration, lineStarts) {
+    const items = this.splitTopLevel(body.replace(/^(DCL|DECLARE)\s+/i, ''));
+    const levels = []; // open structure members: { level, node }
+
+    items.forEach(item => {
+      const match = item.match(/^(\d+\s+)?(\([^)]*\)|[\w#@$*]+)\s*(.*)$/);
+      if (!match) return;
+
+      const level = match[1] ? parseInt(match[1], 10) : null;
+      const names = match[2].startsWith('(') ? match[2].slice(1, -1).split(',').map(name => name.trim()) : [match[2]];
+      const attributes = match[3].trim();
+
+      names.filter(Boolean).forEach(name => {
+        const node = this.createNode('declared_item', declaration.startIndex, declaration.endIndex, declaration.source, lineStarts);
+        node.text = `${level !== null ? `${level} ` : ''}${name} ${attributes}`.trim();
+        node.metadata.name = name === '*' ? null : name.toUpperCase();
+        if (attributes) node.metadata.returnType = attributes;
+        if (level !== null) node.metadata.modifiers.push(`level ${level}`);
+        if (/\bENTRY\b/i.test(attributes)) node.metadata.modifiers.push('ENTRY');
+        if (/\bEXT(ERNAL)?\b/i.test(attributes)) node.metadata.modifiers.push('EXTERNAL');
+        const base = attributes.match(/\b(?:BASED|DEFINED|DEF)\s*\(\s*([\w#@$]+)/i);
+        if (base) node.metadata.dependencies.push(base[1].toUpperCase());
+
+        // Structure levels nest: 2 under the preceding 1
+        while (level !== null && levels.length > 0 && levels[levels.length - 1].level >= level) levels.pop();
+        const parent = level !== null && levels.length > 0 ? levels[levels.length - 1].node : declaration;
+        parent.children.push(node);
+        if (level !== null) levels.push({ level, node });
+      });
+    });
+
+    // A single declared name also names the statement
+    if (declaration.children.length === 1) {
+      declaration.metadata.name = declaration.children[0].metadata.name;
+    }
+  }
+
+  splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    if (current.trim()) parts.push(current.trim());
+
+    return parts;
+  }
+
+  createNode(type, startOffset, endOffset, source, lineStarts) {
+    return new ASTNode(
+      type,
+      source,
+      startOffset,
+      endOffset,
+      this.position(startOffset, lineStarts),
+      this.position(endOffset, lineStarts),
+      'pli',
+      {
+        name: null,
+        parameters: [],
+        returnType: null,
+        modifiers: [],
+        annotations: [],
+        imports: [],
+        dependencies: []
+      }
+    );
+  }
+
+  extendTo(node, endOffset, lineStarts) {
+    if (endOffset > node.endIndex) {
+      node.endIndex = endOffset;
+      node.endPosition = this.position(endOffset, lineStarts);
+    }
+  }
+
+  position(offset, lineStarts) {
+    // Binary search for the last line starting at or before offset
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { row: low, column: offset - lineStarts[low] };
+  }
+
+  // Groups left open at end of file end with their last statement. Children come after their
+  // parent in preorder, so walking it backwards extends them first.
+  finalize(root, lineStarts) {
+    const nodes = [];
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      nodes.push(node);
+      for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+    }
+
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      nodes[i].children.forEach(child => this.extendTo(nodes[i], child.endIndex, lineStarts));
+    }
+  }
+}
+
+module.exports = { PliParser };
@@ -1,6 +1,7 @@
 class RefactorClassifier {
   constructor() {
     this.patterns = this.initializePatterns();
+    this.dotNetMigrations = this.initializeDotNetMigrations();
   }
 
   initializePatterns() {
@@ -11,7 +12,8 @@ class RefactorClassifier {
         patterns: [
           { type: 'function_declaration', condition: 'isNew' },
           { type: 'method_declaration', condition: 'isNew' },
-          { type: 'function_definition', condition: 'isNew' }
+          { type: 'function_definition', condition: 'isNew' },
+          { type: 'paragraph', condition: 'isNew' }
         ],
         level: 2
       },
@@ -21,7 +23,8 @@ class RefactorClassifier {
         patterns: [
           { type: 'function_declaration', condition: 'removed' },
           { type: 'method_declaration', condition: 'removed' },
-          { type: 'function_definition', condition: 'removed' }
+          { type: 'function_definition', condition: 'removed' },
+          { type: 'paragraph', condition: 'removed' }
         ],
         level: 2
       },
@@ -214,6 +217,68 @@ class RefactorClassifier {
     };
   }
 
+  // .NET Framework APIs and their .NET Core / modern .NET replacements
+  initializeDotNetMigrations() {
+    return [
+      {
+        from: /using\s+System\.Web\.(Mvc|Http)\b/,
+        to: /using\s+Microsoft\.AspNetCore\./,
+        type: 'Framework Migration',
+        level: 3,
+        description: 'ASP.NET MVC/Web API -> ASP.NET Core'
+      },
+      {
+        from: /using\s+System\.Data\.Entity\b/,
+        to: /using\s+Microsoft\.EntityFrameworkCore\b/,
+        type: 'Database Migration',
+        level: 3,
+        description: 'Entity Framework 6 -> EF Core'
+      },
+      {
+        from: /using\s+System\.ServiceModel\b/,
+        to: /using\s+Grpc\./,
+        type: 'Framework Migration',
+        level: 3,
+        description: 'WCF services -> gRPC'
+      },
+      {
+        from: /ConfigurationManager\.(AppSettings|ConnectionStrings)/,
+        to: /\bIConfiguration\b|\bIOptions</,
+        type: 'Framework Migration',
+        level: 2,
+        description: 'ConfigurationManager -> IConfiguration/IOptions'
+      },
+      {
+        from: /HttpContext\.Current\b/,
+        to: /\bIHttpContextAccessor\b/,
+        type: 'Framework Migration',
+        level: 2,
+        description: 'HttpContext.Current -> IHttpContextAccessor'
+      },
+      {
+        from: /\b(Unity|Ninject|Autofac|StructureMap)\b/,
+        to: /services\.Add(Scoped|Transient|Singleton)\b/,
+        type: 'Layering',
+        level: 3,
+        description: 'Third-party IoC container -> built-in dependency injection'
+      },
+      {
+        from: /\b(log4net|NLog)\b/,
+        to: /\bILogger<|Microsoft\.Extensions\.Logging\b/,
+        type: 'Logging/Observability',
+        level: 2,
+        description: 'log4net/NLog -> Microsoft.Extensions.Logging'
+      },
+      {
+        from: /\bGlobal\.asax\b|\bHttpApplication\b/,
+        to: /WebApplication\.CreateBuilder|\bIHostBuilder\b|Host\.CreateDefaultBuilder/,
+        type: 'Framework Migration',
+        level: 3,
+        description: 'Global.asax application -> generic host startup'
+      }
+    ];
+  }
+
   async classify(astDiffs, language) {
     const refactorTypes = [];
 
@@ -235,14 +300,35 @@ class RefactorClassifier {
       refactorTypes.push(...detected);
     });
 
+    // Analyze files that were renamed, moved, split or merged
+    astDiffs.moves?.forEach(move => {
+      refactorTypes.push(this.classifyMove(move));
+    });
+
+    // Analyze batch jobs that moved off the mainframe
+    astDiffs.batchJobs?.forEach(job => {
+      refactorTypes.push(...this.classifyBatchJob(job));
+    });
+
+    // Analyze duplicated code the refactor consolidated
+    if (astDiffs.duplication) {
+      refactorTypes.push(...this.classifyDuplication(astDiffs.duplication));
+    }
+
     // Analyze file-level changes
     if (astDiffs.files) {
       astDiffs.files.forEach(file => {
         const detected = this.analyzeFileChanges(file);
         refactorTypes.push(...detected);
+        refactorTypes.push(...this.classifyRenames(file));
       });
     }
 
+    // Language-specific patterns, per language in mixed-language analyses
+    this.groupFilesByLanguage(astDiffs, language).forEach((files, fileLanguage) => {
+      refactorTypes.push(...this.classifyLanguage({ ...astDiffs, files }, fileLanguage));
+    });
+
     // Deduplicate and merge similar refactor types
     return this.mergeRefactorTypes(refactorTypes);
   }
@@ -300,12 +386,9 @@ class RefactorClassifier {
   }
 
   hasNameChange(node) {
-    // Check if this is a name change by comparing metadata
+    // Modified elements carry facts such as "method renamed: total -> sum"
     if (node.changes && Array.isArray(node.changes)) {
-      return node.changes.some(change => 
-        change.toLowerCase().includes('name') || 
-        change.toLowerCase().includes('identifier')
-      );
+      return node.changes.some(change => / renamed: /.test(change));
     }
     return false;
   }
@@ -388,6 +471,90 @@ class RefactorClassifier {
     return detected;
   }
 
+  // Symbols renamed consistently, so the code around them means the same as before
+  classifyRenames(file) {
+    if (!file.renames || file.renames.length === 0) return [];
+
+    return [{
+      type: 'Rename Symbol',
+      level: 1,
+      evidence: file.renames.map(rename => {
+        const where = rename.scope ? ` in ${rename.scope}` : '';
+        const lines = [...new Set(rename.sites.map(site => site.line))];
+        return `${rename.kind} ${rename.from} -> ${rename.to}${where} (${file.filePath} line${lines.length > 1 ? 's' : ''} ${lines.join(', ')})`;
+      }),
+      confidence: 0.9
+    }];
+  }
+
+  classifyMove(move) {
+    const descriptions = {
+      rename: `Renamed ${move.from[0]} -> ${move.to[0]}`,
+      move: `Moved ${move.from[0]} -> ${move.to[0]}`,
+      split: `Split ${move.from[0]} into ${move.to.join(', ')}`,
+      merge: `Merged ${move.from.join(', ')} into ${move.to[0]}`
+    };
+
+    return {
+      type: 'Move/Modularize',
+      // Splitting and merging files restructures modules; renames only relocate them
+      level: move.kind === 'split' || move.kind === 'merge' ? 3 : 2,
+      evidence: [`${descriptions[move.kind]} (${Math.round(move.similarity * 100)}% similar)`],
+      confidence: Math.max(move.similarity, 0.5)
+    };
+  }
+
+  classifyBatchJob(job) {
+    const labels = {
+      lambda: 'Lambda function',
+      batch: 'batch service',
+      scheduled: 'scheduled service'
+    };
+    const describe = replacement => `${labels[replacement.kind]} ${replacement.name} (${replacement.filePath})`;
+
+    const mappings = [];
+    if (job.replacement) {
+      mappings.push({ evidence: `Batch job ${job.job} -> ${describe(job.replacement)}`, replacement: job.replacement });
+    }
+
+    // Steps that went somewhere other than the job as a whole
+    job.steps
+      .filter(step => step.replacement && step.replacement.filePath !== job.replacement?.filePath)
+      .forEach(step => mappings.push({
+        evidence: `Batch step ${job.job}.${step.step} (${step.program}) -> ${describe(step.replacement)}`,
+        replacement: step.replacement
+      }));
+
+    // Functions are a move to the cloud; scheduled and batch services extract the job into a service
+    return mappings.map(({ evidence, replacement }) => ({
+      type: replacement.kind === 'lambda' ? 'Cloud Migration' : 'Service Extraction',
+      level: replacement.kind === 'lambda' ? 4 : 3,
+      evidence: [evidence],
+      confidence: Math.max(job.confidence, 0.6)
+    }));
+  }
+
+  classifyDuplication(duplication) {
+    // Less duplication alone could just be deleted code; it takes clones that are gone
+    if (duplication.percentageDelta >= 0 || duplication.removedClones.length === 0) return [];
+
+    const evidence = [
+      `Duplication down from ${duplication.legacy.percentage}% to ${duplication.refactored.percentage}% of lines`,
+      `${duplication.removedClones.length} duplicated block(s) removed`
+    ];
+    duplication.removedClones.slice(0, 3).forEach(clone => {
+      const [first, ...copies] = clone.occurrences;
+      evidence.push(`${first.filePath}:${first.startLine}-${first.endLine} no longer repeated at ${copies.map(copy => `${copy.filePath}:${copy.startLine}`).join(', ')}`);
+    });
+
+    return [{
+      type: 'Deduplication',
+      level: 2,
+      evidence,
+      confidence: duplication.newClones.length === 0 ? 0.85 : 0.7
+    }];
+  }
+
   mergeRefactorTypes(refactorTypes) {
     const merged = new Map();
 
@@ -413,12 +580,93 @@ class RefactorClassifier {
     return Array.from(merged.values()).sort((a, b) => b.level - a.level);
   }
 
+  classifyLanguage(astDiffs, language) {
+    switch (language) {
+      case 'javascript':
+        return this.classifyJavaScript(astDiffs);
+      case 'typescript':
+        return this.classifyTypeScript(astDiffs);
+      case 'java':
+        return this.classifyJava(astDiffs);
+      case 'python':
+        return this.classifyPython(astDiffs);
+      case 'c':
+      case 'cpp':
+        return this.classifyC(astDiffs);
+      case 'csharp':
+        return this.classifyCSharp(astDiffs);
+      case 'cobol':
+        return this.classifyCobol(astDiffs);
+      default:
+        return [];
+    }
+  }
+
+  groupFilesByLanguage(astDiffs, language) {
+    const groups = new Map();
+
+    (astDiffs.files || []).forEach(file => {
+      const fileLanguage = file.language || language;
+      if (!groups.has(fileLanguage)) groups.set(fileLanguage, []);
+      groups.get(fileLanguage).push(file);
+    });
+
+    return groups;
+  }
+
+  // Lines added ('+') or removed ('-') across all file text diffs
+  collectDiffLines(astDiffs, marker) {
+    const lines = [];
+
+    astDiffs.files?.forEach(file => {
+      (file.changes?.textDiff || '').split('\n').forEach(line => {
+        if (line[0] === marker && !line.startsWith(marker.repeat(3))) {
+          lines.push(line.slice(1));
+        }
+      });
+    });
+
+    return lines;
+  }
+
   // Language-specific classification helpers
   classifyJavaScript(astDiffs) {
     // JavaScript-specific patterns
     return [];
   }
 
+  classifyTypeScript(astDiffs) {
+    const detected = [];
+    const added = this.collectDiffLines(astDiffs, '+');
+
+    // New interfaces and type aliases put contracts between modules
+    const contracts = added
+      .map(line => line.match(/^\s*(?:export\s+)?(?:declare\s+)?(interface|type)\s+(\w+)/))
+      .filter(Boolean);
+    if (contracts.length > 0) {
+      detected.push({
+        type: 'Layering',
+        level: 2,
+        evidence: contracts.map(([, kind, name]) => `Introduced ${kind === 'type' ? 'type alias' : kind} ${name}`),
+        confidence: 0.7
+      });
+    }
+
+    // Framework decorators wire classes into DI containers and layers (NestJS, Angular)
+    const frameworkDecorators = /^\s*@(Injectable|Controller|Module|Component|Resolver|Entity|Repository)\b/;
+    const decorated = added.filter(line => frameworkDecorators.test(line));
+    if (decorated.length > 0) {
+      detected.push({
+        type: 'Layering',
+        level: 3,
+        evidence: decorated.map(line => `Added ${line.trim().match(frameworkDecorators)[0].trim()} decorator`),
+        confidence: 0.8
+      });
+    }
+
+    return detected;
+  }
+
   classifyJava(astDiffs) {
     // Java-specific patterns
     return [];
@@ -435,8 +683,82 @@ class RefactorClassifier {
   }
 
   classifyCSharp(astDiffs) {
-    // C#-specific patterns
-    return [];
+    const detected = [];
+    const added = this.collectDiffLines(astDiffs, '+');
+    const removed = this.collectDiffLines(astDiffs, '-');
+
+    this.dotNetMigrations.forEach(migration => {
+      if (!added.some(line => migration.to.test(line))) return;
+
+      // Seeing the old API go away as well makes the migration certain
+      const replacesLegacy = removed.some(line => migration.from.test(line));
+      detected.push({
+        type: migration.type,
+        level: migration.level,
+        evidence: [replacesLegacy ? `Migrated ${migration.description}` : `Adopted ${migration.description.split(' -> ')[1]}`],
+        confidence: replacesLegacy ? 0.9 : 0.6
+      });
+    });
+
+    // Blocking calls replaced with async/await
+    const asyncAdded = added.filter(line => /\basync\s+Task\b/.test(line)).length;
+    const blockingRemoved = removed.filter(line => /\.Result\b|\.Wait\(\)/.test(line)).length;
+    if (asyncAdded > 0 && blockingRemoved > 0) {
+      detected.push({
+        type: 'Framework Migration',
+        level: 2,
+        evidence: [`Replaced ${blockingRemoved} blocking calls with async/await`],
+        confidence: 0.7
+      });
+    }
+
+    return detected;
+  }
+
+  classifyCobol(astDiffs) {
+    const detected = [];
+    const added = this.collectDiffLines(astDiffs, '+');
+    const removed = this.collectDiffLines(astDiffs, '-');
+    const count = (lines, pattern) => lines.filter(line => pattern.test(line)).length;
+
+    // GO TO branches restructured into PERFORMed paragraphs
+    const goTo = /\bGO\s+TO\b/i;
+    const goToRemoved = count(removed, goTo) - count(added, goTo);
+    if (goToRemoved > 0 && count(added, /\bPERFORM\s+[A-Z]/i) > 0) {
+      detected.push({
+        type: 'Extract Method',
+        level: 2,
+        evidence: [`Replaced ${goToRemoved} GO TO branches with PERFORMed paragraphs`],
+        confidence: 0.7
+      });
+    }
+
+    // Shared record layouts moved into copybooks
+    const copybook = /\bCOPY\s+["']?([\w-]+)/i;
+    const removedCopybooks = new Set(removed.map(line => line.match(copybook)?.[1].toUpperCase()).filter(Boolean));
+    const newCopybooks = [...new Set(added.map(line => line.match(copybook)?.[1].toUpperCase()).filter(Boolean))]
+      .filter(name => !removedCopybooks.has(name));
+    if (newCopybooks.length > 0) {
+      detected.push({
+        type: 'Move/Modularize',
+        level: 2,
+        evidence: newCopybooks.map(name => `Extracted copybook ${name}`),
+        confidence: 0.7
+      });
+    }
+
+    // Indexed (VSAM) file access replaced with embedded SQL
+    const fileAccess = /\bORGANIZATION\s+(IS\s+)?INDEXED\b|\b(READ|REWRITE|START)\s+[A-Z][\w-]*-FILE\b/i;
+    if (count(removed, fileAccess) > 0 && count(added, /\bEXEC\s+SQL\b/i) > 0) {
+      detected.push({
+        type: 'Database Migration',
+        level: 3,
+        evidence: ['Replaced indexed file access with embedded SQL'],
+        confidence: 0.8
+      });
+    }
+
+    return detected;
   }
 }
 
@@ -0,0 +1,330 @@
+// Declarations by parent node type: the kind of symbol declared and which identifier
+// children name it ('first', 'last', 'all', or 'beforeIn' for loop variables)
+const DECLARATIONS = {
+  class_declaration: ['type', 'last'],
+  class_definition: ['type', 'last'],
+  interface_declaration: ['type', 'last'],
+  enum_declaration: ['type', 'last'],
+  record_declaration: ['type', 'last'],
+  struct_declaration: ['type', 'last'],
+  annotation_type_declaration: ['type', 'last'],
+  type_alias_declaration: ['type', 'last'],
+  struct_specifier: ['type', 'last'],
+  union_specifier: ['type', 'last'],
+  enum_specifier: ['type', 'last'],
+  class_specifier: ['type', 'last'],
+  function_declaration: ['function', 'last'],
+  generator_function_declaration: ['function', 'last'],
+  function_definition: ['function', 'first'],
+  function_declarator: ['function', 'first'],
+  local_function_statement: ['function', 'last'],
+  method_definition: ['method', 'last'],
+  method_declaration: ['method', 'last'],
+  field_definition: ['field', 'first'],
+  public_field_definition: ['field', 'first'],
+  property_declaration: ['field', 'last'],
+  field_declaration: ['field', 'all'],
+  formal_parameters: ['parameter', 'all'],
+  parameters: ['parameter', 'all'],
+  lambda_parameters: ['parameter', 'all'],
+  formal_parameter: ['parameter', 'last'],
+  parameter: ['parameter', 'last'],
+  parameter_declaration: ['parameter', 'last'],
+  required_parameter: ['parameter', 'first'],
+  optional_parameter: ['parameter', 'first'],
+  default_parameter: ['parameter', 'first'],
+  typed_parameter: ['parameter', 'first'],
+  typed_default_parameter: ['parameter', 'first'],
+  catch_clause: ['parameter', 'all'],
+  catch_formal_parameter: ['parameter', 'last'],
+  catch_declaration: ['parameter', 'last'],
+  arrow_function: ['parameter', 'first'],
+  lambda_expression: ['parameter', 'first'],
+  variable_declarator: ['local', 'first'],
+  init_declarator: ['local', 'first'],
+  declaration: ['local', 'all'],
+  assignment: ['local', 'first'],
+  as_pattern_target: ['local', 'all'],
+  for_in_statement: ['local', 'beforeIn'],
+  for_statement: ['local', 'beforeIn'],
+  enhanced_for_statement: ['local', 'beforeIn'],
+  for_each_statement: ['local', 'beforeIn']
+};
+
+// Destructuring and declarator wrappers declare what the declaration around them declares
+const PATTERN_TYPES = [
+  'array_pattern',
+  'object_pattern',
+  'rest_pattern',
+  'assignment_pattern',
+  'pair_pattern',
+  'list_splat_pattern',
+  'dictionary_splat_pattern',
+  'pattern_list',
+  'tuple_pattern',
+  'list_pattern',
+  'pointer_declarator',
+  'array_declarator',
+  'reference_declarator'
+];
+
+// Parameters and locals belong to the function around them; everything else to the file
+const FUNCTION_SCOPE_PATTERN = /function|method|lambda|constructor|arrow/;
+const NOT_A_SCOPE_PATTERN = /declarator$|invocation|call|parameters|signature|type/;
+
+const FRONT_END_LANGUAGES = ['cobol', 'pli', 'jcl'];
+
+// Renamed symbols: matched subtrees that are the same code once identifiers are renamed
+// consistently (alpha-equivalent), with every renamed occurrence traced to its declaration.
+// A symbol only counts as renamed when what declares it (its function for parameters and
+// locals, its declaration otherwise) is alpha-equivalent to its counterpart under the new name.
+class RenameDetector {
+  detect(legacyAST, refactoredAST, matches) {
+    // Statement-level front ends keep names inside statement text
+    if (FRONT_END_LANGUAGES.includes(legacyAST.language) || FRONT_END_LANGUAGES.includes(refactoredAST.language)) {
+      return [];
+    }
+
+    const { parents, bindings } = this.collectDeclarations(legacyAST);
+    const sites = this.alignIdentifiers(matches);
+
+    sites.forEach(site => {
+      const binding = this.resolve(site.legacy, parents, bindings);
+      if (binding) binding.sites.push(site);
+    });
+
+    const counterparts = new Map(matches.map(match => [match.legacy, match.refactored]));
+    const declarations = new Map();
+    const preservedUnder = (binding, to) => {
+      if (!declarations.has(binding.declaration)) {
+        const counterpart = counterparts.get(binding.declaration);
+        declarations.set(binding.declaration, counterpart ? this.alphaEquivalent(binding.declaration, counterpart) : null);
+      }
+      const aligned = declarations.get(binding.declaration);
+      return Boolean(aligned) && aligned.renaming.get(binding.name) === to;
+    };
+
+    const renames = [];
+    bindings.forEach(byScope => {
+      byScope.forEach(binding => {
+        if (binding.sites.length === 0) return;
+
+        // Every aligned occurrence must carry the same new name
+        const names = new Set(binding.sites.map(site => site.refactored.text));
+        if (names.size !== 1) return;
+        const [to] = names;
+        if (to === binding.name || !preservedUnder(binding, to)) return;
+
+        renames.push({
+          from: binding.name,
+          to,
+          kind: binding.kind,
+          // C names functions by their whole declarator, parameters included
+          scope: binding.scope.metadata?.name ? binding.scope.metadata.name.split('(')[0].trim() : null,
+          declaredAt: binding.node.startPosition.row + 1,
+          sites: binding.sites
+            .map(site => ({
+              line: site.refactored.startPosition.row + 1,
+              column: site.refactored.startPosition.column + 1,
+              legacyLine: site.legacy.startPosition.row + 1
+            }))
+            .sort((a, b) => a.line - b.line || a.column - b.column)
+        });
+      });
+    });
+
+    return renames.sort((a, b) => a.declaredAt - b.declaredAt || a.from.localeCompare(b.from));
+  }
+
+  // Declared names by scope node, and the parent of every legacy node
+  collectDeclarations(ast) {
+    const parents = new Map();
+    const bindings = new Map();
+    const stack = [ast];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      node.children.forEach(child => {
+        parents.set(child, node);
+        stack.push(child);
+      });
+
+      if (!this.isIdentifier(node)) continue;
+
+      const kind = this.declarationKind(node, parents);
+      if (!kind) continue;
+
+      let scope = ast;
+      if (kind === 'parameter' || kind === 'local') {
+        scope = this.functionScope(node, parents);
+        // Parameters outside a function body belong to a prototype or signature
+        if (!scope && kind === 'parameter') continue;
+        scope = scope || ast;
+      }
+      if (!bindings.has(node.text)) bindings.set(node.text, new Map());
+      const byScope = bindings.get(node.text);
+      if (!byScope.has(scope)) {
+        byScope.set(scope, {
+          name: node.text,
+          kind: kind === 'local' && scope === ast ? 'variable' : kind,
+          scope,
+          node,
+          declaration: scope !== ast ? scope : this.declarationNode(node, parents),
+          sites: []
+        });
+      }
+    }
+
+    return { parents, bindings };
+  }
+
+  declarationKind(node, parents) {
+    let child = node;
+    let parent = parents.get(node);
+
+    // self.total = 0 declares a field
+    if (parent?.type === 'attribute' && parent.children[0].text === 'self' && parent.children[2] === node) {
+      const assignment = parents.get(parent);
+      return assignment?.type === 'assignment' && assignment.children[0] === parent ? 'field' : null;
+    }
+
+    // const { a, b: [c] } = ... declares what the declarator declares
+    while (parent && PATTERN_TYPES.includes(parent.type)) {
+      const position = parent.type === 'assignment_pattern' ? 'first' : parent.type === 'pair_pattern' ? 'last' : 'all';
+      if (!this.namedBy(parent, child, position, null)) return null;
+      child = parent;
+      parent = parents.get(parent);
+    }
+    if (!parent || !DECLARATIONS[parent.type]) return null;
+
+    const [kind, position] = DECLARATIONS[parent.type];
+    if (!this.namedBy(parent, child, position, kind)) return null;
+
+    // x => x and x = y: only the first child is declared
+    if (['arrow_function', 'lambda_expression', 'assignment'].includes(parent.type) && parent.children[0] !== child) return null;
+
+    if (parent.type === 'variable_declarator') {
+      const grandparent = parents.get(parent);
+      const declaration = grandparent?.type === 'variable_declaration' ? parents.get(grandparent) : grandparent;
+      if (declaration?.type === 'field_declaration') return 'field';
+      if (parent.children.some(other => /function|lambda/.test(other.type))) return 'function';
+    }
+    // Prototypes declare nothing callers can see renamed
+    if (parent.type === 'function_declarator') {
+      return parents.get(parent)?.type === 'function_definition' ? 'function' : null;
+    }
+    if (parent.type === 'function_definition' && parents.get(parents.get(parent))?.type === 'class_definition') {
+      return 'method';
+    }
+
+    return kind;
+  }
+
+  // The node declaring a file-level symbol: the class, function or field around its name
+  declarationNode(node, parents) {
+    let parent = parents.get(node);
+    while (parent && PATTERN_TYPES.includes(parent.type)) parent = parents.get(parent);
+
+    // self.total = 0 and the C declarator of a function definition
+    if (parent?.type === 'attribute' || parent?.type === 'function_declarator') return parents.get(parent);
+    return parent;
+  }
+
+  // Whether an identifier (or pattern) is among the names a declaration node declares; type
+  // names only name type declarations (Foo in Foo x; is not declared there)
+  namedBy(parent, child, position, kind) {
+    const named = parent.children.filter(other => PATTERN_TYPES.includes(other.type) ||
+      (this.isIdentifier(other) && (kind === 'type' || other.type !== 'type_identifier')));
+    if (!named.includes(child) && position !== 'beforeIn') return false;
+
+    switch (position) {
+      case 'first':
+        return named[0] === child;
+      case 'last':
+        return named[named.length - 1] === child;
+      case 'beforeIn': {
+        const index = parent.children.indexOf(child);
+        return ['in', 'of', ':'].includes(parent.children[index + 1]?.type);
+      }
+      default:
+        return true;
+    }
+  }
+
+  functionScope(node, parents) {
+    for (let current = parents.get(node); current; current = parents.get(current)) {
+      if (FUNCTION_SCOPE_PATTERN.test(current.type) && !NOT_A_SCOPE_PATTERN.test(current.type)) return current;
+    }
+    return null;
+  }
+
+  // The declaration an identifier refers to: the nearest enclosing scope declaring its name
+  resolve(identifier, parents, bindings) {
+    const byScope = bindings.get(identifier.text);
+    if (!byScope) return null;
+
+    for (let current = identifier; current; current = parents.get(current)) {
+      if (byScope.has(current)) return byScope.get(current);
+    }
+    return null;
+  }
+
+  // Identifier pairs of the largest matched subtrees that are alpha-equivalent: same shape and
+  // tokens, with names differing only by a one-to-one renaming. A lone identifier is
+  // alpha-equivalent to any other, so only subtrees with some code around their names count.
+  alignIdentifiers(matches) {
+    const covered = new Set();
+    const sites = [];
+
+    matches.forEach(match => {
+      if (covered.has(match.legacy) || match.legacy.children.length === 0) return;
+
+      const aligned = this.alphaEquivalent(match.legacy, match.refactored);
+      if (!aligned) return;
+
+      aligned.nodes.forEach(node => covered.add(node));
+      sites.push(...aligned.sites);
+    });
+
+    return sites;
+  }
+
+  alphaEquivalent(legacyRoot, refactoredRoot) {
+    const forward = new Map();
+    const backward = new Map();
+    const nodes = [];
+    const sites = [];
+    const stack = [[legacyRoot, refactoredRoot]];
+
+    while (stack.length > 0) {
+      const [legacy, refactored] = stack.pop();
+      if (legacy.type !== refactored.type || legacy.children.length !== refactored.children.length) return null;
+      nodes.push(legacy);
+
+      if (legacy.children.length === 0) {
+        if (this.isIdentifier(legacy)) {
+          if ((forward.get(legacy.text) ?? refactored.text) !== refactored.text) return null;
+          if ((backward.get(refactored.text) ?? legacy.text) !== legacy.text) return null;
+          forward.set(legacy.text, refactored.text);
+          backward.set(refactored.text, legacy.text);
+          sites.push({ legacy, refactored });
+        } else if (legacy.text !== refactored.text) {
+          return null;
+        }
+        continue;
+      }
+
+      for (let i = legacy.children.length - 1; i >= 0; i--) {
+        stack.push([legacy.children[i], refactored.children[i]]);
+      }
+    }
+
+    return { nodes, sites, renaming: forward };
+  }
+
+  isIdentifier(node) {
+    return node.children.length === 0 && /identifier$/.test(node.type);
+  }
+}
+
+module.exports = { RenameDetector };
@@ -3,6 +3,7 @@ class SecurityScanner {
     this.securityPatterns = this.initializeSecurityPatterns();
     this.licensePatterns = this.initializeLicensePatterns();
     this.compatibilityPatterns = this.initializeCompatibilityPatterns();
+    this.languagePatterns = this.initializeLanguagePatterns();
   }
 
   initializeSecurityPatterns() {
@@ -147,6 +148,63 @@ class SecurityScanner {
     };
   }
 
+  // Patterns that only apply to one language, keyed by language
+  initializeLanguagePatterns() {
+    return {
+      typescript: {
+        anyType: {
+          patterns: [/:\s*any\b/g, /\bas\s+any\b/g, /<any>/g],
+          type: 'maintainability',
+          severity: 'low',
+          description: 'Explicit `any` types bypass type checking',
+          suggestion: 'Replace `any` with a specific type or `unknown`'
+        },
+
+        typeCheckSuppression: {
+          patterns: [/@ts-ignore/g, /@ts-nocheck/g],
+          type: 'maintainability',
+          severity: 'medium',
+          description: 'Type checking suppressed with @ts-ignore/@ts-nocheck',
+          suggestion: 'Fix the underlying type errors or use @ts-expect-error with a reason'
+        },
+
+        nonNullAssertion: {
+          patterns: [/[\w)\]]!\./g],
+          type: 'maintainability',
+          severity: 'low',
+          description: 'Non-null assertions hide possible null dereferences',
+          suggestion: 'Narrow the type with a null check instead of asserting'
+        }
+      },
+
+      csharp: {
+        insecureDeserialization: {
+          patterns: [/\bBinaryFormatter\b/g, /\bNetDataContractSerializer\b/g, /TypeNameHandling\.(All|Auto|Objects)/g],
+          type: 'security',
+          severity: 'high',
+          description: 'Insecure deserialization (BinaryFormatter or polymorphic type handling)',
+          suggestion: 'Use System.Text.Json or restrict deserialized types'
+        },
+
+        sqlConcatenation: {
+          patterns: [/new\s+SqlCommand\s*\(\s*\$?"[^"]*"\s*\+/g, /new\s+SqlCommand\s*\(\s*\$"[^"]*\{/g],
+          type: 'security',
+          severity: 'high',
+          description: 'SQL command built from concatenated or interpolated strings',
+          suggestion: 'Use SqlParameter or an ORM with parameterized queries'
+        },
+
+        weakCrypto: {
+          patterns: [/\b(MD5|SHA1|DES|TripleDES|RC2)\.Create\s*\(/g, /new\s+(MD5|SHA1|DES|TripleDES|RC2)CryptoServiceProvider\b/g],
+          type: 'security',
+          severity: 'medium',
+          description: 'Deprecated cryptographic algorithm',
+          suggestion: 'Replace with SHA-256 or AES'
+        }
+      }
+    };
+  }
+
   async scan(source, language, includeSecurityScan = true) {
     const riskFlags = [];
 
@@ -159,6 +217,9 @@ class SecurityScanner {
       
       // Compatibility scanning
       riskFlags.push(...this.scanCompatibility(source));
+
+      // Language-specific scanning
+      riskFlags.push(...this.scanLanguage(source, language));
     }
 
     return this.deduplicateFlags(riskFlags);
@@ -227,6 +288,25 @@ class SecurityScanner {
     return flags;
   }
 
+  scanLanguage(source, language) {
+    const flags = [];
+    const sourceText = typeof source === 'string' ? source : source.text || '';
+
+    Object.values(this.languagePatterns[language] || {}).forEach(config => {
+      const matchCount = config.patterns.reduce((count, pattern) => count + (sourceText.match(pattern) || []).length, 0);
+      if (matchCount > 0) {
+        flags.push({
+          type: config.type,
+          severity: config.severity,
+          description: `${config.description} (${matchCount} occurrences)`,
+          suggestion: config.suggestion
+        });
+      }
+    });
+
+    return flags;
+  }
+
   generateSecurityDescription(category, matchCount) {
     const descriptions = {
       secrets: `Potential secret exposure detected (${matchCount} occurrences)`,
@@ -0,0 +1,487 @@
+// GumTree-style tree differencing over normalized ASTs: a top-down pass maps identical
+// subtrees, a bottom-up pass maps containers that share most of their mapped content,
+// and the mappings are turned into an edit script of insert/delete/update/move actions.
+
+class TreeDiffer {
+  constructor(options = {}) {
+    this.minHeight = options.minHeight || 2;   // smallest subtree matched top-down
+    this.minDice = options.minDice || 0.5;     // shared content for a bottom-up match
+    this.maxAmbiguous = options.maxAmbiguous || 32; // copies of a subtree weighed against each other
+  }
+
+  // seeds: legacy node -> refactored node pairs known in advance (mapping hints, named elements)
+  diff(legacyAST, refactoredAST, seeds = new Map()) {
+    const src = this.index(legacyAST);
+    const dst = this.index(refactoredAST);
+    const mapping = { srcToDst: new Map(), dstToSrc: new Map() };
+
+    this.matchTopDown(src, dst, mapping);
+
+    seeds.forEach((refactoredNode, legacyNode) => {
+      const t1 = src.byNode.get(legacyNode);
+      const t2 = dst.byNode.get(refactoredNode);
+      if (t1 && t2 && t1.node.type === t2.node.type && !this.isMapped(t1, t2, mapping)) {
+        this.link(t1, t2, mapping);
+        this.recover(t1, t2, mapping);
+      }
+    });
+
+    this.matchBottomUp(src, dst, mapping);
+
+    return this.buildEditScript(src, dst, mapping);
+  }
+
+  // Flatten a tree in preorder with the parent, size, height and structural hash of every node
+  index(root) {
+    const infos = [];
+    const byNode = new Map();
+    const stack = [{ node: root, parent: null, depth: 0 }];
+
+    while (stack.length > 0) {
+      const { node, parent, depth } = stack.pop();
+      const info = { node, parent, depth, children: [], id: infos.length, label: this.label(node) };
+      infos.push(info);
+      byNode.set(node, info);
+      if (parent) parent.children.push(info);
+
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push({ node: node.children[i], parent: info, depth: depth + 1 });
+      }
+    }
+
+    // Descendants come after their ancestors in preorder, so walk backwards to aggregate
+    for (let i = infos.length - 1; i >= 0; i--) {
+      const info = infos[i];
+      info.size = 1;
+      info.height = 1;
+      let signature = `${info.node.type}\u0000${info.label}`;
+
+      info.children.forEach(child => {
+        info.size += child.size;
+        info.height = Math.max(info.height, child.height + 1);
+        signature += `\u0000${child.hash}`;
+      });
+
+      info.hash = this.hash(signature);
+      info.last = info.id + info.size - 1; // preorder range of the subtree
+    }
+
+    return { root: infos[0], infos, byNode };
+  }
+
+  // Leaves are compared on their text, inner nodes on their name (if any)
+  label(node) {
+    return node.children.length === 0 ? node.text : node.metadata?.name || '';
+  }
+
+  hash(text) {
+    // cyrb53
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  }
+
+  // Map the tallest identical subtrees first; ambiguous ones go to whichever
+  // candidate has the most similar parent, or when there are too many copies to weigh
+  // every pairing (generated and boilerplate code), pair up in source order
+  matchTopDown(src, dst, mapping) {
+    const srcQueue = new HeightQueue([src.root]);
+    const dstQueue = new HeightQueue([dst.root]);
+    const candidates = [];
+
+    while (Math.min(srcQueue.peekMax(), dstQueue.peekMax()) >= this.minHeight) {
+      if (srcQueue.peekMax() !== dstQueue.peekMax()) {
+        const taller = srcQueue.peekMax() > dstQueue.peekMax() ? srcQueue : dstQueue;
+        taller.popMax().forEach(info => taller.open(info));
+        continue;
+      }
+
+      const srcByHash = this.groupByHash(srcQueue.popMax());
+      const dstByHash = this.groupByHash(dstQueue.popMax());
+
+      srcByHash.forEach((srcGroup, hash) => {
+        const dstGroup = dstByHash.get(hash);
+        if (!dstGroup) {
+          srcGroup.forEach(info => srcQueue.open(info));
+        } else if (srcGroup.length === 1 && dstGroup.length === 1) {
+          this.linkSubtrees(srcGroup[0], dstGroup[0], mapping);
+        } else if (srcGroup.length > this.maxAmbiguous || dstGroup.length > this.maxAmbiguous) {
+          this.linkInOrder(srcGroup, dstGroup, src, dst, mapping);
+        } else {
+          srcGroup.forEach(t1 => dstGroup.forEach(t2 => candidates.push({ t1, t2 })));
+        }
+      });
+
+      dstByHash.forEach((dstGroup, hash) => {
+        if (!srcByHash.has(hash)) dstGroup.forEach(info => dstQueue.open(info));
+      });
+    }
+
+    // The mapping does not change while candidates are weighed, so each pair of parents is
+    // scored once, from the sorted partners of the legacy parent's descendants
+    const partners = new Map();
+    const parentDice = new Map();
+    const scoreParents = (t1, t2) => {
+      const key = `${t1.id}:${t2.id}`;
+      if (!parentDice.has(key)) {
+        if (!partners.has(t1)) partners.set(t1, this.partnerIds(t1, src, dst, mapping));
+        const common = this.countInRange(partners.get(t1), t2.id + 1, t2.last);
+        parentDice.set(key, (2 * common) / ((t1.size - 1) + (t2.size - 1)));
+      }
+      return parentDice.get(key);
+    };
+
+    candidates
+      .map(candidate => ({
+        ...candidate,
+        parentDice: candidate.t1.parent && candidate.t2.parent ? scoreParents(candidate.t1.parent, candidate.t2.parent) : 0,
+        distance: this.distance(candidate.t1, candidate.t2, src, dst)
+      }))
+      .sort((a, b) => b.parentDice - a.parentDice || a.distance - b.distance)
+      .forEach(({ t1, t2 }) => {
+        if (!mapping.srcToDst.has(t1.node) && !mapping.dstToSrc.has(t2.node)) {
+          this.linkSubtrees(t1, t2, mapping);
+        }
+      });
+  }
+
+  // Copies in source order, each paired with the one at the closest relative position; a copy
+  // whose neighbour on the same side is closer to the other side's copy has no counterpart
+  linkInOrder(srcGroup, dstGroup, src, dst, mapping) {
+    const byId = (a, b) => a.id - b.id;
+    const group1 = [...srcGroup].sort(byId);
+    const group2 = [...dstGroup].sort(byId);
+
+    let i = 0;
+    let j = 0;
+    while (i < group1.length && j < group2.length) {
+      const here = this.distance(group1[i], group2[j], src, dst);
+      if (i + 1 < group1.length && this.distance(group1[i + 1], group2[j], src, dst) < here) {
+        i++;
+      } else if (j + 1 < group2.length && this.distance(group1[i], group2[j + 1], src, dst) < here) {
+        j++;
+      } else {
+        this.linkSubtrees(group1[i++], group2[j++], mapping);
+      }
+    }
+  }
+
+  // How far apart two nodes are in their trees, as a share of each tree
+  distance(t1, t2, src, dst) {
+    return Math.abs(t1.id / src.infos.length - t2.id / dst.infos.length);
+  }
+
+  // Preorder ids of the refactored partners of a subtree's mapped descendants, sorted
+  partnerIds(t1, src, dst, mapping) {
+    const ids = [];
+    for (let id = t1.id + 1; id <= t1.last; id++) {
+      const partner = mapping.srcToDst.get(src.infos[id].node);
+      if (partner) ids.push(dst.byNode.get(partner).id);
+    }
+    return ids.sort((a, b) => a - b);
+  }
+
+  // Number of sorted values within [low, high]
+  countInRange(sorted, low, high) {
+    const lowerBound = value => {
+      let start = 0;
+      let end = sorted.length;
+      while (start < end) {
+        const mid = (start + end) >> 1;
+        if (sorted[mid] < value) start = mid + 1;
+        else end = mid;
+      }
+      return start;
+    };
+    return lowerBound(high + 1) - lowerBound(low);
+  }
+
+  groupByHash(infos) {
+    const groups = new Map();
+    infos.forEach(info => {
+      if (!groups.has(info.hash)) groups.set(info.hash, []);
+      groups.get(info.hash).push(info);
+    });
+    return groups;
+  }
+
+  // Map containers (classes, methods, blocks) whose descendants were mostly mapped into
+  // the same refactored container, then recover what the top-down pass missed inside them
+  matchBottomUp(src, dst, mapping) {
+    for (let i = src.infos.length - 1; i >= 0; i--) {
+      const t1 = src.infos[i];
+
+      if (t1 === src.root) {
+        if (!mapping.srcToDst.has(t1.node) && !mapping.dstToSrc.has(dst.root.node)) {
+          this.link(t1, dst.root, mapping);
+        }
+        if (mapping.srcToDst.get(t1.node) === dst.root.node) this.recover(t1, dst.root, mapping);
+        continue;
+      }
+
+      if (mapping.srcToDst.has(t1.node) || t1.children.length === 0) continue;
+
+      let best = null;
+      this.containerCandidates(t1, src, dst, mapping).forEach(t2 => {
+        const dice = this.dice(t1, t2, src, dst, mapping);
+        if (dice >= this.minDice && (!best || dice > best.dice)) best = { t2, dice };
+      });
+
+      if (best) {
+        this.link(t1, best.t2, mapping);
+        this.recover(t1, best.t2, mapping);
+      }
+    }
+  }
+
+  // Unmapped refactored ancestors, of the same type, of the partners of t1's descendants
+  containerCandidates(t1, src, dst, mapping) {
+    const candidates = new Set();
+    const seen = new Set();
+
+    for (let id = t1.id + 1; id <= t1.last; id++) {
+      const partner = mapping.srcToDst.get(src.infos[id].node);
+      if (!partner) continue;
+
+      let ancestor = dst.byNode.get(partner).parent;
+      while (ancestor && !seen.has(ancestor)) {
+        seen.add(ancestor);
+        if (ancestor.node.type === t1.node.type && !mapping.dstToSrc.has(ancestor.node)) {
+          candidates.add(ancestor);
+        }
+        ancestor = ancestor.parent;
+      }
+    }
+
+    return candidates;
+  }
+
+  // Share of mapped descendants the two subtrees have in common
+  dice(t1, t2, src, dst, mapping) {
+    if (t1.size === 1 && t2.size === 1) return 0;
+
+    let common = 0;
+    for (let id = t1.id + 1; id <= t1.last; id++) {
+      const partner = mapping.srcToDst.get(src.infos[id].node);
+      if (partner && this.contains(t2, dst.byNode.get(partner))) common++;
+    }
+
+    return (2 * common) / ((t1.size - 1) + (t2.size - 1));
+  }
+
+  contains(ancestor, info) {
+    return info.id > ancestor.id && info.id <= ancestor.last;
+  }
+
+  // Match the unmapped children of a mapped pair: identical subtrees first, then
+  // same type and label, then a type found only once on each side
+  recover(root1, root2, mapping) {
+    const unmapped = (children, map) => children.filter(child => !map.has(child.node));
+
+    // Pairs only map their own descendants, so the order they are worked through does not matter
+    const pending = [[root1, root2]];
+    while (pending.length > 0) {
+      const [t1, t2] = pending.pop();
+
+      unmapped(t1.children, mapping.srcToDst).forEach(child1 => {
+        const child2 = unmapped(t2.children, mapping.dstToSrc).find(child => child.hash === child1.hash);
+        if (child2) this.linkSubtrees(child1, child2, mapping);
+      });
+
+      unmapped(t1.children, mapping.srcToDst).forEach(child1 => {
+        const child2 = unmapped(t2.children, mapping.dstToSrc)
+          .find(child => child.node.type === child1.node.type && child.label === child1.label);
+        if (child2) {
+          this.link(child1, child2, mapping);
+          pending.push([child1, child2]);
+        }
+      });
+
+      const remaining1 = unmapped(t1.children, mapping.srcToDst);
+      const remaining2 = unmapped(t2.children, mapping.dstToSrc);
+      remaining1.forEach(child1 => {
+        const sameType1 = remaining1.filter(child => child.node.type === child1.node.type);
+        const sameType2 = remaining2.filter(child => child.node.type === child1.node.type);
+        if (sameType1.length === 1 && sameType2.length === 1 && !mapping.dstToSrc.has(sameType2[0].node)) {
+          this.link(child1, sameType2[0], mapping);
+          pending.push([child1, sameType2[0]]);
+        }
+      });
+    }
+  }
+
+  link(t1, t2, mapping) {
+    mapping.srcToDst.set(t1.node, t2.node);
+    mapping.dstToSrc.set(t2.node, t1.node);
+  }
+
+  // Identical subtrees have the same shape, so their preorder ranges line up
+  linkSubtrees(t1, t2, mapping) {
+    const stack = [[t1, t2]];
+    while (stack.length > 0) {
+      const [a, b] = stack.pop();
+      this.link(a, b, mapping);
+      a.children.forEach((child, i) => stack.push([child, b.children[i]]));
+    }
+  }
+
+  isMapped(t1, t2, mapping) {
+    return mapping.srcToDst.has(t1.node) || mapping.dstToSrc.has(t2.node);
+  }
+
+  // Inserts and deletes are reported once per subtree; updates are label changes of mapped
+  // nodes; moves are mapped nodes under a different parent or out of order among siblings
+  buildEditScript(src, dst, mapping) {
+    const result = {
+      actions: [],
+      inserted: [],
+      deleted: [],
+      updated: [],
+      moved: [],
+      matches: []
+    };
+    const movedNodes = new Set();
+
+    dst.infos.forEach(t2 => {
+      const legacyNode = mapping.dstToSrc.get(t2.node);
+
+      if (!legacyNode) {
+        result.inserted.push(t2.node);
+        if (!t2.parent || mapping.dstToSrc.has(t2.parent.node)) {
+          result.actions.push(this.action('insert', t2, null, t2.parent));
+        }
+        return;
+      }
+
+      const t1 = src.byNode.get(legacyNode);
+      result.matches.push({ legacy: t1.node, refactored: t2.node, identical: t1.hash === t2.hash });
+
+      if (t1.label !== t2.label) {
+        result.updated.push({ legacy: t1.node, refactored: t2.node });
+        result.actions.push({ ...this.action('update', t2, t1), oldLabel: this.displayLabel(t1) });
+      }
+
+      if (t2.parent && mapping.dstToSrc.get(t2.parent.node) !== t1.parent?.node) {
+        movedNodes.add(t2.node);
+        result.moved.push({ legacy: t1.node, refactored: t2.node });
+        result.actions.push(this.action('move', t2, t1, t2.parent));
+      }
+    });
+
+    src.infos.forEach(t1 => {
+      if (mapping.srcToDst.has(t1.node)) return;
+      result.deleted.push(t1.node);
+      if (t1.parent && mapping.srcToDst.has(t1.parent.node)) {
+        result.actions.push(this.action('delete', null, t1, t1.parent));
+      }
+    });
+
+    // Siblings that kept their parent but not their relative order
+    dst.infos.forEach(t2 => {
+      const parent1 = src.byNode.get(mapping.dstToSrc.get(t2.node));
+      if (!parent1 || t2.children.length < 2) return;
+
+      const kept = t2.children
+        .filter(child => !movedNodes.has(child.node) && mapping.dstToSrc.has(child.node))
+        .map(child => ({ child, index: parent1.children.findIndex(other => other.node === mapping.dstToSrc.get(child.node)) }))
+        .filter(entry => entry.index !== -1);
+
+      const inOrder = this.longestIncreasing(kept.map(entry => entry.index));
+      kept.forEach((entry, i) => {
+        if (inOrder.has(i)) return;
+        const t1 = src.byNode.get(mapping.dstToSrc.get(entry.child.node));
+        result.moved.push({ legacy: t1.node, refactored: entry.child.node });
+        result.actions.push(this.action('move', entry.child, t1, t2));
+      });
+    });
+
+    return result;
+  }
+
+  // Positions (into the input array) of one longest strictly increasing subsequence
+  longestIncreasing(values) {
+    const tails = [];
+    const previous = new Array(values.length).fill(-1);
+
+    values.forEach((value, i) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) low = mid + 1;
+        else high = mid;
+      }
+      if (low > 0) previous[i] = tails[low - 1];
+      tails[low] = i;
+    });
+
+    const positions = new Set();
+    let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+    while (i !== -1) {
+      positions.add(i);
+      i = previous[i];
+    }
+    return positions;
+  }
+
+  action(kind, t2, t1, parent) {
+    const info = t2 || t1;
+    const action = {
+      action: kind,
+      nodeType: info.node.type,
+      label: this.displayLabel(info)
+    };
+
+    if (parent) action.parentType = parent.node.type;
+    if (t1) action.from = { ...t1.node.startPosition };
+    if (t2) action.to = { ...t2.node.startPosition };
+
+    return action;
+  }
+
+  displayLabel(info) {
+    const label = info.node.metadata?.name || (info.children.length === 0 ? info.node.text : '');
+    return label.length > 80 ? `${label.slice(0, 77)}...` : label;
+  }
+}
+
+// Nodes waiting to be matched top-down, tallest first
+class HeightQueue {
+  constructor(infos) {
+    this.buckets = new Map();
+    infos.forEach(info => this.push(info));
+  }
+
+  push(info) {
+    if (!this.buckets.has(info.height)) this.buckets.set(info.height, []);
+    this.buckets.get(info.height).push(info);
+  }
+
+  peekMax() {
+    let max = -1;
+    this.buckets.forEach((infos, height) => {
+      if (infos.length > 0 && height > max) max = height;
+    });
+    return max;
+  }
+
+  popMax() {
+    const max = this.peekMax();
+    const infos = this.buckets.get(max) || [];
+    this.buckets.delete(max);
+    return infos;
+  }
+
+  open(info) {
+    info.children.forEach(child => this.push(child));
+  }
+}
+
+module.exports = { TreeDiffer };
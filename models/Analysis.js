@@ -18,7 +18,9 @@ const refactorTypeSchema = new mongoose.Schema({
       'Testing',
       'Containerization',
       'Infrastructure as Code',
-      'Database Migration'
+      'Database Migration',
+      'Framework Migration',
+      'Deduplication'
     ]
   },
   level: {
@@ -36,11 +38,124 @@ const refactorTypeSchema = new mongoose.Schema({
   }
 });
 
+const fileMetricsSchema = new mongoose.Schema({
+  lines: Number,
+  elements: mongoose.Schema.Types.Mixed, // Named element counts by node type
+  imports: Number
+}, { _id: false });
+
+const languageSummarySchema = new mongoose.Schema({
+  language: String,
+  files: Number,
+  linesAdded: Number,
+  linesRemoved: Number
+}, { _id: false });
+
+const editActionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['insert', 'delete', 'update', 'move']
+  },
+  nodeType: String,
+  label: String,
+  oldLabel: String,   // For updates
+  parentType: String,
+  from: { row: Number, column: Number }, // Legacy position
+  to: { row: Number, column: Number }    // Refactored position
+}, { _id: false });
+
+const complexitySchema = new mongoose.Schema({
+  cyclomatic: Number,
+  cognitive: Number
+}, { _id: false });
+
+const complexityTotalSchema = new mongoose.Schema({
+  functions: Number,
+  cyclomatic: Number, // Sum over all functions
+  cognitive: Number
+}, { _id: false });
+
+const maintainabilityMetricsSchema = new mongoose.Schema({
+  lines: Number,
+  vocabulary: Number, // Halstead n1 + n2
+  length: Number,     // Halstead N1 + N2
+  volume: Number,
+  difficulty: Number,
+  effort: Number,
+  maintainabilityIndex: Number // 0-100; null for empty code
+}, { _id: false });
+
+const renameSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  kind: { type: String, enum: ['type', 'function', 'method', 'field', 'parameter', 'local', 'variable'] },
+  scope: String, // Enclosing function of parameters and locals
+  declaredAt: Number, // Legacy line of the declaration
+  sites: [{
+    line: Number, // Refactored position of each renamed occurrence
+    column: Number,
+    legacyLine: Number
+  }]
+}, { _id: false });
+
 const fileChangeSchema = new mongoose.Schema({
   filePath: String,
+  legacyPath: String, // Set when the file was renamed or moved
+  status: {
+    type: String,
+    enum: ['added', 'removed', 'modified', 'moved']
+  },
+  language: String, // Detected per file in auto mode
+  // Set when the file exceeded its time or memory budget and was not analyzed
+  skipped: {
+    type: String,
+    enum: ['timeout', 'memory']
+  },
+  metrics: {
+    legacy: fileMetricsSchema,
+    refactored: fileMetricsSchema
+  },
+  complexity: {
+    legacy: complexityTotalSchema,
+    refactored: complexityTotalSchema,
+    delta: complexitySchema,
+    functions: [{
+      name: String, // Qualified, e.g. OrderService.placeOrder
+      type: { type: String }, // A bare type: String would declare the array's element type
+      line: Number,
+      legacy: complexitySchema, // null for added functions
+      refactored: complexitySchema // null for removed functions
+    }]
+  },
+  maintainability: {
+    legacy: maintainabilityMetricsSchema,
+    refactored: maintainabilityMetricsSchema,
+    delta: {
+      volume: Number,
+      difficulty: Number,
+      effort: Number,
+      maintainabilityIndex: Number
+    },
+    functions: [{
+      name: String,
+      legacy: maintainabilityMetricsSchema,
+      refactored: maintainabilityMetricsSchema
+    }]
+  },
+  renames: [renameSchema],
   changes: {
     textDiff: String,
     astDiffSummary: String,
+    editScript: [editActionSchema],
+    // Set when formatting and comment changes are ignored
+    formatting: {
+      kind: {
+        type: String,
+        enum: ['code', 'comments', 'formatting']
+      },
+      formattingLines: Number,
+      commentLines: Number
+    },
     impactScore: Number,
     linesAdded: Number,
     linesRemoved: Number,
@@ -49,6 +164,177 @@ const fileChangeSchema = new mongoose.Schema({
   refactorTypes: [refactorTypeSchema]
 });
 
+const fileMoveSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['rename', 'move', 'split', 'merge']
+  },
+  from: [String],
+  to: [String],
+  similarity: Number
+});
+
+const batchReplacementSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['lambda', 'batch', 'scheduled']
+  },
+  name: String,
+  filePath: String,
+  schedule: String
+}, { _id: false });
+
+const batchJobSchema = new mongoose.Schema({
+  job: String,
+  filePath: String,
+  steps: [{
+    step: String,
+    program: String,
+    datasets: [String],
+    replacement: batchReplacementSchema
+  }],
+  replacement: batchReplacementSchema,
+  confidence: Number,
+  status: {
+    type: String,
+    enum: ['migrated', 'partial', 'retained', 'unmigrated']
+  }
+});
+
+const migrationUnitSchema = new mongoose.Schema({
+  name: String,
+  type: String,
+  filePath: String,
+  language: String
+}, { _id: false });
+
+const migrationSchema = new mongoose.Schema({
+  legacyLanguage: String,
+  refactoredLanguage: String,
+  coverage: Number, // Percentage of legacy units with a counterpart
+  migrated: [{
+    legacy: migrationUnitSchema,
+    counterpart: migrationUnitSchema,
+    confidence: Number,
+    evidence: [String]
+  }],
+  unmigrated: [migrationUnitSchema]
+}, { _id: false });
+
+const callEdgeSchema = new mongoose.Schema({
+  caller: String, // "<file>:<Class.method>"
+  callee: String,
+  language: String,
+  crossFile: Boolean
+}, { _id: false });
+
+const callGraphSummarySchema = new mongoose.Schema({
+  units: Number,
+  edges: Number,
+  crossFileEdges: Number,
+  cycles: Number
+}, { _id: false });
+
+const callGraphSchema = new mongoose.Schema({
+  summary: {
+    legacy: callGraphSummarySchema,
+    refactored: callGraphSummarySchema
+  },
+  edgesAdded: [callEdgeSchema],
+  edgesRemoved: [callEdgeSchema],
+  fanChanges: [{
+    unit: String,
+    fanIn: { legacy: Number, refactored: Number },
+    fanOut: { legacy: Number, refactored: Number }
+  }],
+  newCycles: [[String]],
+  resolvedCycles: [[String]]
+}, { _id: false });
+
+const moduleDependencySchema = new mongoose.Schema({
+  from: String,
+  to: String
+}, { _id: false });
+
+const moduleCouplingSchema = new mongoose.Schema({
+  afferent: Number, // Ca: modules importing this one
+  efferent: Number, // Ce: modules this one imports
+  instability: Number // Ce / (Ca + Ce)
+}, { _id: false });
+
+const moduleGraphSummarySchema = new mongoose.Schema({
+  modules: Number,
+  dependencies: Number,
+  externalDependencies: Number,
+  averageInstability: Number
+}, { _id: false });
+
+const moduleGraphSchema = new mongoose.Schema({
+  // Whether the graphs span the whole tree or only the changed files
+  scope: { type: String, enum: ['repository', 'changed-files'] },
+  summary: {
+    legacy: moduleGraphSummarySchema,
+    refactored: moduleGraphSummarySchema
+  },
+  dependenciesAdded: [moduleDependencySchema],
+  dependenciesRemoved: [moduleDependencySchema],
+  coupling: [{
+    module: String,
+    legacy: moduleCouplingSchema,
+    refactored: moduleCouplingSchema
+  }],
+  layerViolations: [{
+    from: String,
+    to: String,
+    fromLayer: String,
+    toLayer: String
+  }]
+}, { _id: false });
+
+const cloneSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['subtree', 'tokens'] },
+  nodeType: String,
+  tokens: Number,
+  lines: Number,
+  fingerprint: String, // Same on both sides when the same code is duplicated
+  occurrences: [{
+    filePath: String,
+    startLine: Number,
+    endLine: Number
+  }]
+}, { _id: false });
+
+const duplicationSummarySchema = new mongoose.Schema({
+  totalLines: Number,
+  duplicatedLines: Number,
+  percentage: Number,
+  clones: Number
+}, { _id: false });
+
+const duplicationSchema = new mongoose.Schema({
+  legacy: duplicationSummarySchema,
+  refactored: duplicationSummarySchema,
+  percentageDelta: Number,
+  legacyClones: [cloneSchema],
+  refactoredClones: [cloneSchema],
+  newClones: [cloneSchema],
+  removedClones: [cloneSchema]
+}, { _id: false });
+
+const timelineEntrySchema = new mongoose.Schema({
+  commit: String,
+  parent: String,
+  author: String,
+  date: Date,
+  message: String,
+  overallScore: Number,
+  level: Number,
+  levelChange: Number,
+  refactorTypes: [refactorTypeSchema],
+  newRefactorTypes: [String],
+  filesModified: Number
+});
+
 const riskFlagSchema = new mongoose.Schema({
   type: {
     type: String,
@@ -70,39 +356,52 @@ const analysisSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   language: {
     type: String,
     required: true,
-    enum: ['java', 'javascript', 'python', 'c', 'cpp', 'csharp', 'cobol', 'pli']
+    enum: ['auto', 'java', 'javascript', 'typescript', 'python', 'c', 'cpp', 'csharp', 'cobol', 'pli', 'jcl']
   },
   legacy: {
     type: {
       type: String,
-      enum: ['paste', 'file', 'repo']
+      enum: ['paste', 'file', 'archive', 'repo']
     },
+    language: String, // Set when this side is in another language than the other
     content: String, // For paste
     url: String,     // For repo
     ref: String,     // Branch/tag for repo
-    files: [String]  // For file uploads
+    files: [String]  // For file and archive uploads
   },
   refactored: {
     type: {
       type: String,
-      enum: ['paste', 'file', 'repo']
+      enum: ['paste', 'file', 'archive', 'repo']
     },
+    language: String, // Set when this side is in another language than the other
     content: String,
     url: String,
     ref: String,
     files: [String]
   },
+  patch: {
+    type: {
+      type: String,
+      enum: ['paste', 'file']
+    },
+    content: String, // For paste
+    files: [String]  // For the uploaded patch file
+  },
   options: {
     mapHints: mongoose.Schema.Types.Mixed,
     analyzeTests: { type: Boolean, default: true },
     runStaticChecks: { type: Boolean, default: false },
-    includeSecurityScan: { type: Boolean, default: true }
+    includeSecurityScan: { type: Boolean, default: true },
+    timeline: { type: Boolean, default: false },
+    ignoreFormatting: { type: Boolean, default: false },
+    maintainabilityWeight: { type: Number, default: 0 }
   },
   results: {
     overallScore: {
@@ -118,6 +417,25 @@ const analysisSchema = new mongoose.Schema({
     summary: String,
     refactorTypes: [refactorTypeSchema],
     files: [fileChangeSchema],
+    languages: [languageSummarySchema],
+    formatting: {
+      formattingOnlyFiles: [String],
+      commentOnlyFiles: [String],
+      formattingLines: Number,
+      commentLines: Number
+    },
+    fileMoves: [fileMoveSchema],
+    batchJobs: [batchJobSchema],
+    migration: migrationSchema,
+    callGraph: callGraphSchema,
+    moduleGraph: moduleGraphSchema,
+    duplication: duplicationSchema,
+    // Files left out of the analysis, e.g. for exceeding their time or memory budget
+    warnings: [{
+      filePath: String,
+      reason: String,
+      message: String
+    }],
     riskFlags: [riskFlagSchema],
     suggestedNextSteps: [String],
     metrics: {
@@ -126,8 +444,14 @@ const analysisSchema = new mongoose.Schema({
       newDependencies: [String],
       removedDependencies: [String],
       cyclomaticComplexityDelta: Number,
+      cognitiveComplexityDelta: Number,
+      halsteadVolumeDelta: Number,
+      halsteadDifficultyDelta: Number,
+      halsteadEffortDelta: Number,
+      maintainabilityIndexDelta: Number,
       testCoverageDelta: Number
-    }
+    },
+    timeline: [timelineEntrySchema]
   },
   error: {
     message: String,
@@ -8,9 +8,18 @@ const defaultWeights = KPIS.reduce((acc, k) => {
   return acc;
 }, {});
 
+// An architectural layer: the files in it and the layers it may depend on,
+// e.g. { name: 'controller', patterns: ['**/controllers/**'], allowed: ['service'] }
+const LayerSchema = new Schema({
+  name: { type: String, required: true },
+  patterns: [String],
+  allowed: [String],
+}, { _id: false });
+
 const OrgSettingsSchema = new Schema({
   org: { type: Schema.Types.ObjectId, ref: 'Organization', required: true, unique: true },
   kpiWeights: { type: Map, of: Number, default: defaultWeights },
+  layers: [LayerSchema],
   createdAt: { type: Date, default: Date.now },
 });
 
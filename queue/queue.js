@@ -1,7 +1,11 @@
 const Bull = require('bull');
 const logger = require('../utils/logger');
+const Analysis = require('../models/Analysis');
 const { analyzeCodePair } = require('../services/analysisService');
 
+// How often a queue worker looks for cancellations of the analysis it runs, in ms
+const CANCEL_CHECK_MS = parseInt(process.env.CANCEL_CHECK_MS) || 5000;
+
 let analysisQueue = null;
 
 function initQueue() {
@@ -33,8 +37,23 @@ function initQueue() {
 
     analysisQueue.process(async (job) => {
       const { analysisId, request } = job.data;
-      const { analyzeCodePair } = require('../services/analysisService');
-      await analyzeCodePair(analysisId, request);
+      const { analyzeCodePair, cancelAnalysis } = require('../services/analysisService');
+
+      // Cancel requests reach the API process, so this one aborts on the stored status
+      const watch = setInterval(async () => {
+        try {
+          const analysis = await Analysis.findOne({ id: analysisId }).select('status');
+          if (!analysis || analysis.status === 'cancelled') cancelAnalysis(analysisId);
+        } catch (e) {
+          logger.warn(`Failed to check analysis ${analysisId} for cancellation:`, e.message);
+        }
+      }, CANCEL_CHECK_MS);
+
+      try {
+        await analyzeCodePair(analysisId, request);
+      } finally {
+        clearInterval(watch);
+      }
     });
 
     analysisQueue.on('error', (err) => {
@@ -4,7 +4,7 @@ const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 
 const Analysis = require('../models/Analysis');
-const { analyzeCodePair } = require('../services/analysisService');
+const { analyzeCodePair, cancelAnalysis } = require('../services/analysisService');
 const { enqueueAnalysis } = require('../queue/queue');
 const { validateRequest } = require('../middleware/validation');
 const logger = require('../utils/logger');
@@ -12,17 +12,27 @@ const logger = require('../utils/logger');
 const router = express.Router();
 const { requireAuth } = require('../middleware/authMiddleware');
 
+const sourceExtensions = /\.(java|js|jsx|mjs|cjs|ts|tsx|py|c|h|cpp|cc|hpp|cs|cob|cbl|cpy|pli|pl1|jcl|prc|proc|go|yml|yaml|json|tf)$/i;
+const uploadExtensions = {
+  legacyBundle: /\.bundle$/i,
+  refactoredBundle: /\.bundle$/i,
+  legacyArchive: /\.(zip|tar|tar\.gz|tgz)$/i,
+  refactoredArchive: /\.(zip|tar|tar\.gz|tgz)$/i,
+  patch: /\.(patch|diff)$/i
+};
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
+  preservePath: true, // keep relative paths so files can be paired across sides
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
     files: parseInt(process.env.MAX_FILES) || 10
   },
   fileFilter: (req, file, cb) => {
-    // Accept common source code files
-    const allowedExtensions = /\.(java|js|ts|py|c|cpp|cs|cob|pli|jcl)$/i;
+    // Accept common source code files, archives of them, or git bundles for repo sources
+    const allowedExtensions = uploadExtensions[file.fieldname] || sourceExtensions;
     if (allowedExtensions.test(file.originalname)) {
       cb(null, true);
     } else {
@@ -31,51 +41,67 @@ const upload = multer({
   }
 });
 
+const languages = ['java', 'javascript', 'typescript', 'python', 'c', 'cpp', 'csharp', 'cobol', 'pli', 'jcl'];
+
 // Validation schemas
+const sourceSchema = Joi.object({
+  type: Joi.string().valid('paste', 'file', 'archive', 'repo').required(),
+  // Overrides the analysis language for this side, e.g. a COBOL legacy side and a Java refactored side
+  language: Joi.string().valid('auto', ...languages),
+  content: Joi.when('type', {
+    is: 'paste',
+    then: Joi.string().required(),
+    otherwise: Joi.string().allow('')
+  }),
+  // Repositories are read locally: a file:// URL or an absolute path (or an uploaded bundle)
+  url: Joi.when('type', {
+    is: 'repo',
+    then: Joi.alternatives().try(
+      Joi.string().uri({ scheme: ['file'] }),
+      Joi.string().pattern(/^\//, 'absolute path')
+    ),
+    otherwise: Joi.string().allow('')
+  }),
+  ref: Joi.string().allow(''),
+  files: Joi.array().items(Joi.string()).allow(null)
+});
+
 const analysisRequestSchema = Joi.object({
-  language: Joi.string().valid('java', 'javascript', 'python', 'c', 'cpp', 'csharp', 'cobol', 'pli').required(),
-  legacy: Joi.object({
-    type: Joi.string().valid('paste', 'file', 'repo').required(),
-    content: Joi.when('type', {
-      is: 'paste',
-      then: Joi.string().required(),
-      otherwise: Joi.string().allow('')
-    }),
-    url: Joi.when('type', {
-      is: 'repo',
-      then: Joi.string().uri().required(),
-      otherwise: Joi.string().allow('')
-    }),
-    ref: Joi.string().allow(''),
-    files: Joi.array().items(Joi.string()).allow(null)
-  }).required(),
-  refactored: Joi.object({
-    type: Joi.string().valid('paste', 'file', 'repo').required(),
+  // 'auto' detects each file's language, so one analysis can mix languages.
+  // It is also the default when both sides name their own language.
+  language: Joi.string().valid('auto', ...languages).when('legacy.language', {
+    is: Joi.exist(),
+    then: Joi.when('refactored.language', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+    otherwise: Joi.required()
+  }),
+  // A single unified diff / format-patch replaces the legacy and refactored sources
+  patch: Joi.object({
+    type: Joi.string().valid('paste', 'file').required(),
     content: Joi.when('type', {
       is: 'paste',
       then: Joi.string().required(),
       otherwise: Joi.string().allow('')
-    }),
-    url: Joi.when('type', {
-      is: 'repo',
-      then: Joi.string().uri().required(),
-      otherwise: Joi.string().allow('')
-    }),
-    ref: Joi.string().allow(''),
-    files: Joi.array().items(Joi.string()).allow(null)
-  }).required(),
+    })
+  }),
+  legacy: sourceSchema.when('patch', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
+  refactored: sourceSchema.when('patch', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
   options: Joi.object({
     mapHints: Joi.object().allow(null),
     analyzeTests: Joi.boolean().default(true),
     runStaticChecks: Joi.boolean().default(false),
-    includeSecurityScan: Joi.boolean().default(true)
+    includeSecurityScan: Joi.boolean().default(true),
+    timeline: Joi.boolean().default(false),
+    // Diff without comments and whitespace; formatting-only changes are reported separately
+    ignoreFormatting: Joi.boolean().default(false),
+    // Share of the overall score given to the Maintainability Index delta
+    maintainabilityWeight: Joi.number().min(0).max(1).default(0)
   }).default({})
 });
 
 // Middleware to parse JSON strings in multipart/form-data
 const parseMultipartJson = (req, res, next) => {
   if (req.is('multipart/form-data')) {
-    ['legacy', 'refactored', 'options'].forEach(field => {
+    ['legacy', 'refactored', 'patch', 'options'].forEach(field => {
       if (typeof req.body[field] === 'string') {
         try {
           req.body[field] = JSON.parse(req.body[field]);
@@ -88,11 +114,91 @@ const parseMultipartJson = (req, res, next) => {
   next();
 };
 
+// Uploaded files are tagged by field: legacyFiles or refactoredFiles
+const uploadFields = upload.fields([
+  { name: 'legacyFiles' },
+  { name: 'refactoredFiles' },
+  { name: 'legacyBundle', maxCount: 1 },
+  { name: 'refactoredBundle', maxCount: 1 },
+  { name: 'legacyArchive', maxCount: 1 },
+  { name: 'refactoredArchive', maxCount: 1 },
+  { name: 'patch', maxCount: 1 }
+]);
+
+const readUploads = (files = []) => files.map(file => ({
+  path: file.originalname,
+  content: file.buffer.toString('utf8')
+}));
+
 // POST /api/v1/analyze - Start new analysis
-router.post('/analyze', requireAuth, upload.array('files'), parseMultipartJson, validateRequest(analysisRequestSchema), async (req, res) => {
+router.post('/analyze', requireAuth, uploadFields, parseMultipartJson, validateRequest(analysisRequestSchema), async (req, res) => {
   try {
     const analysisId = uuidv4();
+    const uploads = {
+      legacy: readUploads(req.files?.legacyFiles),
+      refactored: readUploads(req.files?.refactoredFiles)
+    };
+    const bundles = {
+      legacy: req.files?.legacyBundle?.[0],
+      refactored: req.files?.refactoredBundle?.[0]
+    };
+    const archives = {
+      legacy: req.files?.legacyArchive?.[0],
+      refactored: req.files?.refactoredArchive?.[0]
+    };
+
+    const patchUpload = req.files?.patch?.[0];
+
+    if (req.body.options?.timeline && (req.body.legacy?.type !== 'repo' || req.body.refactored?.type !== 'repo')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'A timeline needs repo sources on both sides (legacy ref..refactored ref)'
+      });
+    }
+
+    if (req.body.patch?.type === 'file') {
+      if (!patchUpload) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: '"patch" is of type file but no patch was uploaded'
+        });
+      }
+      req.body.patch.files = [patchUpload.originalname];
+    }
+
+    for (const side of ['legacy', 'refactored']) {
+      if (!req.body[side]) continue;
+
+      if (req.body[side].type === 'repo' && !req.body[side].url && !bundles[side]) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `"${side}" is of type repo but has neither a url nor a ${side}Bundle upload`
+        });
+      }
+
+      if (req.body[side].type === 'archive') {
+        if (!archives[side]) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `"${side}" is of type archive but no ${side}Archive was uploaded`
+          });
+        }
+        req.body[side].files = [archives[side].originalname];
+      }
+
+      if (req.body[side].type !== 'file') continue;
+
+      if (uploads[side].length === 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `"${side}" is of type file but no ${side}Files were uploaded`
+        });
+      }
+      req.body[side].files = uploads[side].map(file => file.path);
+    }
     
+    req.body.language = req.body.language || 'auto';
+
     // Create analysis record
     const analysis = new Analysis({
       id: analysisId,
@@ -108,6 +214,18 @@ router.post('/analyze', requireAuth, upload.array('files'), parseMultipartJson,
 
   // Attach org to the request body so the worker can use org-specific settings
   const jobRequest = { ...req.body, org: req.org ? req.org._id : null };
+  if (req.body.patch) {
+    jobRequest.patch = { ...req.body.patch, content: patchUpload ? patchUpload.buffer.toString('utf8') : req.body.patch.content };
+  } else {
+    ['legacy', 'refactored'].forEach(side => {
+      jobRequest[side] = {
+        ...req.body[side],
+        sources: uploads[side],
+        bundle: bundles[side]?.buffer.toString('base64'),
+        archive: archives[side] && { name: archives[side].originalname, data: archives[side].buffer.toString('base64') }
+      };
+    });
+  }
   // Start analysis via queue (falls back to in-process if queue disabled)
   await enqueueAnalysis(analysisId, jobRequest);
 
@@ -164,6 +282,90 @@ router.get('/analyze/:id', async (req, res) => {
   }
 });
 
+// GET /api/v1/analyze/:id/timeline - Per-commit score, level and refactor types
+router.get('/analyze/:id/timeline', async (req, res) => {
+  try {
+    const analysis = await Analysis.findOne({ id: req.params.id });
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found'
+      });
+    }
+
+    if (!analysis.options?.timeline) {
+      return res.status(404).json({
+        error: 'No timeline was requested for this analysis'
+      });
+    }
+
+    const timeline = analysis.results?.timeline || [];
+    const architectural = timeline.find(entry => entry.level >= 4);
+
+    res.json({
+      id: analysis.id,
+      status: analysis.status,
+      range: {
+        from: analysis.legacy?.ref,
+        to: analysis.refactored?.ref
+      },
+      firstArchitecturalCommit: architectural ? architectural.commit : null,
+      timeline
+    });
+
+  } catch (error) {
+    logger.error('Error fetching analysis timeline:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analysis timeline',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/v1/analyze/:id/cancel - Cancel a pending or running analysis
+router.post('/analyze/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const analysis = await Analysis.findOne({ id: req.params.id });
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found'
+      });
+    }
+
+    // Only whoever started an analysis may cancel it
+    if (!analysis.user || String(analysis.user) !== String(req.user._id)) {
+      return res.status(403).json({
+        error: 'Not allowed to cancel this analysis'
+      });
+    }
+
+    if (!['pending', 'processing'].includes(analysis.status)) {
+      return res.status(409).json({
+        error: `Analysis is already ${analysis.status}`
+      });
+    }
+
+    // Queued analyses see the status when they start; running ones are stopped here
+    analysis.status = 'cancelled';
+    await analysis.save();
+    cancelAnalysis(analysis.id);
+
+    res.json({
+      id: analysis.id,
+      status: analysis.status,
+      message: 'Analysis cancelled'
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling analysis:', error);
+    res.status(500).json({
+      error: 'Failed to cancel analysis',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/v1/analyze - List all analyses with pagination
 router.get('/analyze', async (req, res) => {
   try {
@@ -209,6 +411,8 @@ router.delete('/analyze/:id', async (req, res) => {
       });
     }
 
+    cancelAnalysis(analysis.id);
+
     res.json({
       message: 'Analysis deleted successfully'
     });
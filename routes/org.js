@@ -9,7 +9,10 @@ router.get('/settings', requireAuth, async (req, res, next) => {
     const orgId = req.org?._id;
     if (!orgId) return res.status(400).json({ error: 'No org in context' });
     const settings = await OrgSettings.findOne({ org: orgId });
-    res.json({ kpiWeights: settings ? Object.fromEntries(settings.kpiWeights) : {} });
+    res.json({
+      kpiWeights: settings ? Object.fromEntries(settings.kpiWeights) : {},
+      layers: settings ? settings.layers : []
+    });
   } catch (e) { next(e); }
 });
 
@@ -18,12 +21,13 @@ router.post('/settings', requireAuth, async (req, res, next) => {
   try {
     const orgId = req.org?._id;
     if (!orgId) return res.status(400).json({ error: 'No org in context' });
-    const { kpiWeights } = req.body;
+    const { kpiWeights, layers } = req.body;
     let settings = await OrgSettings.findOne({ org: orgId });
     if (!settings) {
-      settings = new OrgSettings({ org: orgId, kpiWeights });
+      settings = new OrgSettings({ org: orgId, kpiWeights, layers });
     } else {
       settings.kpiWeights = kpiWeights;
+      if (layers) settings.layers = layers;
     }
     await settings.save();
     res.json({ success: true });
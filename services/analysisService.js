@@ -1,3 +1,4 @@
+const path = require('path');
 const Analysis = require('../models/Analysis');
 const User = require('../models/User');
 const { sendEmail } = require('../utils/mail');
@@ -5,8 +6,31 @@ const { ASTAnalyzer } = require('../analyzers/astAnalyzer');
 const { RefactorClassifier } = require('../analyzers/refactorClassifier');
 const { ImpactScorer } = require('../analyzers/impactScorer');
 const { SecurityScanner } = require('../analyzers/securityScanner');
+const { FilePairer } = require('../analyzers/filePairer');
+const { BatchJobMapper } = require('../analyzers/batchJobMapper');
+const { CrossLanguageMapper } = require('../analyzers/crossLanguageMapper');
+const { CallGraphBuilder } = require('../analyzers/callGraphBuilder');
+const { ModuleGraphBuilder } = require('../analyzers/moduleGraphBuilder');
+const { CloneDetector } = require('../analyzers/cloneDetector');
+const { FilePairAnalyzer } = require('../analyzers/filePairAnalyzer');
 const logger = require('../utils/logger');
+const { ContentCache, contentHash } = require('../utils/contentCache');
+const { WorkerPool, defaultPoolSize } = require('../utils/workerPool');
 const { analyzeWithAI } = require('./aiService');
+const { collectFilePairs, pairByPath } = require('./sourceService');
+const { readCommitRange } = require('./repoService');
+const { isSourceFile, detectLanguage } = require('../utils/languages');
+
+// Serialized per-file results kept for re-analysis, in bytes
+const RESULT_CACHE_SIZE = parseInt(process.env.RESULT_CACHE_SIZE) || 64 * 1024 * 1024;
+
+// The time and heap one file may take before it is skipped with a warning, and the worker
+// processes that parse, map and diff file pairs (0 analyzes them on the event loop)
+const FILE_TIMEOUT_MS = parseInt(process.env.FILE_TIMEOUT_MS) || 30 * 1000;
+const FILE_MEMORY_MB = parseInt(process.env.FILE_MEMORY_MB) || 512;
+const ANALYSIS_WORKERS = process.env.ANALYSIS_WORKERS !== undefined
+  ? parseInt(process.env.ANALYSIS_WORKERS) || 0
+  : defaultPoolSize(FILE_MEMORY_MB);
 
 class AnalysisService {
   constructor() {
@@ -14,79 +38,49 @@ class AnalysisService {
     this.refactorClassifier = new RefactorClassifier();
     this.impactScorer = new ImpactScorer();
     this.securityScanner = new SecurityScanner();
+    this.filePairer = new FilePairer(this.astAnalyzer);
+    this.batchJobMapper = new BatchJobMapper(this.astAnalyzer);
+    this.crossLanguageMapper = new CrossLanguageMapper(this.astAnalyzer);
+    this.callGraphBuilder = new CallGraphBuilder(this.astAnalyzer);
+    this.moduleGraphBuilder = new ModuleGraphBuilder(this.astAnalyzer);
+    this.cloneDetector = new CloneDetector(this.astAnalyzer);
+    this.resultCache = new ContentCache(RESULT_CACHE_SIZE);
+    this.filePairAnalyzer = new FilePairAnalyzer(this.astAnalyzer, this.refactorClassifier);
+    this.workerPool = ANALYSIS_WORKERS > 0
+      ? new WorkerPool(path.join(__dirname, 'fileAnalysisWorker.js'), {
+        size: ANALYSIS_WORKERS,
+        timeoutMs: FILE_TIMEOUT_MS,
+        memoryMb: FILE_MEMORY_MB
+      })
+      : null;
+    this.running = new Map(); // analysisId -> AbortController of analyses in this process
   }
 
   async analyzeCodePair(analysisId, request) {
     const startTime = Date.now();
     const { normalizeScores, weightedScore, kpiRankings, kpiAverages, KPIS } = require('../models/KPIFramework');
+    const controller = new AbortController();
+    this.running.set(analysisId, controller);
     try {
-      //status update to processing
-      await Analysis.findOneAndUpdate(
-        { id: analysisId },
+      //status update to processing, unless it was cancelled while queued
+      const pending = await Analysis.findOneAndUpdate(
+        { id: analysisId, status: { $ne: 'cancelled' } },
         { status: 'processing' }
       );
+      if (!pending) {
+        logger.info(`Analysis ${analysisId} was cancelled before it started`);
+        return;
+      }
 
       logger.info(`Starting analysis ${analysisId}`);
 
-      // Step 1: Parsing and normalize code
-      const legacyAST = await this.astAnalyzer.parseCode(
-        request.legacy,
-        request.language
-      );
-
-      const refactoredAST = await this.astAnalyzer.parseCode(
-        request.refactored,
-        request.language
-      );
-
-      // Step 2: Map corresponding elements
-      const mappings = await this.astAnalyzer.mapElements(
-        legacyAST,
-        refactoredAST,
-        request.options?.mapHints || {}
-      );
-
-      // Step 3:AST differences
-      const astDiffs = await this.astAnalyzer.computeDiffs(
-        legacyAST,
-        refactoredAST,
-        mappings
-      );
+      // Step 1: Resolve the legacy and refactored sources into file pairs
+      const { pairs, unchanged } = await collectFilePairs(request);
 
-      // Step 4.5: AI-ML powered code clustering (Python)
-      let aiLabels = [];
-      try {
-        const codeSnippets = astDiffs.files?.map(f => f.content).filter(Boolean) || [];
-        if (codeSnippets.length > 0) {
-          const aiResult = await analyzeWithAI(codeSnippets);
-          aiLabels = aiResult.labels;
-        }
-      } catch (err) {
-        logger.warn('AI-ML code analysis failed:', err.message);
-      }
+      // Layer rules of the org, checked against the refactored import graph
+      request = { ...request, layers: await this.loadLayers(request.org), signal: controller.signal };
 
-      // Step 4: Classify refactoring types
-      const refactorTypes = await this.refactorClassifier.classify(
-        astDiffs,
-        request.language
-      );
-
-      // Step 5: Calculate impact scores
-      const impactMetrics = await this.impactScorer.calculate(
-        astDiffs,
-        refactorTypes,
-        request.language
-      );
-
-      // Step 6: Security and risk scanning
-      const riskFlags = await this.securityScanner.scan(
-        request.refactored,
-        request.language,
-        request.options?.includeSecurityScan !== false
-      );
-
-      // Step 7: Generate suggestions
-      const suggestions = this.generateSuggestions(refactorTypes, riskFlags);
+      const analysisResults = await this.analyzeFiles(pairs, request, unchanged);
 
       // Step 8: KPI-driven analysis (example: compare tools, original vs refactored)
       // For demonstration, assume request.tools = [{ tool: 'Original', scores: {...} }, { tool: 'Refactored', scores: {...} }, ...]
@@ -120,23 +114,22 @@ class AnalysisService {
         };
       }
 
+      // Step 9: Per-commit timeline across the legacy..refactored range
+      let timeline;
+      if (request.options?.timeline) {
+        timeline = await this.analyzeTimeline(request);
+      }
+
       // Compile results
       const results = {
-        overallScore: impactMetrics.overallScore,
-        aiLabels, // AI-ML clustering results
-        level: impactMetrics.level,
-        summary: this.generateSummary(refactorTypes, impactMetrics),
-        refactorTypes,
-        files: astDiffs.files,
-        riskFlags,
-        suggestedNextSteps: suggestions,
-        metrics: impactMetrics.detailed,
-        kpiAnalysis: kpiResults
+        ...analysisResults,
+        kpiAnalysis: kpiResults,
+        timeline
       };
 
-      // Update analysis with results
+      // Update analysis with results, unless it was cancelled while they were compiled
       const updatedAnalysis = await Analysis.findOneAndUpdate(
-        { id: analysisId },
+        { id: analysisId, status: { $ne: 'cancelled' } },
         {
           status: 'completed',
           results,
@@ -145,6 +138,10 @@ class AnalysisService {
         },
         { new: true }
       );
+      if (!updatedAnalysis) {
+        logger.info(`Analysis ${analysisId} was cancelled before its results were saved`);
+        return;
+      }
 
       // Send completion email if user is present
       if (updatedAnalysis.user) {
@@ -166,10 +163,19 @@ class AnalysisService {
       logger.info(`Analysis ${analysisId} completed in ${Date.now() - startTime}ms`);
 
     } catch (error) {
+      if (controller.signal.aborted) {
+        logger.info(`Analysis ${analysisId} cancelled`);
+        await Analysis.findOneAndUpdate(
+          { id: analysisId },
+          { status: 'cancelled', processingTimeMs: Date.now() - startTime }
+        );
+        return;
+      }
+
       logger.error(`Analysis ${analysisId} failed:`, error);
 
       await Analysis.findOneAndUpdate(
-        { id: analysisId },
+        { id: analysisId, status: { $ne: 'cancelled' } },
         {
           status: 'failed',
           error: {
@@ -180,9 +186,489 @@ class AnalysisService {
           processingTimeMs: Date.now() - startTime
         }
       );
+    } finally {
+      this.running.delete(analysisId);
+    }
+  }
+
+  // Stops an analysis running in this process; false if there is none
+  cancelAnalysis(analysisId) {
+    const controller = this.running.get(analysisId);
+    if (!controller) return false;
+
+    controller.abort();
+    return true;
+  }
+
+  // unchangedFiles are the { path, content } of the files both sides share when the sources
+  // were whole trees, and null when only the changed files are known
+  async analyzeFiles(filePairs, request, unchangedFiles = null) {
+    // Every file is analyzed in its own language; files without one are only read as context.
+    // Each side may name its own language for cross-language migrations.
+    const legacyLanguage = request.legacy?.language || request.language;
+    const refactoredLanguage = request.refactored?.language || request.language;
+
+    const sourcePairs = filePairs
+      .map(pair => {
+        const languages = {
+          legacy: pair.legacy !== null ? this.resolveLanguage(pair.legacyPath || pair.filePath, pair.legacy, legacyLanguage) : null,
+          refactored: pair.refactored !== null ? this.resolveLanguage(pair.refactoredPath || pair.filePath, pair.refactored, refactoredLanguage) : null
+        };
+        return {
+          ...pair,
+          language: languages.refactored || languages.legacy,
+          legacyLanguage: languages.legacy,
+          refactoredLanguage: languages.refactored
+        };
+      })
+      .filter(pair => pair.language);
+
+    // Step 2: Pair renamed, moved, split and merged files. Their named elements are read on the
+    // worker pool, and files over their budget there are skipped before pairing.
+    const elements = new Map();
+    const skippedDiffs = [];
+    await Promise.all(this.filePairer.unmatched(sourcePairs).map(async pair => {
+      try {
+        elements.set(pair, await this.readElements(pair, request));
+      } catch (error) {
+        if (error.code !== 'TIMEOUT' && error.code !== 'OUT_OF_MEMORY') throw error;
+
+        logger.warn(`Skipped ${pair.filePath}: ${error.message}`);
+        skippedDiffs.push(this.skippedFileDiff(pair, pair.language, error));
+      }
+    }));
+    this.throwIfCancelled(request.signal);
+    const skippedPaths = new Set(skippedDiffs.map(fileDiff => fileDiff.files[0].filePath));
+    const { pairs, moves } = this.filePairer.pair(sourcePairs.filter(pair => !skippedPaths.has(pair.filePath)), elements);
+
+    // Step 3: Parse, map and diff every file pair, side by side on the worker pool, and collect
+    // the facts the cross-file steps below work from
+    const crossLanguage = legacyLanguage !== refactoredLanguage;
+    const pairResults = await Promise.all(pairs.map(pair => this.analyzeFilePair(pair, { ...request, crossLanguage })));
+    this.throwIfCancelled(request.signal);
+    const fileDiffs = [...pairResults.map(result => result.fileDiff), ...skippedDiffs];
+    const astDiffs = this.astAnalyzer.mergeDiffs(fileDiffs);
+    astDiffs.moves = moves;
+
+    // Files skipped for exceeding their budget have no facts and are left out of the steps below
+    const warnings = fileDiffs.flatMap(fileDiff => fileDiff.warnings || []);
+    const analyzed = pairs
+      .map((pair, index) => ({ pair, facts: pairResults[index].facts }))
+      .filter(({ facts }) => facts);
+    const factsOf = (side, key, pairsOf = analyzed) => pairsOf
+      .map(({ facts }) => facts[side] && facts[side][key])
+      .filter(Boolean);
+
+    // Step 3.5: Map legacy batch jobs to the services or functions replacing them
+    const jclPairs = analyzed.filter(({ pair }) => pair.language === 'jcl');
+    const batchJobs = jclPairs.length > 0
+      ? this.batchJobMapper.map(factsOf('legacy', 'jobs', jclPairs).flat(), factsOf('refactored', 'jobs', jclPairs).flat(), filePairs)
+      : [];
+    astDiffs.batchJobs = batchJobs;
+
+    // Step 3.6: Map legacy units to their counterparts when the code was rewritten in another language
+    const migration = crossLanguage
+      ? this.crossLanguageMapper.map(factsOf('legacy', 'units'), factsOf('refactored', 'units'), legacyLanguage, refactoredLanguage)
+      : null;
+
+    // Step 3.7: Diff who calls what, across files, to see whether extracted code was actually decoupled
+    const callGraph = !crossLanguage
+      ? this.callGraphBuilder.diff(
+        this.callGraphBuilder.build(factsOf('legacy', 'calls')),
+        this.callGraphBuilder.build(factsOf('refactored', 'calls'))
+      )
+      : null;
+
+    // Step 3.8: Diff the module import graphs, their coupling and the org's layering rules. The
+    // graphs span the whole tree when the unchanged files are known, with coupling reported for
+    // the changed modules; otherwise they only span the changed files, and say so.
+    let moduleGraph = null;
+    if (!crossLanguage) {
+      const unchangedModules = unchangedFiles
+        ? await this.readUnchangedModules(unchangedFiles, refactoredLanguage, request, warnings)
+        : [];
+      this.throwIfCancelled(request.signal);
+      moduleGraph = {
+        scope: unchangedFiles ? 'repository' : 'changed-files',
+        ...this.moduleGraphBuilder.diff(
+          this.moduleGraphBuilder.build([...factsOf('legacy', 'module'), ...unchangedModules]),
+          this.moduleGraphBuilder.build([...factsOf('refactored', 'module'), ...unchangedModules]),
+          request.layers,
+          unchangedFiles ? new Set(pairs.map(pair => pair.filePath)) : null
+        )
+      };
+    }
+
+    // Step 3.9: Find duplicated code on both sides and the clones the refactor introduced
+    const duplication = !crossLanguage
+      ? this.cloneDetector.compare(
+        this.cloneDetector.detect(factsOf('legacy', 'clones')),
+        this.cloneDetector.detect(factsOf('refactored', 'clones'))
+      )
+      : null;
+    astDiffs.duplication = duplication;
+    this.throwIfCancelled(request.signal);
+
+    // Step 4.5: AI-ML powered code clustering (Python)
+    let aiLabels = [];
+    try {
+      const codeSnippets = astDiffs.files?.map(f => f.content).filter(Boolean) || [];
+      if (codeSnippets.length > 0) {
+        const aiResult = await analyzeWithAI(codeSnippets);
+        aiLabels = aiResult.labels;
+      }
+    } catch (err) {
+      logger.warn('AI-ML code analysis failed:', err.message);
+    }
+
+    // Step 4: Classify refactoring types
+    const refactorTypes = await this.refactorClassifier.classify(
+      astDiffs,
+      request.language
+    );
+
+    // Step 5: Calculate impact scores
+    const impactMetrics = await this.impactScorer.calculate(
+      astDiffs,
+      refactorTypes,
+      request.language,
+      { maintainabilityWeight: request.options?.maintainabilityWeight }
+    );
+
+    // Step 6: Security and risk scanning of every refactored file
+    const riskFlags = [];
+    for (const pair of pairs) {
+      if (pair.refactored) {
+        riskFlags.push(...await this.securityScanner.scan(
+          pair.refactored,
+          pair.language,
+          request.options?.includeSecurityScan !== false
+        ));
+      }
+    }
+
+    batchJobs.filter(job => job.status === 'unmigrated').forEach(job => {
+      riskFlags.push({
+        type: 'compatibility',
+        severity: 'medium',
+        description: `Batch job ${job.job} was removed without a refactored replacement`,
+        suggestion: 'Map its steps to a scheduled service or function, or confirm the job is retired'
+      });
+    });
+
+    if (migration && migration.unmigrated.length > 0) {
+      const total = migration.migrated.length + migration.unmigrated.length;
+      riskFlags.push({
+        type: 'compatibility',
+        severity: migration.coverage < 50 ? 'high' : 'medium',
+        description: `${migration.unmigrated.length} of ${total} legacy ${migration.legacyLanguage} units have no ${migration.refactoredLanguage} counterpart`,
+        suggestion: 'Port or retire the unmigrated units listed in the migration report'
+      });
+    }
+
+    if (callGraph && callGraph.newCycles.length > 0) {
+      riskFlags.push({
+        type: 'maintainability',
+        severity: 'medium',
+        description: `${callGraph.newCycles.length} new call cycle(s), e.g. ${callGraph.newCycles[0].join(', ')}`,
+        suggestion: 'Break the cycle by moving the shared logic into a unit both sides can call'
+      });
+    }
+
+    moduleGraph?.layerViolations.forEach(violation => {
+      riskFlags.push({
+        type: 'maintainability',
+        severity: 'high',
+        description: `Layer violation: ${violation.fromLayer} ${violation.from} now depends on ${violation.toLayer} ${violation.to}`,
+        suggestion: `Route the dependency through a layer ${violation.fromLayer} is allowed to use`
+      });
+    });
+
+    if (duplication && duplication.newClones.length > 0) {
+      const [clone] = duplication.newClones;
+      const where = clone.occurrences.map(occurrence => `${occurrence.filePath}:${occurrence.startLine}`).join(', ');
+      riskFlags.push({
+        type: 'maintainability',
+        severity: duplication.percentageDelta > 0 ? 'medium' : 'low',
+        description: `${duplication.newClones.length} duplicated block(s) introduced by the refactor, e.g. ${where}`,
+        suggestion: 'Extract the repeated code into a shared function'
+      });
+    }
+
+    // Step 7: Generate suggestions
+    const suggestions = this.generateSuggestions(refactorTypes, riskFlags);
+
+    return {
+      overallScore: impactMetrics.overallScore,
+      aiLabels, // AI-ML clustering results
+      level: impactMetrics.level,
+      summary: this.generateSummary(refactorTypes, impactMetrics),
+      refactorTypes,
+      files: astDiffs.files,
+      languages: this.summarizeLanguages(astDiffs.files),
+      formatting: request.options?.ignoreFormatting ? this.summarizeFormatting(astDiffs.files) : undefined,
+      fileMoves: moves,
+      batchJobs,
+      migration,
+      callGraph,
+      moduleGraph,
+      duplication,
+      warnings,
+      riskFlags: this.securityScanner.deduplicateFlags(riskFlags),
+      suggestedNextSteps: suggestions,
+      metrics: impactMetrics.detailed
+    };
+  }
+
+  async analyzeTimeline(request) {
+    const timeline = [];
+    const seenTypes = new Set();
+    let previousLevel = 0;
+
+    await readCommitRange(request.legacy, request.refactored, request.language, async (commit, changed) => {
+      const pairs = pairByPath(changed.legacy, changed.refactored);
+
+      // Commits that touch no source files leave the score where it was
+      const commitResults = pairs.length > 0
+        ? await this.analyzeFiles(pairs, request)
+        : { overallScore: 0, level: 0, refactorTypes: [], metrics: { filesModified: 0 } };
+
+      const refactorTypes = commitResults.refactorTypes.map(({ type, level, confidence }) => ({ type, level, confidence }));
+      const newRefactorTypes = refactorTypes.map(r => r.type).filter(type => !seenTypes.has(type));
+      newRefactorTypes.forEach(type => seenTypes.add(type));
+
+      timeline.push({
+        commit: commit.commit,
+        parent: commit.parent,
+        author: commit.author,
+        date: commit.date,
+        message: commit.message,
+        overallScore: commitResults.overallScore,
+        level: commitResults.level,
+        levelChange: commitResults.level - previousLevel,
+        refactorTypes,
+        newRefactorTypes,
+        filesModified: commitResults.metrics.filesModified
+      });
+      previousLevel = commitResults.level;
+    });
+
+    return timeline;
+  }
+
+  async loadLayers(org) {
+    if (!org) return [];
+
+    try {
+      const OrgSettings = require('../models/OrgSettings');
+      const settings = await OrgSettings.findOne({ org });
+      return settings?.layers?.map(layer => ({
+        name: layer.name,
+        patterns: [...layer.patterns],
+        allowed: [...layer.allowed]
+      })) || [];
+    } catch (e) {
+      logger.warn('Failed to load org settings for layer rules:', e.message);
+      return [];
+    }
+  }
+
+  // Language a file is analyzed in, or null for files read only as context
+  // (the services and functions replacing JCL jobs, configuration in mixed analyses)
+  resolveLanguage(filePath, content, language) {
+    if (language === 'auto') {
+      return detectLanguage(filePath, content || '');
+    }
+
+    if (language === 'jcl' && filePath !== 'main' && !isSourceFile(filePath, 'jcl')) {
+      return null;
+    }
+
+    return language;
+  }
+
+  summarizeLanguages(files = []) {
+    const summaries = new Map();
+
+    files.forEach(file => {
+      const summary = summaries.get(file.language) || { language: file.language, files: 0, linesAdded: 0, linesRemoved: 0 };
+      summary.files++;
+      summary.linesAdded += file.changes.linesAdded || 0;
+      summary.linesRemoved += file.changes.linesRemoved || 0;
+      summaries.set(file.language, summary);
+    });
+
+    return Array.from(summaries.values());
+  }
+
+  summarizeFormatting(files = []) {
+    const summary = { formattingOnlyFiles: [], commentOnlyFiles: [], formattingLines: 0, commentLines: 0 };
+
+    files.forEach(file => {
+      const formatting = file.changes.formatting;
+      if (!formatting) return;
+
+      if (formatting.kind === 'formatting') summary.formattingOnlyFiles.push(file.filePath);
+      if (formatting.kind === 'comments') summary.commentOnlyFiles.push(file.filePath);
+      summary.formattingLines += formatting.formattingLines;
+      summary.commentLines += formatting.commentLines;
+    });
+
+    return summary;
+  }
+
+  async analyzeFilePair(pair, request) {
+    const language = pair.language || request.language;
+
+    // A pair analyzed before with the same contents, paths, parsers and options is not redone;
+    // results are stored serialized, so every caller gets its own copy
+    const key = this.fileResultKey(pair, language, request.options, request.crossLanguage);
+    const cached = this.resultCache.get(key);
+    if (cached) return JSON.parse(cached);
+
+    // Off the event loop when there is a pool, so a large file cannot stall the API
+    let result;
+    try {
+      result = this.workerPool
+        ? await this.workerPool.run(
+          { task: 'analyze', pair, request: this.workerRequest(request) },
+          { signal: request.signal }
+        )
+        : await this.filePairAnalyzer.analyze(pair, request);
+    } catch (error) {
+      if (error.code !== 'TIMEOUT' && error.code !== 'OUT_OF_MEMORY') throw error;
+
+      logger.warn(`Skipped ${pair.filePath}: ${error.message}`);
+      return { fileDiff: this.skippedFileDiff(pair, language, error), facts: null };
+    }
+
+    const serialized = JSON.stringify(result);
+    this.resultCache.set(key, serialized, serialized.length);
+
+    return result;
+  }
+
+  // Named elements of the one side of an unmatched file, for pairing; parsed on the worker
+  // pool under the same budget as a file pair
+  async readElements(pair, request) {
+    const side = pair.status === 'removed' ? 'legacy' : 'refactored';
+    const language = pair.language || request.language;
+    const key = contentHash(
+      'elements',
+      pair[`${side}Path`] || null,
+      language,
+      this.astAnalyzer.parserVersion(language, pair[`${side}Path`]),
+      contentHash(pair[side] || '')
+    );
+    const cached = this.resultCache.get(key);
+    if (cached) return JSON.parse(cached);
+
+    const elements = this.workerPool
+      ? await this.workerPool.run(
+        { task: 'elements', pair, side, request: this.workerRequest(request) },
+        { signal: request.signal }
+      )
+      : await this.filePairAnalyzer.elements(pair, side, request);
+
+    const serialized = JSON.stringify(elements);
+    this.resultCache.set(key, serialized, serialized.length);
+    return elements;
+  }
+
+  // Imports of the files both sides share, read on the worker pool like the elements; files
+  // over their budget are left out of the module graph with a warning
+  async readUnchangedModules(unchangedFiles, language, request, warnings) {
+    const modules = await Promise.all(unchangedFiles.map(async file => {
+      const fileLanguage = this.resolveLanguage(file.path, file.content, language);
+      if (!fileLanguage) return null;
+
+      const pair = { filePath: file.path, refactoredPath: file.path, refactored: file.content, language: fileLanguage };
+      const key = contentHash(
+        'module',
+        file.path,
+        fileLanguage,
+        this.astAnalyzer.parserVersion(fileLanguage, file.path),
+        contentHash(file.content)
+      );
+      const cached = this.resultCache.get(key);
+      if (cached) return JSON.parse(cached);
+
+      let facts;
+      try {
+        facts = this.workerPool
+          ? await this.workerPool.run(
+            { task: 'module', pair, side: 'refactored', request: this.workerRequest(request) },
+            { signal: request.signal }
+          )
+          : await this.filePairAnalyzer.moduleFacts(pair, 'refactored', request);
+      } catch (error) {
+        if (error.code !== 'TIMEOUT' && error.code !== 'OUT_OF_MEMORY') throw error;
+
+        logger.warn(`Skipped ${file.path}: ${error.message}`);
+        warnings.push({ filePath: file.path, reason: error.code === 'TIMEOUT' ? 'timeout' : 'memory', message: error.message });
+        return null;
+      }
+
+      const serialized = JSON.stringify(facts);
+      this.resultCache.set(key, serialized, serialized.length);
+      return facts;
+    }));
+
+    return modules.filter(Boolean);
+  }
+
+  // What a worker needs of the request; the sources themselves travel with each pair
+  workerRequest(request) {
+    return { language: request.language, options: request.options, crossLanguage: request.crossLanguage };
+  }
+
+  // A file over its time or memory budget is listed without analysis and explained by a
+  // warning; it is not cached, so a later run with a larger budget analyzes it
+  skippedFileDiff(pair, language, error) {
+    const reason = error.code === 'TIMEOUT' ? 'timeout' : 'memory';
+    const file = {
+      filePath: pair.filePath,
+      status: pair.status,
+      language,
+      skipped: reason,
+      changes: { linesAdded: 0, linesRemoved: 0, linesModified: 0 },
+      refactorTypes: []
+    };
+    if (pair.status === 'moved') file.legacyPath = pair.legacyPath;
+
+    return {
+      files: [file],
+      overall: {},
+      warnings: [{ filePath: pair.filePath, reason, message: error.message }]
+    };
+  }
+
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Analysis was cancelled');
+      error.code = 'ABORTED';
+      throw error;
     }
   }
 
+  fileResultKey(pair, language, options = {}, crossLanguage = false) {
+    const legacyLanguage = pair.legacyLanguage || language;
+    return contentHash(
+      pair.filePath,
+      pair.status,
+      pair.legacyPath || null,
+      pair.refactoredPath || null,
+      legacyLanguage,
+      language,
+      this.astAnalyzer.parserVersion(legacyLanguage, pair.legacyPath || pair.filePath),
+      this.astAnalyzer.parserVersion(language, pair.refactoredPath || pair.filePath),
+      contentHash(pair.legacy || ''),
+      contentHash(pair.refactored || ''),
+      { ignoreFormatting: Boolean(options.ignoreFormatting), mapHints: options.mapHints || {} },
+      Boolean(crossLanguage)
+    );
+  }
+
   generateSummary(refactorTypes, impactMetrics) {
     const topRefactors = refactorTypes
       .sort((a, b) => b.level - a.level)
@@ -231,6 +717,13 @@ class AnalysisService {
           suggestions.push('Run database migration scripts in staging environment');
           suggestions.push('Validate data integrity after migration');
           break;
+        case 'Framework Migration':
+          suggestions.push('Run the full regression suite on the target framework runtime');
+          suggestions.push('Check third-party packages for target framework compatibility');
+          break;
+        case 'Deduplication':
+          suggestions.push('Test every former copy through the shared code, including the edge cases only one copy handled');
+          break;
         case 'Containerization':
           suggestions.push('Test container builds and deployment pipeline');
           suggestions.push('Update CI/CD configurations for containerized deployment');
@@ -256,5 +749,6 @@ const analysisService = new AnalysisService();
 
 module.exports = {
   analyzeCodePair: (analysisId, request) => analysisService.analyzeCodePair(analysisId, request),
+  cancelAnalysis: (analysisId) => analysisService.cancelAnalysis(analysisId),
   AnalysisService
 };
@@ -0,0 +1,23 @@
+// Worker process of the analysis pool: analyzes one file pair, or reads the named elements or
+// the imports of one side of a pair, per message
+const { ASTAnalyzer } = require('../analyzers/astAnalyzer');
+const { RefactorClassifier } = require('../analyzers/refactorClassifier');
+const { FilePairAnalyzer } = require('../analyzers/filePairAnalyzer');
+
+const filePairAnalyzer = new FilePairAnalyzer(new ASTAnalyzer(), new RefactorClassifier());
+
+process.on('message', async ({ id, task, pair, side, request }) => {
+  try {
+    let result;
+    if (task === 'elements') {
+      result = await filePairAnalyzer.elements(pair, side, request);
+    } else if (task === 'module') {
+      result = await filePairAnalyzer.moduleFacts(pair, side, request);
+    } else {
+      result = await filePairAnalyzer.analyze(pair, request);
+    }
+    process.send({ id, result });
+  } catch (error) {
+    process.send({ id, error: error.message });
+  }
+});
@@ -0,0 +1,128 @@
+const diff = require('diff');
+const { isAnalyzedFile } = require('../utils/languages');
+
+const NULL_PATH = '/dev/null';
+
+function stripPrefix(fileName) {
+  if (!fileName || fileName === NULL_PATH) return null;
+  return fileName.replace(/^[ab]\//, '');
+}
+
+// Keep only the lines covered by the hunk header; git format-patch appends a "-- " signature
+// that would otherwise be read as a removed line
+function hunkLines(hunk) {
+  const lines = [];
+  let oldCount = 0;
+  let newCount = 0;
+
+  for (const line of hunk.lines) {
+    if (oldCount >= hunk.oldLines && newCount >= hunk.newLines) break;
+
+    const marker = line[0];
+    if (marker === ' ' || marker === '-') oldCount++;
+    if (marker === ' ' || marker === '+') newCount++;
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+// Apply a patch's hunks to what is known of a file: runs of lines ("chunks") at their line
+// number in the current version, each with the legacy lines it replaced. Lines between chunks
+// are unknown and unchanged since the legacy version, so a hunk's context outside every chunk
+// is legacy text as well. Hunks are in order, and each one shifts everything after it.
+function applyHunks(chunks, hunks) {
+  let offset = 0;
+
+  hunks.forEach(hunk => {
+    const lines = hunkLines(hunk);
+    const before = lines.filter(line => line[0] === ' ' || line[0] === '-').map(line => line.slice(1));
+    const after = lines.filter(line => line[0] === ' ' || line[0] === '+').map(line => line.slice(1));
+
+    // A hunk that removes nothing inserts after line oldStart
+    const start = (hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart) + offset;
+    const end = start + before.length;
+
+    // Chunks the hunk overlaps or touches become one chunk with it
+    const merged = chunks.filter(chunk => chunk.start <= end && chunk.start + chunk.current.length >= start);
+    const first = Math.min(start, ...merged.map(chunk => chunk.start));
+    const last = Math.max(end, ...merged.map(chunk => chunk.start + chunk.current.length));
+
+    // Lines between them are the hunk's own context, and so unchanged since the legacy version
+    const current = [];
+    const legacy = [];
+    let line = first;
+    const fillTo = target => {
+      for (; line < target; line++) {
+        current.push(before[line - start]);
+        legacy.push(before[line - start]);
+      }
+    };
+    merged.forEach(chunk => {
+      fillTo(chunk.start);
+      current.push(...chunk.current);
+      legacy.push(...chunk.legacy);
+      line = chunk.start + chunk.current.length;
+    });
+    fillTo(last);
+
+    const delta = after.length - before.length;
+    chunks = [
+      ...chunks.filter(chunk => chunk.start + chunk.current.length < start),
+      {
+        start: first,
+        legacy,
+        current: [...current.slice(0, start - first), ...after, ...current.slice(end - first)]
+      },
+      ...chunks
+        .filter(chunk => chunk.start > end)
+        .map(chunk => ({ ...chunk, start: chunk.start + delta }))
+    ];
+    offset += delta;
+  });
+
+  return chunks;
+}
+
+// The visible part of a file. Gaps between chunks are unknown, so chunks are separated by a
+// blank line on both sides.
+function reconstruct(chunks, side) {
+  return chunks.map(chunk => chunk[side].join('\n')).join('\n\n') + '\n';
+}
+
+// Reconstruct before/after versions of every file touched by a unified diff,
+// git diff or git format-patch series
+function readPatchFiles(patchText, language) {
+  const entries = diff.parsePatch(patchText.replace(/\r\n/g, '\n'));
+  const files = new Map();
+
+  entries.forEach(entry => {
+    const oldPath = stripPrefix(entry.oldFileName);
+    const newPath = stripPrefix(entry.newFileName);
+    if (!oldPath && !newPath) return;
+
+    // In a patch series the first patch touching a file provides the legacy version, and each
+    // later one applies on top of what the earlier ones made of it, following renames
+    const previous = files.get(oldPath || newPath);
+    if (previous) files.delete(oldPath || newPath);
+
+    const file = previous || { legacyPath: oldPath, created: !oldPath, chunks: [] };
+    file.refactoredPath = newPath;
+    file.chunks = applyHunks(file.chunks, entry.hunks);
+    files.set(newPath || oldPath, file);
+  });
+
+  return [...files.values()]
+    .map(({ legacyPath, refactoredPath, created, chunks }) => ({
+      legacyPath,
+      refactoredPath,
+      legacy: created ? null : reconstruct(chunks, 'legacy'),
+      refactored: refactoredPath ? reconstruct(chunks, 'current') : null
+    }))
+    .filter(file =>
+      (file.legacy !== null || file.refactored !== null) &&
+      isAnalyzedFile(file.refactoredPath || file.legacyPath, language)
+    );
+}
+
+module.exports = { readPatchFiles };
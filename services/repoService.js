@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { runGit } = require('../utils/git');
+const { isAnalyzedFile } = require('../utils/languages');
+
+const MAX_TIMELINE_COMMITS = parseInt(process.env.MAX_TIMELINE_COMMITS) || 100;
+
+// Local repositories are only readable below these directories
+function allowedRoots() {
+  return (process.env.REPO_ALLOWED_ROOTS || '')
+    .split(',')
+    .map(root => root.trim())
+    .filter(Boolean)
+    .map(root => path.resolve(root));
+}
+
+async function resolveLocalRepository(url) {
+  const localPath = url.startsWith('file:') ? fileURLToPath(url) : url;
+  if (!path.isAbsolute(localPath)) {
+    throw new Error(`Repository path must be absolute: ${url}`);
+  }
+
+  const roots = allowedRoots();
+  if (roots.length === 0) {
+    throw new Error('Local repositories are disabled. Set REPO_ALLOWED_ROOTS to enable them.');
+  }
+
+  let realPath;
+  try {
+    realPath = await fs.promises.realpath(localPath);
+  } catch (error) {
+    throw new Error(`Repository not found: ${url}`);
+  }
+
+  const realRoots = await Promise.all(roots.map(root => fs.promises.realpath(root).catch(() => root)));
+  const isAllowed = realRoots.some(root => realPath === root || realPath.startsWith(root + path.sep));
+  if (!isAllowed) {
+    throw new Error(`Repository is outside REPO_ALLOWED_ROOTS: ${url}`);
+  }
+
+  return realPath;
+}
+
+async function cloneBundle(bundle, workspace, name) {
+  const bundlePath = path.join(workspace, `${name}.bundle`);
+  const repoPath = path.join(workspace, name);
+
+  await fs.promises.writeFile(bundlePath, Buffer.from(bundle, 'base64'));
+  await runGit(['clone', '--bare', '--quiet', '--', bundlePath, repoPath]);
+
+  return repoPath;
+}
+
+function git(repoPath, args, options) {
+  return runGit(['-C', repoPath, '-c', `safe.directory=${repoPath}`, ...args], options);
+}
+
+async function resolveCommit(repoPath, ref) {
+  const rev = ref || 'HEAD';
+  try {
+    const commit = await git(repoPath, ['rev-parse', '--verify', '--quiet', '--end-of-options', `${rev}^{commit}`]);
+    return commit.trim();
+  } catch (error) {
+    throw new Error(`Unknown ref "${rev}" in repository`);
+  }
+}
+
+// Open one side of a repo request: an uploaded bundle or a local/file:// repository
+async function openRepository(side, workspace, name) {
+  let repoPath;
+  if (side.bundle) {
+    repoPath = await cloneBundle(side.bundle, workspace, name);
+  } else if (side.url) {
+    repoPath = await resolveLocalRepository(side.url);
+  } else {
+    throw new Error(`"${name}" repository needs a url or an uploaded bundle`);
+  }
+
+  return {
+    path: repoPath,
+    commit: await resolveCommit(repoPath, side.ref)
+  };
+}
+
+// Map of path -> blob id for every source file of the language in a commit
+async function listTree(repo, language) {
+  const output = await git(repo.path, ['ls-tree', '-r', '-z', '--full-tree', repo.commit]);
+  const tree = new Map();
+
+  output.split('\0').filter(Boolean).forEach(entry => {
+    const tab = entry.indexOf('\t');
+    const [, type, blobId] = entry.slice(0, tab).split(' ');
+    const filePath = entry.slice(tab + 1);
+
+    if (type === 'blob' && isAnalyzedFile(filePath, language)) {
+      tree.set(filePath, blobId);
+    }
+  });
+
+  return tree;
+}
+
+async function readBlob(repo, blobId) {
+  const content = await git(repo.path, ['cat-file', 'blob', blobId], { encoding: 'buffer' });
+  return content.toString('utf8');
+}
+
+async function withWorkspace(fn) {
+  const workspace = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'refactorlens-'));
+  try {
+    return await fn(workspace);
+  } finally {
+    await fs.promises.rm(workspace, { recursive: true, force: true });
+  }
+}
+
+// Read every source file of one repository side
+async function readRepositoryFiles(side, language) {
+  return withWorkspace(async (workspace) => {
+    const repo = await openRepository(side, workspace, 'repo');
+    const tree = await listTree(repo, language);
+    const files = [];
+
+    for (const [filePath, blobId] of tree) {
+      files.push({ path: filePath, content: await readBlob(repo, blobId) });
+    }
+
+    return files;
+  });
+}
+
+// Read only the source files whose blobs differ between two commits, and with withUnchanged
+// the ones that are the same on both sides as well.
+// Blob ids are content hashes, so this also works when the commits live in different repositories.
+async function diffTrees(legacyRepo, refactoredRepo, language, withUnchanged = false) {
+  const legacyTree = await listTree(legacyRepo, language);
+  const refactoredTree = await listTree(refactoredRepo, language);
+
+  const changed = { legacy: [], refactored: [] };
+  if (withUnchanged) changed.unchanged = [];
+  for (const [filePath, blobId] of legacyTree) {
+    if (refactoredTree.get(filePath) !== blobId) {
+      changed.legacy.push({ path: filePath, content: await readBlob(legacyRepo, blobId) });
+    } else if (withUnchanged) {
+      changed.unchanged.push({ path: filePath, content: await readBlob(legacyRepo, blobId) });
+    }
+  }
+  for (const [filePath, blobId] of refactoredTree) {
+    if (legacyTree.get(filePath) !== blobId) {
+      changed.refactored.push({ path: filePath, content: await readBlob(refactoredRepo, blobId) });
+    }
+  }
+
+  return changed;
+}
+
+async function readChangedFiles(legacySide, refactoredSide, language, withUnchanged = false) {
+  return withWorkspace(async (workspace) => {
+    const legacyRepo = await openRepository(legacySide, workspace, 'legacy');
+    const refactoredRepo = await openRepository(refactoredSide, workspace, 'refactored');
+
+    return diffTrees(legacyRepo, refactoredRepo, language, withUnchanged);
+  });
+}
+
+// First-parent commits in from..to, oldest first
+async function listCommits(repoPath, from, to) {
+  const output = await git(repoPath, [
+    'log', '--reverse', '--first-parent', '--format=%H%x00%P%x00%an%x00%aI%x00%s%x1e', `${from}..${to}`
+  ]);
+
+  return output.split('\x1e').map(record => record.trim()).filter(Boolean).map(record => {
+    const [commit, parents, author, date, message] = record.split('\0');
+    return { commit, parent: parents.split(' ')[0], author, date, message };
+  });
+}
+
+// Walk every commit between the legacy and refactored refs, handing each commit's changed
+// source files to `onCommit`. Both refs are resolved in the refactored side's repository.
+async function readCommitRange(legacySide, refactoredSide, language, onCommit) {
+  return withWorkspace(async (workspace) => {
+    const repo = await openRepository(refactoredSide, workspace, 'repo');
+    const from = await resolveCommit(repo.path, legacySide.ref);
+    const commits = await listCommits(repo.path, from, repo.commit);
+
+    if (commits.length > MAX_TIMELINE_COMMITS) {
+      throw new Error(`Commit range has ${commits.length} commits; timelines are limited to ${MAX_TIMELINE_COMMITS}`);
+    }
+
+    for (const commit of commits) {
+      const changed = await diffTrees(
+        { path: repo.path, commit: commit.parent },
+        { path: repo.path, commit: commit.commit },
+        language
+      );
+      await onCommit(commit, changed);
+    }
+
+    return commits;
+  });
+}
+
+module.exports = {
+  readRepositoryFiles,
+  readChangedFiles,
+  readCommitRange
+};
@@ -0,0 +1,145 @@
+const path = require('path');
+const { readRepositoryFiles, readChangedFiles } = require('./repoService');
+const { readPatchFiles } = require('./patchService');
+const { extractArchive } = require('../utils/archive');
+const { isAnalyzedFile } = require('../utils/languages');
+
+// Normalize a client-supplied path so legacy and refactored files pair on the same key
+function normalizePath(filePath) {
+  const normalized = path.posix.normalize(String(filePath || '').replace(/\\/g, '/'));
+  return normalized.replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+}
+
+function commonRoot(files) {
+  if (files.length < 2) return null;
+
+  const roots = files.map(file => (file.path.includes('/') ? file.path.split('/')[0] : null));
+  return roots.every(root => root && root === roots[0]) ? roots[0] : null;
+}
+
+function stripRoot(files, root) {
+  return files.map(file => ({ ...file, path: file.path.slice(root.length + 1) }));
+}
+
+async function collectSources(side = {}, language) {
+  switch (side.type) {
+    case 'paste':
+      return [{ path: 'main', content: side.content || '' }];
+    case 'file':
+      return (side.sources || []).map(file => ({
+        path: normalizePath(file.path),
+        content: file.content || ''
+      }));
+    case 'archive':
+      return extractArchive(Buffer.from(side.archive?.data || '', 'base64'), {
+        filter: filePath => isAnalyzedFile(filePath, language)
+      });
+    case 'repo':
+      return readRepositoryFiles(side, language);
+    default:
+      throw new Error(`Unsupported source type: ${side.type}`);
+  }
+}
+
+// Inputs that hold the whole tree of their side, so its unchanged files are known too
+const FULL_TREE_TYPES = ['repo', 'archive'];
+
+function pairSources(legacyFiles, refactoredFiles) {
+  return matchSources(legacyFiles, refactoredFiles).filter(isChanged);
+}
+
+// Every file of both sides paired, changed or not
+function matchSources(legacyFiles, refactoredFiles) {
+  // A single file on each side is always compared, whatever it is called
+  if (legacyFiles.length === 1 && refactoredFiles.length === 1) {
+    const [legacy] = legacyFiles;
+    const [refactored] = refactoredFiles;
+    return [buildPair(refactored.path, legacy, refactored)];
+  }
+
+  // Uploads are often wrapped in differently named top-level folders (legacy/, refactored/)
+  const legacyRoot = commonRoot(legacyFiles);
+  const refactoredRoot = commonRoot(refactoredFiles);
+  if (legacyRoot && refactoredRoot && legacyRoot !== refactoredRoot) {
+    legacyFiles = stripRoot(legacyFiles, legacyRoot);
+    refactoredFiles = stripRoot(refactoredFiles, refactoredRoot);
+  }
+
+  return matchByPath(legacyFiles, refactoredFiles);
+}
+
+function pairByPath(legacyFiles, refactoredFiles) {
+  return matchByPath(legacyFiles, refactoredFiles).filter(isChanged);
+}
+
+function matchByPath(legacyFiles, refactoredFiles) {
+  const legacyByPath = new Map(legacyFiles.map(file => [file.path, file]));
+  const refactoredByPath = new Map(refactoredFiles.map(file => [file.path, file]));
+  const paths = [...new Set([...legacyByPath.keys(), ...refactoredByPath.keys()])].sort();
+
+  return paths.map(filePath => buildPair(filePath, legacyByPath.get(filePath), refactoredByPath.get(filePath)));
+}
+
+function buildPair(filePath, legacy, refactored) {
+  let status = 'modified';
+  if (!legacy) status = 'added';
+  if (!refactored) status = 'removed';
+
+  return {
+    filePath,
+    status,
+    legacyPath: legacy ? legacy.path : null,
+    refactoredPath: refactored ? refactored.path : null,
+    legacy: legacy ? legacy.content : null,
+    refactored: refactored ? refactored.content : null
+  };
+}
+
+function isChanged(pair) {
+  return pair.legacy !== pair.refactored;
+}
+
+// Resolve both sides of a request into the list of changed file pairs, and for inputs that
+// hold whole trees the { path, content } of the files both sides share unchanged; those are
+// null for patches, pastes and picked files, which only ever hold the changed files
+async function collectFilePairs(request) {
+  if (request.patch) {
+    const pairs = readPatchFiles(request.patch.content || '', request.language)
+      .map(file => buildPair(
+        file.refactoredPath || file.legacyPath,
+        file.legacy !== null ? { path: file.legacyPath, content: file.legacy } : null,
+        file.refactored !== null ? { path: file.refactoredPath, content: file.refactored } : null
+      ))
+      .filter(isChanged);
+    return { pairs, unchanged: null };
+  }
+
+  // Each side may be in its own language (COBOL -> Java)
+  const legacyLanguage = request.legacy.language || request.language;
+  const refactoredLanguage = request.refactored.language || request.language;
+  const fullTrees = FULL_TREE_TYPES.includes(request.legacy.type) && FULL_TREE_TYPES.includes(request.refactored.type);
+
+  if (request.legacy.type === 'repo' && request.refactored.type === 'repo' && legacyLanguage === refactoredLanguage) {
+    const changed = await readChangedFiles(request.legacy, request.refactored, request.language, true);
+    return { pairs: pairByPath(changed.legacy, changed.refactored), unchanged: changed.unchanged };
+  }
+
+  const matched = matchSources(
+    await collectSources(request.legacy, legacyLanguage),
+    await collectSources(request.refactored, refactoredLanguage)
+  );
+  return {
+    pairs: matched.filter(isChanged),
+    unchanged: fullTrees
+      ? matched.filter(pair => !isChanged(pair)).map(pair => ({ path: pair.filePath, content: pair.refactored }))
+      : null
+  };
+}
+
+module.exports = {
+  normalizePath,
+  collectSources,
+  pairSources,
+  pairByPath,
+  collectFilePairs
+};
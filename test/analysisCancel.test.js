@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Files are analyzed on the calling thread
+process.env.ANALYSIS_WORKERS = '0';
+
+const Analysis = require('../models/Analysis');
+const User = require('../models/User');
+const { AnalysisService } = require('../services/analysisService');
+
+const request = {
+  language: 'javascript',
+  legacy: { type: 'file', sources: [{ path: 'src/orders.js', content: 'function all() {\n  return db.all();\n}\n' }] },
+  refactored: { type: 'file', sources: [{ path: 'src/orders.js', content: 'function all(limit) {\n  return repo.all().slice(0, limit);\n}\n' }] },
+  options: {}
+};
+
+// Stands in for the analyses collection, honouring the status filter of the updates
+const store = t => {
+  const analyses = new Map();
+  t.mock.method(Analysis, 'findOneAndUpdate', async (filter, update) => {
+    const analysis = analyses.get(filter.id);
+    if (!analysis || (filter.status && analysis.status === filter.status.$ne)) return null;
+    return Object.assign(analysis, update);
+  });
+  t.mock.method(User, 'findById', async () => ({ email: 'a@example.com' }));
+  return analyses;
+};
+
+// What POST /analyze/:id/cancel does
+const cancel = (service, analyses, id) => {
+  analyses.get(id).status = 'cancelled';
+  service.cancelAnalysis(id);
+};
+
+test('an analysis cancelled while its files are analyzed ends cancelled', async t => {
+  const analyses = store(t);
+  analyses.set('running', { id: 'running', status: 'pending', user: 'u1' });
+  const service = new AnalysisService();
+  const analyzeFiles = service.analyzeFiles.bind(service);
+  t.mock.method(service, 'analyzeFiles', (pairs, withSignal, unchanged) => {
+    cancel(service, analyses, 'running');
+    return analyzeFiles(pairs, withSignal, unchanged);
+  });
+
+  await service.analyzeCodePair('running', request);
+
+  const analysis = analyses.get('running');
+  assert.strictEqual(analysis.status, 'cancelled');
+  assert.strictEqual(analysis.results, undefined);
+  assert.strictEqual(User.findById.mock.callCount(), 0);
+});
+
+test('a cancel landing after the last check keeps the results from being saved', async t => {
+  const analyses = store(t);
+  analyses.set('finishing', { id: 'finishing', status: 'pending', user: 'u1' });
+  const service = new AnalysisService();
+  const analyzeFiles = service.analyzeFiles.bind(service);
+  t.mock.method(service, 'analyzeFiles', async (...args) => {
+    const results = await analyzeFiles(...args);
+    cancel(service, analyses, 'finishing');
+    return results;
+  });
+
+  await service.analyzeCodePair('finishing', request);
+
+  const analysis = analyses.get('finishing');
+  assert.strictEqual(analysis.status, 'cancelled');
+  assert.strictEqual(analysis.results, undefined);
+  assert.strictEqual(analysis.completedAt, undefined);
+  assert.strictEqual(User.findById.mock.callCount(), 0);
+});
+
+test('an analysis nobody cancels is completed and its owner notified', async t => {
+  const analyses = store(t);
+  analyses.set('done', { id: 'done', status: 'pending', user: 'u1' });
+  const service = new AnalysisService();
+
+  await service.analyzeCodePair('done', request);
+
+  const analysis = analyses.get('done');
+  assert.strictEqual(analysis.status, 'completed');
+  assert.ok(analysis.results.files.length > 0);
+  assert.strictEqual(User.findById.mock.callCount(), 1);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Files are analyzed on the calling thread
+process.env.ANALYSIS_WORKERS = '0';
+
+const Analysis = require('../models/Analysis');
+const { AnalysisService } = require('../services/analysisService');
+const { pairByPath } = require('../services/sourceService');
+
+const service = new AnalysisService();
+
+const legacy = [
+  {
+    path: 'src/Cart.java',
+    content: 'import java.util.List;\n\nclass Cart {\n  int total(List<Integer> items) {\n    int sum = 0;\n' +
+      '    for (int item : items) {\n      if (item > 0) sum += item;\n    }\n    return sum;\n  }\n}\n'
+  },
+  { path: 'src/orders.js', content: "const db = require('./db');\nfunction all() {\n  return db.all();\n}\nmodule.exports = { all };\n" }
+];
+const refactored = [
+  {
+    path: 'src/Cart.java',
+    content: 'import java.util.List;\n\nclass Cart {\n  int total(List<Integer> items) {\n' +
+      '    return items.stream().filter(item -> item > 0).mapToInt(item -> item).sum();\n  }\n\n' +
+      '  int count(List<Integer> items) {\n    return items.size();\n  }\n}\n'
+  },
+  { path: 'src/orders.js', content: "const repo = require('./repo');\nfunction all(limit) {\n  return repo.all().slice(0, limit);\n}\nmodule.exports = { all };\n" }
+];
+
+test('a completed analysis with every kind of result validates against the model', async () => {
+  const results = await service.analyzeFiles(pairByPath(legacy, refactored), { language: 'auto', options: {} });
+  assert.ok(results.files.some(file => file.complexity.functions.length > 0));
+
+  const analysis = new Analysis({
+    id: 'model-test',
+    status: 'completed',
+    language: 'auto',
+    legacy: { type: 'file', files: legacy.map(file => file.path) },
+    refactored: { type: 'file', files: refactored.map(file => file.path) },
+    results: JSON.parse(JSON.stringify(results))
+  });
+
+  assert.strictEqual(analysis.validateSync(), undefined);
+});
+
+test('a cross-language migration validates against the model', async () => {
+  const cobol = [
+    '000100 IDENTIFICATION DIVISION.',
+    '000200 PROGRAM-ID. LOANCALC.',
+    '000300 PROCEDURE DIVISION.',
+    '000400 MAIN-PARA.',
+    '000500     PERFORM CALC-INTEREST',
+    '000600     STOP RUN.',
+    '000700 CALC-INTEREST.',
+    "000800     DISPLAY 'RATE'.",
+    ''
+  ].join('\n');
+  const java = 'class LoanCalc {\n  void main() {\n    calcInterest();\n  }\n\n  void calcInterest() {\n    System.out.println("RATE");\n  }\n}\n';
+
+  const request = { language: 'java', legacy: { type: 'file', language: 'cobol' }, refactored: { type: 'file', language: 'java' }, options: {} };
+  const results = await service.analyzeFiles(
+    pairByPath([{ path: 'LOANCALC.cbl', content: cobol }], [{ path: 'LoanCalc.java', content: java }]),
+    request
+  );
+  assert.ok(results.migration);
+
+  const analysis = new Analysis({
+    id: 'model-test-migration',
+    status: 'completed',
+    language: 'java',
+    legacy: request.legacy,
+    refactored: request.refactored,
+    results: JSON.parse(JSON.stringify(results))
+  });
+
+  assert.strictEqual(analysis.validateSync(), undefined);
+});
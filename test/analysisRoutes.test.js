@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+// Files are analyzed on the calling thread
+process.env.ANALYSIS_WORKERS = '0';
+
+const Analysis = require('../models/Analysis');
+const User = require('../models/User');
+const { signToken } = require('../utils/auth');
+const analysisRoutes = require('../routes/analysis');
+
+const owner = { _id: '64b000000000000000000001', email: 'owner@example.com' };
+const stranger = { _id: '64b000000000000000000002', email: 'stranger@example.com' };
+
+// Serves the analysis routes on a free port for the duration of a test
+const serve = async t => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', analysisRoutes);
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+
+  const users = [owner, stranger];
+  t.mock.method(User, 'findById', id => ({ populate: async () => users.find(user => user._id === id) || null }));
+  return `http://127.0.0.1:${server.address().port}/api/v1`;
+};
+
+const pending = () => {
+  const analysis = { id: 'a1', status: 'pending', user: owner._id, save: async () => analysis };
+  return analysis;
+};
+
+const cancel = (base, user) => fetch(`${base}/analyze/a1/cancel`, {
+  method: 'POST',
+  headers: user ? { authorization: `Bearer ${signToken({ sub: user._id })}` } : {}
+});
+
+test('cancelling without a token is unauthorized', async t => {
+  const base = await serve(t);
+  const analysis = pending();
+  t.mock.method(Analysis, 'findOne', async () => analysis);
+
+  const response = await cancel(base);
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(analysis.status, 'pending');
+});
+
+test("cancelling someone else's analysis is forbidden", async t => {
+  const base = await serve(t);
+  const analysis = pending();
+  t.mock.method(Analysis, 'findOne', async () => analysis);
+
+  const response = await cancel(base, stranger);
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(analysis.status, 'pending');
+});
+
+test('the owner can cancel their analysis', async t => {
+  const base = await serve(t);
+  const analysis = pending();
+  t.mock.method(Analysis, 'findOne', async () => analysis);
+
+  const response = await cancel(base, owner);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(analysis.status, 'cancelled');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CobolParser } = require('../analyzers/cobolParser');
+
+const parser = new CobolParser();
+
+const source = [
+  '000100 IDENTIFICATION DIVISION.',
+  '000200 PROGRAM-ID. CUSTUPD.',
+  '000300 DATA DIVISION.',
+  '000400 WORKING-STORAGE SECTION.',
+  '000500 01  WS-REC.',
+  '000600     05 WS-ID          PIC 9(6).',
+  '000700 PROCEDURE DIVISION.',
+  '000800 MAIN-PARA.',
+  '000900* read everything first',
+  '001000     PERFORM READ-PARA',
+  "001100     DISPLAY 'A LITERAL THAT IS CONTINUED ON THE NE",
+  "001200-    'XT LINE'",
+  '001300     STOP RUN.',
+  '001400 READ-PARA.',
+  '001500     CALL \'AUDITLOG\' USING WS-ID.',
+  ''
+].join('\n');
+
+const find = (node, type, name) => {
+  const stack = [node];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current.type === type && (name === undefined || current.metadata.name === name)) return current;
+    stack.push(...current.children);
+  }
+  return null;
+};
+
+test('builds programs, divisions, paragraphs and statements', () => {
+  const ast = parser.parse(source);
+  const [program] = ast.children;
+
+  assert.strictEqual(program.type, 'program');
+  assert.strictEqual(program.metadata.name, 'CUSTUPD');
+  assert.deepStrictEqual(program.children.map(child => child.metadata.name), ['IDENTIFICATION', 'DATA', 'PROCEDURE']);
+
+  const main = find(ast, 'paragraph', 'MAIN-PARA');
+  assert.deepStrictEqual(main.children.map(child => child.type), ['perform_statement', 'display_statement', 'stop_statement']);
+  assert.deepStrictEqual(main.metadata.dependencies, ['READ-PARA']);
+  assert.deepStrictEqual(find(ast, 'call_statement').metadata.dependencies, ['AUDITLOG']);
+  assert.strictEqual(find(ast, 'data_item', 'WS-ID').metadata.returnType, '9(6)');
+});
+
+test('node text is the code area without comments, blank lines or sequence numbers', () => {
+  const ast = parser.parse(source);
+
+  assert.strictEqual(ast.text, source);
+  assert.strictEqual(
+    find(ast, 'paragraph', 'MAIN-PARA').text,
+    "MAIN-PARA.\n    PERFORM READ-PARA\n    DISPLAY 'A LITERAL THAT IS CONTINUED ON THE NEXT LINE'\n    STOP RUN."
+  );
+  assert.strictEqual(find(ast, 'call_statement').text, "    CALL 'AUDITLOG' USING WS-ID.");
+});
+
+test('containers span the rows of their last child', () => {
+  const ast = parser.parse(source);
+  const procedure = find(ast, 'division', 'PROCEDURE');
+  const display = find(ast, 'display_statement');
+
+  assert.deepStrictEqual(display.startPosition, { row: 10, column: 0 });
+  assert.deepStrictEqual(display.endPosition, { row: 11, column: 20 });
+  assert.strictEqual(procedure.startPosition.row, 6);
+  assert.strictEqual(procedure.endPosition.row, 14);
+  assert.strictEqual(ast.endPosition.row, 14);
+});
+
+test('reads free-format source', () => {
+  const ast = parser.parse([
+    '>>SOURCE FORMAT IS FREE',
+    'IDENTIFICATION DIVISION.',
+    'PROGRAM-ID. FREEPGM.',
+    'PROCEDURE DIVISION.',
+    'MAIN.',
+    '    DISPLAY "HELLO" *> greeting',
+    '    STOP RUN.'
+  ].join('\n'));
+
+  assert.strictEqual(ast.children[0].metadata.name, 'FREEPGM');
+  assert.strictEqual(find(ast, 'display_statement').text, '    DISPLAY "HELLO"');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ASTAnalyzer } = require('../analyzers/astAnalyzer');
+const { RefactorClassifier } = require('../analyzers/refactorClassifier');
+const { FilePairAnalyzer } = require('../analyzers/filePairAnalyzer');
+
+const astAnalyzer = new ASTAnalyzer();
+const filePairAnalyzer = new FilePairAnalyzer(astAnalyzer, new RefactorClassifier());
+
+const analyze = async (filePath, language, legacy, refactored, ignoreFormatting = true) => {
+  const pair = { filePath, status: 'modified', language, legacy, refactored };
+  const { fileDiff } = await filePairAnalyzer.analyze(pair, { language, options: { ignoreFormatting } });
+  return fileDiff.files[0];
+};
+
+const prettierBefore = `const run = (x) => { return fetchAll(x, { retries: 3, timeout: 100 }).then(r => r.json()) }
+function build(items) {
+  return items.map(item => ({ id: item.id, tags: [ 'a', 'b' ], }))
+}
+`;
+
+const prettierAfter = `const run = x => {
+  return fetchAll(x, {
+    retries: 3,
+    timeout: 100,
+  }).then((r) => r.json());
+};
+function build(items) {
+  return items.map((item) => ({
+    id: item.id,
+    tags: ["a", "b"],
+  }));
+}
+`;
+
+test('a Prettier reflow is formatting only and changes no lines', async () => {
+  const file = await analyze('run.js', 'javascript', prettierBefore, prettierAfter);
+
+  assert.strictEqual(file.changes.formatting.kind, 'formatting');
+  assert.strictEqual(file.changes.linesAdded, 0);
+  assert.strictEqual(file.changes.linesRemoved, 0);
+  assert.ok(file.changes.formatting.formattingLines > 0);
+});
+
+test('a Black reflow is formatting only', async () => {
+  const before = "def f(a, b):\n    return some_function(a, b, 'x') + other_function(a, b)\nx = {'a': 1, 'b': 2,}\n";
+  const after = 'def f(a, b):\n    return (\n        some_function(a, b, "x")\n        + other_function(a, b)\n    )\n\n\nx = {\n    "a": 1,\n    "b": 2,\n}\n';
+  const file = await analyze('f.py', 'python', before, after);
+
+  assert.strictEqual(file.changes.formatting.kind, 'formatting');
+  assert.strictEqual(file.changes.linesAdded, 0);
+});
+
+test('re-wrapped Java with edited comments counts comment and formatting lines, not changes', async () => {
+  const before = `public class A {
+  // adds
+  public int add(int a, int b) { return a + b; }
+}
+`;
+  const after = `public class A {
+  /**
+   * Adds two numbers.
+   */
+  public int add(int a,
+                 int b) {
+    return a + b;
+  }
+}
+`;
+  const file = await analyze('A.java', 'java', before, after);
+
+  assert.strictEqual(file.changes.formatting.kind, 'comments');
+  assert.strictEqual(file.changes.linesAdded, 0);
+  assert.strictEqual(file.changes.linesRemoved, 0);
+  assert.ok(file.changes.formatting.commentLines > 0);
+});
+
+test('code changes are still reported as code', async () => {
+  const file = await analyze('run.js', 'javascript', prettierBefore, prettierAfter.replace('timeout: 100', 'timeout: 200'));
+
+  assert.strictEqual(file.changes.formatting.kind, 'code');
+  assert.ok(file.changes.linesAdded > 0);
+});
+
+test('a one-element tuple keeps its comma', async () => {
+  const file = await analyze('t.py', 'python', 'x = (1,)\n', 'x = (1)\n');
+
+  assert.strictEqual(file.changes.formatting.kind, 'code');
+});
+
+test('complexity and maintainability do not depend on ignoreFormatting', async () => {
+  const stripped = await analyze('run.js', 'javascript', prettierBefore, prettierAfter, true);
+  const raw = await analyze('run.js', 'javascript', prettierBefore, prettierAfter, false);
+
+  assert.deepStrictEqual(stripped.complexity, raw.complexity);
+  assert.deepStrictEqual(stripped.maintainability, raw.maintainability);
+  assert.deepStrictEqual(stripped.metrics, raw.metrics);
+});
+
+test('stripFormatting drops comments and formatter tokens and keeps the shared source', async () => {
+  const ast = await astAnalyzer.parseCode("// note\nconst xs = ['a', 'b',];\n", 'javascript', 'xs.js');
+  const stripped = astAnalyzer.stripFormatting(ast);
+  const tokens = astAnalyzer.collectAllNodes(stripped)
+    .filter(node => node.children.length === 0)
+    .map(node => node.text);
+
+  assert.deepStrictEqual(tokens, ['const', 'xs', '=', '[', '"', 'a', '"', ',', '"', 'b', '"', ']']);
+  assert.strictEqual(stripped.text, 'const xs = [ " a " , " b " ]');
+  assert.ok(ast.text.startsWith('// note'), 'the original AST is left alone');
+});
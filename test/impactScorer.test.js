@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ImpactScorer } = require('../analyzers/impactScorer');
+
+const scorer = new ImpactScorer();
+
+// Files whose only change is a cyclomatic complexity delta
+const astDiffs = files => ({
+  overall: {},
+  files: files.map(([language, cyclomatic]) => ({ language, complexity: { delta: { cyclomatic, cognitive: 0 } } }))
+});
+
+test('complexity deltas are scored by the language of their file', async () => {
+  const mixed = await scorer.calculate(astDiffs([['c', 10], ['javascript', -10]]), [], 'auto');
+
+  // 10 * 1.3 - 10 * 0.9 adds complexity overall, though the measured deltas cancel out
+  assert.strictEqual(mixed.detailed.cyclomaticComplexityDelta, 0);
+  const unadjusted = scorer.calculateOverallScore(mixed.detailed);
+  const adjusted = scorer.calculateOverallScore({ ...mixed.detailed, cyclomaticComplexityDelta: 4 });
+  assert.strictEqual(mixed.overallScore, adjusted);
+  assert.notStrictEqual(adjusted, unadjusted);
+});
+
+test('infrastructure weighs as much as the heaviest language analyzed', async () => {
+  const refactorTypes = [{ type: 'Cloud Migration', level: 4, evidence: [] }];
+  const jcl = await scorer.calculate(astDiffs([['jcl', 0], ['java', 0]]), refactorTypes, 'auto');
+  const java = await scorer.calculate(astDiffs([['java', 0]]), refactorTypes, 'java');
+
+  assert.strictEqual(jcl.detailed.newInfrastructureComponents, 1);
+  assert.strictEqual(
+    jcl.overallScore,
+    scorer.calculateOverallScore({ ...jcl.detailed, newInfrastructureComponents: 1.5 })
+  );
+  assert.ok(jcl.overallScore > java.overallScore);
+});
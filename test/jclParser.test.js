@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { JclParser } = require('../analyzers/jclParser');
+
+const parser = new JclParser();
+
+const source = [
+  "//CUSTJOB  JOB (ACCT),'NIGHTLY UPDATE',CLASS=A",
+  '//*  nightly customer update',
+  '//STEP010  EXEC PGM=CUSTUPD,PARM=\'DAILY\'',
+  '//CUSTIN   DD DSN=PROD.CUST.MASTER,DISP=SHR',
+  '//         DD DSN=PROD.CUST.DELTA,DISP=SHR',
+  '//SYSIN    DD *',
+  ' SORT FIELDS=(1,6,CH,A)',
+  '/*',
+  '//STEP020  EXEC SORTPROC',
+  '//         INCLUDE MEMBER=STDDD',
+  ''
+].join('\r\n');
+
+test('builds jobs, steps and DD statements', () => {
+  const ast = parser.parse(source);
+  const [job] = ast.children;
+
+  assert.strictEqual(job.type, 'job');
+  assert.strictEqual(job.metadata.name, 'CUSTJOB');
+  assert.deepStrictEqual(job.metadata.modifiers, ['CLASS=A']);
+  assert.deepStrictEqual(job.metadata.dependencies, ['CUSTUPD', 'SORTPROC']);
+
+  const [first, second] = job.children;
+  assert.deepStrictEqual(first.metadata.parameters, ['DAILY']);
+  assert.deepStrictEqual(first.children.map(dd => dd.metadata.name), ['CUSTIN', 'SYSIN']);
+  assert.deepStrictEqual(first.children[0].metadata.dependencies, ['PROD.CUST.MASTER', 'PROD.CUST.DELTA']);
+  assert.deepStrictEqual(first.children[1].metadata.modifiers, ['INSTREAM']);
+  assert.deepStrictEqual(second.metadata.modifiers, ['PROC']);
+  assert.deepStrictEqual(second.children[0].metadata.imports, ['STDDD']);
+});
+
+test('node text is the lines a statement spans, continuations and in-stream data included', () => {
+  const ast = parser.parse(source);
+  const [job] = ast.children;
+  const [first] = job.children;
+
+  assert.strictEqual(ast.text, source);
+  assert.strictEqual(first.children[0].text, '//CUSTIN   DD DSN=PROD.CUST.MASTER,DISP=SHR\n//         DD DSN=PROD.CUST.DELTA,DISP=SHR');
+  assert.strictEqual(first.children[1].text, '//SYSIN    DD *\n SORT FIELDS=(1,6,CH,A)\n/*');
+  assert.deepStrictEqual(first.startPosition, { row: 2, column: 0 });
+  assert.deepStrictEqual(first.endPosition, { row: 7, column: 2 });
+  assert.strictEqual(job.endPosition.row, 9);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Files are analyzed on the calling thread
+process.env.ANALYSIS_WORKERS = '0';
+
+const { AnalysisService } = require('../services/analysisService');
+const { collectFilePairs, pairByPath } = require('../services/sourceService');
+
+const service = new AnalysisService();
+
+const legacy = [
+  { path: 'src/orders.js', content: "const db = require('./db');\nmodule.exports = () => db.all();\n" },
+  { path: 'src/report.js', content: "const orders = require('./orders');\nmodule.exports = () => orders().length;\n" },
+  { path: 'src/db.js', content: 'module.exports = { all: () => [] };\n' }
+];
+const refactored = [
+  { path: 'src/orders.js', content: "const repo = require('./repo');\nmodule.exports = () => repo.all();\n" },
+  { path: 'src/report.js', content: "const orders = require('./orders');\nmodule.exports = () => orders().length;\n" },
+  { path: 'src/db.js', content: 'module.exports = { all: () => [] };\n' },
+  { path: 'src/repo.js', content: "const db = require('./db');\nmodule.exports = { all: () => db.all() };\n" }
+];
+const unchanged = [legacy[1], legacy[2]];
+
+test('with the unchanged files known the module graph spans the whole tree', async () => {
+  const { moduleGraph } = await service.analyzeFiles(pairByPath(legacy, refactored), { language: 'javascript', options: {} }, unchanged);
+
+  assert.strictEqual(moduleGraph.scope, 'repository');
+  assert.strictEqual(moduleGraph.summary.legacy.modules, 3);
+  assert.strictEqual(moduleGraph.summary.refactored.modules, 4);
+  assert.strictEqual(moduleGraph.summary.refactored.dependencies, 3);
+
+  // orders.js swapped one import for another and is still imported by report.js; db.js is
+  // imported as often as before, and is not a changed module anyway
+  assert.deepStrictEqual(moduleGraph.coupling, [
+    { module: 'src/repo.js', legacy: null, refactored: { afferent: 1, efferent: 1, instability: 0.5 } }
+  ]);
+});
+
+test('without them it covers the changed files and says so', async () => {
+  const { moduleGraph } = await service.analyzeFiles(pairByPath(legacy, refactored), { language: 'javascript', options: {} });
+
+  // report.js is missing, db.js only there as the target of the changed files' imports
+  assert.strictEqual(moduleGraph.scope, 'changed-files');
+  assert.strictEqual(moduleGraph.summary.legacy.modules, 2);
+  assert.strictEqual(moduleGraph.summary.refactored.modules, 3);
+  assert.strictEqual(moduleGraph.summary.refactored.dependencies, 2);
+});
+
+test('only inputs holding whole trees report their unchanged files', async () => {
+  const files = files => ({ type: 'file', sources: files });
+  const picked = await collectFilePairs({ language: 'javascript', legacy: files(legacy), refactored: files(refactored) });
+
+  assert.deepStrictEqual(picked.pairs.map(pair => pair.filePath), ['src/orders.js', 'src/repo.js']);
+  assert.strictEqual(picked.unchanged, null);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { readPatchFiles } = require('../services/patchService');
+
+// One git format-patch mail changing m.py; hunk lines are given one per string so that blank
+// context lines keep their leading space
+const patch = (subject, hunks) => [
+  'From 6b1f59039e384b34ee51900629ecce7e0f37326b Mon Sep 17 00:00:00 2001',
+  'From: a <a@example.com>',
+  `Subject: [PATCH] ${subject}`,
+  '',
+  '---',
+  'diff --git a/m.py b/m.py',
+  '--- a/m.py',
+  '+++ b/m.py',
+  ...hunks,
+  '-- ',
+  '2.39.5',
+  '',
+  ''
+].join('\n');
+
+test('a single patch yields the pre- and post-image of its hunks', () => {
+  const [file] = readPatchFiles(patch('one', [
+    '@@ -4,3 +4,3 @@ def f0():',
+    ' def f1():',
+    '-    return 1',
+    '+    return 100',
+    ' '
+  ]), 'python');
+
+  assert.strictEqual(file.legacyPath, 'm.py');
+  assert.strictEqual(file.refactoredPath, 'm.py');
+  assert.strictEqual(file.legacy, 'def f1():\n    return 1\n\n');
+  assert.strictEqual(file.refactored, 'def f1():\n    return 100\n\n');
+});
+
+test('later patches of a series touching other regions keep the earlier changes', () => {
+  const series = patch('one', [
+    '@@ -2,7 +2,7 @@ def f0():',
+    '     return 0',
+    ' ',
+    ' def f1():',
+    '-    return 1',
+    '+    return 100',
+    ' ',
+    ' def f2():',
+    '     return 2'
+  ]) + patch('two', [
+    '@@ -23,8 +23,8 @@ def f7():',
+    '     return 7',
+    ' ',
+    ' def f8():',
+    '-    return 8',
+    '+    return 800',
+    ' ',
+    '-def f9():',
+    '+def g9():',
+    '     return 9',
+    ' '
+  ]);
+
+  const files = readPatchFiles(series, 'python');
+  assert.strictEqual(files.length, 1);
+
+  // The lines around the second change were not touched by the first patch, so they are legacy
+  // lines too; the two regions are not adjacent and stay apart
+  const [file] = files;
+  assert.strictEqual(
+    file.legacy,
+    '    return 0\n\ndef f1():\n    return 1\n\ndef f2():\n    return 2\n\n' +
+    '    return 7\n\ndef f8():\n    return 8\n\ndef f9():\n    return 9\n\n'
+  );
+  assert.strictEqual(
+    file.refactored,
+    '    return 0\n\ndef f1():\n    return 100\n\ndef f2():\n    return 2\n\n' +
+    '    return 7\n\ndef f8():\n    return 800\n\ndef g9():\n    return 9\n\n'
+  );
+});
+
+test('later patches apply at their offset into the accumulated file', () => {
+  const series = patch('three', [
+    '@@ -4,6 +4,9 @@ def f0():',
+    ' def f1():',
+    '     return 1',
+    ' ',
+    '+def f1b():',
+    '+    return 11',
+    '+',
+    ' def f2():',
+    '     return 2',
+    ' '
+  ]) + patch('four', [
+    '@@ -8,7 +8,7 @@ def f1b():',
+    '     return 11',
+    ' ',
+    ' def f2():',
+    '-    return 2',
+    '+    return 200',
+    ' ',
+    ' def f3():',
+    '     return 3',
+    '@@ -26,7 +26,7 @@ def f7():',
+    '     return 7',
+    ' ',
+    ' def f8():',
+    '-    return 8',
+    '+    return 800',
+    ' ',
+    ' def f9():',
+    '     return 9'
+  ]);
+
+  // The second patch's first hunk overlaps the first patch's and is shifted by its insertion
+  const [file] = readPatchFiles(series, 'python');
+  assert.strictEqual(
+    file.legacy,
+    'def f1():\n    return 1\n\ndef f2():\n    return 2\n\ndef f3():\n    return 3\n\n' +
+    '    return 7\n\ndef f8():\n    return 8\n\ndef f9():\n    return 9\n'
+  );
+  assert.strictEqual(
+    file.refactored,
+    'def f1():\n    return 1\n\ndef f1b():\n    return 11\n\ndef f2():\n    return 200\n\ndef f3():\n    return 3\n\n' +
+    '    return 7\n\ndef f8():\n    return 800\n\ndef f9():\n    return 9\n'
+  );
+});
+
+test('files created and deleted within a series have no legacy or refactored version', () => {
+  const created = readPatchFiles(`diff --git a/n.py b/n.py
+new file mode 100644
+--- /dev/null
++++ b/n.py
+@@ -0,0 +1,2 @@
++def n():
++    return 1
+`, 'python');
+  assert.strictEqual(created[0].legacy, null);
+  assert.strictEqual(created[0].refactored, 'def n():\n    return 1\n');
+
+  const deleted = readPatchFiles(`diff --git a/n.py b/n.py
+deleted file mode 100644
+--- a/n.py
++++ /dev/null
+@@ -1,2 +0,0 @@
+-def n():
+-    return 1
+`, 'python');
+  assert.strictEqual(deleted[0].legacy, 'def n():\n    return 1\n');
+  assert.strictEqual(deleted[0].refactored, null);
+});
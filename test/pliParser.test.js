@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PliParser } = require('../analyzers/pliParser');
+
+const parser = new PliParser();
+
+const source = [
+  ' /* customer update */',
+  ' CUSTUPD: PROC(PARM) OPTIONS(MAIN);',
+  '   %INCLUDE SYSLIB(CUSTREC);',
+  '   DCL 1 CUST_REC,',
+  '         2 CUST_ID   CHAR(6),',
+  '         2 CUST_BAL  FIXED DEC(9,2);',
+  '   DO I = 1 TO 10;',
+  '     IF CUST_BAL > 0 THEN CALL AUDIT(CUST_ID);',
+  '   END;',
+  ' FIXUP: PROC RETURNS(FIXED BIN(31));',
+  '   RETURN(0);',
+  ' END FIXUP;',
+  ' END CUSTUPD;',
+  ''
+].join('\n');
+
+test('nests procedures and groups up to their END', () => {
+  const ast = parser.parse(source);
+  const [main] = ast.children;
+
+  assert.strictEqual(main.type, 'procedure');
+  assert.strictEqual(main.metadata.name, 'CUSTUPD');
+  assert.deepStrictEqual(main.metadata.parameters, ['PARM']);
+  assert.deepStrictEqual(main.children.map(child => child.type), ['include_directive', 'declaration', 'do_group', 'procedure']);
+
+  const fixup = main.children[3];
+  assert.strictEqual(fixup.metadata.name, 'FIXUP');
+  assert.deepStrictEqual(fixup.startPosition, { row: 9, column: 1 });
+  assert.strictEqual(fixup.endPosition.row, 11);
+  assert.strictEqual(main.endPosition.row, 12);
+});
+
+test('node text is the source of the statement, and declared items their own declaration', () => {
+  const ast = parser.parse(source);
+  const [main] = ast.children;
+  const [include, declaration, group] = main.children;
+
+  assert.strictEqual(ast.text, source);
+  assert.strictEqual(include.text, '%INCLUDE SYSLIB(CUSTREC);');
+  assert.deepStrictEqual(include.metadata.imports, ['CUSTREC']);
+  assert.strictEqual(group.text, 'DO I = 1 TO 10;\n     IF CUST_BAL > 0 THEN CALL AUDIT(CUST_ID);\n   END;');
+
+  const [structure] = declaration.children;
+  assert.strictEqual(structure.text, '1 CUST_REC');
+  assert.deepStrictEqual(structure.children.map(item => item.text), ['2 CUST_ID CHAR(6)', '2 CUST_BAL FIXED DEC(9,2)']);
+});
+
+test('groups left open at end of file end with their last statement', () => {
+  const ast = parser.parse(' P: PROC;\n   DO;\n     X = 1;\n');
+  const [procedure] = ast.children;
+
+  assert.strictEqual(procedure.endPosition.row, 2);
+  assert.strictEqual(procedure.text, 'P: PROC;\n   DO;\n     X = 1;');
+});
+
+test('deeply nested groups do not overflow the stack', () => {
+  const depth = 20000;
+  const ast = parser.parse(` P: PROC;\n${'DO;\n'.repeat(depth)}X = 1;\n${'END;\n'.repeat(depth)} END P;\n`);
+
+  let node = ast.children[0];
+  let levels = 0;
+  while (node.children.length > 0 && node.children[0].type === 'do_group') {
+    node = node.children[0];
+    levels++;
+  }
+  assert.strictEqual(levels, depth);
+  assert.strictEqual(node.children[0].text, 'X = 1;');
+  assert.strictEqual(ast.children[0].endPosition.row, 2 * depth + 2);
+});
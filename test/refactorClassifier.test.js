@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ASTAnalyzer } = require('../analyzers/astAnalyzer');
+const { RefactorClassifier } = require('../analyzers/refactorClassifier');
+const { FilePairAnalyzer } = require('../analyzers/filePairAnalyzer');
+
+const astAnalyzer = new ASTAnalyzer();
+const refactorClassifier = new RefactorClassifier();
+const filePairAnalyzer = new FilePairAnalyzer(astAnalyzer, refactorClassifier);
+
+// Refactor types of a single-file analysis, classified over the whole diff as analysisService does
+const classify = async (filePath, language, legacy, refactored) => {
+  const pair = { filePath, status: 'modified', language, legacy, refactored };
+  const { fileDiff } = await filePairAnalyzer.analyze(pair, { language, options: {} });
+  const astDiffs = astAnalyzer.mergeDiffs([fileDiff]);
+  return { astDiffs, refactorTypes: await refactorClassifier.classify(astDiffs, language) };
+};
+
+const program = paragraphs => [
+  '000100 IDENTIFICATION DIVISION.',
+  '000200 PROGRAM-ID. CUSTUPD.',
+  '000300 PROCEDURE DIVISION.',
+  ...paragraphs,
+  ''
+].join('\n');
+
+test('a paragraph split out of another is an extracted method', async () => {
+  const legacy = program([
+    '000400 MAIN-PARA.',
+    "000500     DISPLAY 'START'",
+    '000600     ADD 1 TO WS-COUNT',
+    "000700     DISPLAY 'DONE'",
+    '000800     STOP RUN.'
+  ]);
+  const refactored = program([
+    '000400 MAIN-PARA.',
+    "000500     DISPLAY 'START'",
+    '000600     PERFORM COUNT-PARA',
+    "000700     DISPLAY 'DONE'",
+    '000800     STOP RUN.',
+    '000900 COUNT-PARA.',
+    '001000     ADD 1 TO WS-COUNT.'
+  ]);
+
+  const { astDiffs, refactorTypes } = await classify('custupd.cbl', 'cobol', legacy, refactored);
+
+  assert.deepStrictEqual(astDiffs.overall.addedNodes, [
+    { type: 'paragraph', metadata: { name: 'COUNT-PARA' }, filePath: 'custupd.cbl' }
+  ]);
+  assert.deepStrictEqual(astDiffs.overall.removedNodes, []);
+  const extract = refactorTypes.find(type => type.type === 'Extract Method');
+  assert.ok(extract.evidence.includes('in COUNT-PARA (paragraph)'));
+});
+
+test('a paragraph folded into its caller is an inlined method', async () => {
+  const legacy = program([
+    '000400 MAIN-PARA.',
+    '000500     PERFORM COUNT-PARA',
+    '000600     STOP RUN.',
+    '000700 COUNT-PARA.',
+    '000800     ADD 1 TO WS-COUNT.'
+  ]);
+  const refactored = program([
+    '000400 MAIN-PARA.',
+    '000500     ADD 1 TO WS-COUNT',
+    '000600     STOP RUN.'
+  ]);
+
+  const { astDiffs, refactorTypes } = await classify('custupd.cbl', 'cobol', legacy, refactored);
+
+  assert.deepStrictEqual(astDiffs.overall.removedNodes.map(node => node.metadata.name), ['COUNT-PARA']);
+  assert.ok(refactorTypes.some(type => type.type === 'Inline Method'));
+});
+
+test('a method mapped under a new name is a renamed symbol', async () => {
+  const legacy = 'class Cart {\n  int total(int a, int b) {\n    return a + b;\n  }\n}\n';
+  const refactored = 'class Cart {\n  int sum(int a, int b) {\n    return a + b;\n  }\n}\n';
+
+  const { astDiffs, refactorTypes } = await classify('Cart.java', 'java', legacy, refactored);
+
+  const renamed = astDiffs.overall.modifiedNodes.find(node => node.metadata.name === 'sum');
+  assert.ok(renamed.changes.includes('method renamed: total -> sum'));
+  const rename = refactorTypes.find(type => type.type === 'Rename Symbol');
+  assert.ok(rename.evidence.includes('in sum (method_declaration)'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ASTAnalyzer } = require('../analyzers/astAnalyzer');
+const { RenameDetector } = require('../analyzers/renameDetector');
+
+const astAnalyzer = new ASTAnalyzer();
+const renameDetector = new RenameDetector();
+
+const renames = async (legacy, refactored, language = 'javascript', filePath = 'gen.js') => {
+  const legacyAST = await astAnalyzer.parseCode(legacy, language, filePath);
+  const refactoredAST = await astAnalyzer.parseCode(refactored, language, filePath);
+  const mappings = await astAnalyzer.mapElements(legacyAST, refactoredAST);
+  const { matches } = astAnalyzer.treeDiffer.diff(legacyAST, refactoredAST, mappings);
+  return renameDetector.detect(legacyAST, refactoredAST, matches)
+    .map(rename => `${rename.kind} ${rename.from} -> ${rename.to}`);
+};
+
+test('a symbol renamed consistently throughout an unchanged body is a rename', async () => {
+  const legacy = 'function load(id) {\n  const row = db.find(id);\n  return row.value;\n}\n';
+  const refactored = 'function fetch(key) {\n  const record = db.find(key);\n  return record.value;\n}\n';
+
+  assert.deepStrictEqual((await renames(legacy, refactored)).sort(), [
+    'function load -> fetch',
+    'local row -> record',
+    'parameter id -> key'
+  ]);
+});
+
+test('a function whose name changes along with its body is not renamed', async () => {
+  const legacy = 'function load(id) {\n  const row = db.find(id);\n  return row.value;\n}\n';
+  const refactored = 'function save(user) {\n  db.insert(user.name, user.email);\n  audit.log(user);\n}\n';
+
+  assert.deepStrictEqual(await renames(legacy, refactored), []);
+});
+
+test('a variable whose name changes along with its value is not renamed', async () => {
+  const legacy = 'const price = base * rate;\nconsole.log(price);\n';
+  const refactored = 'const ship = carrier.quote(weight);\nconsole.log(ship);\n';
+
+  assert.deepStrictEqual(await renames(legacy, refactored), []);
+});
+
+test('a rewritten class under a new name renames none of its symbols', async () => {
+  const legacy = 'class A {\n  f(x) {\n    return x + 1;\n  }\n}\n';
+  const refactored = 'class B {\n  g(y) {\n    this.items.push(y);\n    return this.items.length;\n  }\n}\n';
+
+  assert.deepStrictEqual(await renames(legacy, refactored), []);
+});
+
+test('a Java class renamed around a rewritten method is not renamed', async () => {
+  const legacy = 'class Order {\n  int qty;\n  int total(int price) {\n    return qty * price;\n  }\n}\n';
+  const refactored = 'class Invoice {\n  int qty;\n  int total(int price) {\n    return qty * price + tax(price);\n  }\n}\n';
+
+  assert.deepStrictEqual(await renames(legacy, refactored, 'java', 'Order.java'), []);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ASTAnalyzer } = require('../analyzers/astAnalyzer');
+
+const astAnalyzer = new ASTAnalyzer();
+
+const diff = async (legacy, refactored, language = 'javascript') => {
+  const legacyAST = await astAnalyzer.parseCode(legacy, language, 'gen.js');
+  const refactoredAST = await astAnalyzer.parseCode(refactored, language, 'gen.js');
+  const started = Date.now();
+  const mappings = await astAnalyzer.mapElements(legacyAST, refactoredAST);
+  const script = astAnalyzer.treeDiffer.diff(legacyAST, refactoredAST, mappings);
+  return { mappings, script, elapsed: Date.now() - started };
+};
+
+test('thousands of identical statements are paired in source order, in bounded time', async () => {
+  const lines = 3000;
+  const body = changed => Array.from({ length: lines }, (_, i) => `  total = total + ${changed(i) ? 2 : 1};`).join('\n');
+  const legacy = `function run(total) {\n${body(() => false)}\n  return total;\n}\n`;
+  const refactored = `function run(total) {\n${body(i => i % 100 === 50)}\n  return total;\n}\n`;
+
+  const { script, elapsed } = await diff(legacy, refactored);
+
+  assert.ok(elapsed < 10000, `took ${elapsed} ms`);
+  // Each changed statement is its own literal updated in place, nothing moved around it
+  assert.strictEqual(script.updated.length, lines / 100);
+  assert.ok(script.updated.every(({ legacy: node }) => node.text === '1'));
+  assert.strictEqual(script.moved.length, 0);
+  assert.strictEqual(script.inserted.length, 0);
+  assert.strictEqual(script.deleted.length, 0);
+});
+
+test('a few copies of a subtree still go to the copy with the most similar parent', async () => {
+  const legacy = 'function a() {\n  log(1);\n  x();\n}\nfunction b() {\n  log(1);\n  y();\n}\n';
+  const refactored = 'function b2() {\n  log(1);\n  y();\n}\nfunction a2() {\n  log(1);\n  x();\n}\n';
+
+  const { script } = await diff(legacy, refactored);
+
+  const partnerOf = name => script.matches.find(({ legacy: node }) => node.metadata?.name === name)?.refactored.metadata.name;
+  assert.strictEqual(partnerOf('a'), 'a2');
+  assert.strictEqual(partnerOf('b'), 'b2');
+});
+
+test('files with thousands of renamed elements only map identical names by name', async () => {
+  const functions = rename => Array.from({ length: 1200 }, (_, i) => `function ${rename(i) ? 'g' : 'f'}${i}(a) {\n  return a * ${i};\n}`).join('\n');
+  const legacy = functions(() => false);
+  const refactored = functions(i => i % 2 === 0);
+
+  const { mappings, script, elapsed } = await diff(legacy, refactored);
+
+  assert.ok(elapsed < 10000, `took ${elapsed} ms`);
+  assert.strictEqual(mappings.size, 600);
+  // The tree differ still pairs the renamed functions by their bodies
+  assert.strictEqual(script.inserted.length, 0);
+  assert.strictEqual(script.deleted.length, 0);
+});
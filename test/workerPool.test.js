@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WorkerPool, defaultPoolSize } = require('../utils/workerPool');
+
+// Worker script answering with its pid, or crashing, exhausting its heap or hanging on request
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-'));
+const script = path.join(dir, 'worker.js');
+fs.writeFileSync(script, `
+process.on('message', ({ id, task }) => {
+  if (task === 'crash') process.exit(1);
+  if (task === 'oom') {
+    const hoard = [];
+    for (;;) hoard.push(new Array(1024 * 1024).fill(hoard.length));
+  }
+  if (task === 'hang') for (;;);
+  process.send({ id, result: process.pid });
+});
+`);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const pool = t => {
+  const workers = new WorkerPool(script, { size: 1, timeoutMs: 5000, memoryMb: 32 });
+  t.after(() => workers.destroy());
+  return workers;
+};
+
+test('a worker that crashes fails its task and is replaced', async t => {
+  const workers = pool(t);
+  const before = await workers.run({ task: 'echo' });
+
+  await assert.rejects(workers.run({ task: 'crash' }), /Worker exited unexpectedly/);
+
+  const after = await workers.run({ task: 'echo' });
+  assert.notStrictEqual(after, before);
+});
+
+test('a worker that runs out of heap fails its task and is replaced', async t => {
+  const workers = pool(t);
+  const before = await workers.run({ task: 'echo' });
+
+  await assert.rejects(workers.run({ task: 'oom' }), error => error.code === 'OUT_OF_MEMORY');
+
+  const after = await workers.run({ task: 'echo' });
+  assert.notStrictEqual(after, before);
+});
+
+test('tasks queued behind a crashing one run on its replacement', async t => {
+  const workers = pool(t);
+
+  const [crashed, ...echoed] = await Promise.allSettled([
+    workers.run({ task: 'crash' }),
+    workers.run({ task: 'echo' }),
+    workers.run({ task: 'echo' })
+  ]);
+
+  assert.strictEqual(crashed.status, 'rejected');
+  assert.deepStrictEqual(echoed.map(outcome => outcome.status), ['fulfilled', 'fulfilled']);
+});
+
+test('a worker past its time budget is replaced', async t => {
+  const workers = new WorkerPool(script, { size: 1, timeoutMs: 200, memoryMb: 32 });
+  t.after(() => workers.destroy());
+
+  await assert.rejects(workers.run({ task: 'hang' }), error => error.code === 'TIMEOUT');
+  assert.ok(await workers.run({ task: 'echo' }));
+});
+
+test('the default size leaves a core and half the memory to the forking process', () => {
+  const gb = 1024;
+  assert.strictEqual(defaultPoolSize(512, { cores: 8, totalMb: 16 * gb }), 4);
+  assert.strictEqual(defaultPoolSize(512, { cores: 3, totalMb: 16 * gb }), 2);
+  assert.strictEqual(defaultPoolSize(512, { cores: 8, totalMb: 2 * gb }), 2);
+  // Single-core machines and containers reporting no cores still get one worker
+  assert.strictEqual(defaultPoolSize(512, { cores: 1, totalMb: 16 * gb }), 1);
+  assert.strictEqual(defaultPoolSize(512, { cores: 0, totalMb: 16 * gb }), 1);
+  assert.strictEqual(defaultPoolSize(512, { cores: 8, totalMb: 512 }), 1);
+});
@@ -0,0 +1,247 @@
+const path = require('path');
+const zlib = require('zlib');
+
+const DEFAULT_LIMITS = {
+  maxEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 10000,
+  maxTotalSize: parseInt(process.env.MAX_ARCHIVE_SIZE) || 100 * 1024 * 1024, // 100MB unpacked
+  maxEntrySize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB per file
+};
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const TAR_BLOCK_SIZE = 512;
+
+// Reject entry names that would escape the archive root (zip-slip)
+function safeEntryPath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+
+  const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+
+  return path.posix.join(...segments);
+}
+
+class ExtractionBudget {
+  constructor(limits) {
+    this.limits = limits;
+    this.entries = 0;
+    this.totalSize = 0;
+  }
+
+  countEntry() {
+    if (++this.entries > this.limits.maxEntries) {
+      throw new Error(`Archive has more than ${this.limits.maxEntries} entries`);
+    }
+  }
+
+  // Largest size the next entry may unpack to
+  allowance(name, declaredSize) {
+    if (declaredSize > this.limits.maxEntrySize) {
+      throw new Error(`Archive entry ${name} exceeds the ${this.limits.maxEntrySize} byte file limit`);
+    }
+    return Math.min(this.limits.maxEntrySize, this.limits.maxTotalSize - this.totalSize);
+  }
+
+  consume(size) {
+    this.totalSize += size;
+    if (this.totalSize > this.limits.maxTotalSize) {
+      throw new Error(`Archive exceeds the ${this.limits.maxTotalSize} byte extraction limit`);
+    }
+  }
+}
+
+function readZip(buffer, filter, budget) {
+  // The end-of-central-directory record sits within the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Invalid zip archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const files = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('Invalid zip archive: corrupt central directory');
+    }
+    budget.countEntry();
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const unixMode = buffer.readUInt32LE(offset + 38) >>> 16;
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const isDirectory = name.endsWith('/');
+    const isSymlink = (unixMode & 0o170000) === 0o120000;
+    if (isDirectory || isSymlink) continue;
+
+    const entryPath = safeEntryPath(name);
+    if (!filter(entryPath)) continue;
+
+    if (flags & 0x1) {
+      throw new Error(`Encrypted archive entries are not supported: ${name}`);
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+      throw new Error(`Invalid zip archive: corrupt local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    const allowance = budget.allowance(entryPath, size);
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      try {
+        // The declared size can lie; never inflate past what the budget allows
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(allowance, 1) });
+      } catch (error) {
+        throw new Error(`Archive entry ${name} could not be inflated within limits: ${error.message}`);
+      }
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+
+    budget.consume(content.length);
+    files.push({ path: entryPath, content: content.toString('utf8') });
+  }
+
+  return files;
+}
+
+function readTarString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function parsePax(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (!length || space === -1) break;
+
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+function readTar(buffer, filter, budget) {
+  const files = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+
+    // Two zero blocks mark the end; one is enough to stop
+    if (header.every(byte => byte === 0)) break;
+
+    const storedChecksum = parseInt(readTarString(header, 148, 8).trim(), 8);
+    let checksum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+      checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    if (checksum !== storedChecksum) {
+      throw new Error('Invalid tar archive: header checksum mismatch');
+    }
+
+    if (header[124] & 0x80) {
+      throw new Error('Tar entries larger than 8GB are not supported');
+    }
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const prefix = readTarString(header, 345, 155);
+    const name = longName || (prefix ? `${prefix}/${readTarString(header, 0, 100)}` : readTarString(header, 0, 100));
+
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    // Long names arrive in a GNU 'L' or pax 'x' record ahead of the entry they belong to
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+    if (type === 'x') {
+      longName = parsePax(data).path || null;
+      continue;
+    }
+    if (type === 'g') continue;
+    longName = null;
+
+    budget.countEntry();
+    if (type !== '0' && type !== '7') continue; // directories, links, devices
+
+    const entryPath = safeEntryPath(name);
+    if (!filter(entryPath)) continue;
+
+    budget.allowance(entryPath, size);
+    budget.consume(size);
+    files.push({ path: entryPath, content: data.toString('utf8') });
+  }
+
+  return files;
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_SIGNATURE;
+}
+
+function isGzip(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+// Unpack a zip, tar or tar.gz archive in memory. Only entries accepted by `filter`
+// are decompressed and returned as { path, content } pairs.
+function extractArchive(buffer, options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const filter = options.filter || (() => true);
+  const budget = new ExtractionBudget(limits);
+
+  if (isZip(buffer)) {
+    return readZip(buffer, filter, budget);
+  }
+
+  let tar = buffer;
+  if (isGzip(buffer)) {
+    try {
+      // Allow a header block (plus padding) per permitted entry on top of the data itself
+      tar = zlib.gunzipSync(buffer, { maxOutputLength: limits.maxTotalSize + (limits.maxEntries + 2) * TAR_BLOCK_SIZE * 2 });
+    } catch (error) {
+      throw new Error(`Archive could not be decompressed within limits: ${error.message}`);
+    }
+  }
+
+  return readTar(tar, filter, budget);
+}
+
+module.exports = { extractArchive };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Content-addressed cache with least-recently-used eviction, bounded by the total size of
+// its entries (callers say what an entry's size is, e.g. the length of the source it came from)
+class ContentCache {
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.size = 0;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Map iteration order is insertion order; re-inserting marks the entry most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value, size) {
+    if (size > this.maxSize) return;
+
+    this.delete(key);
+    this.entries.set(key, { value, size });
+    this.size += size;
+
+    for (const [oldest, entry] of this.entries) {
+      if (this.size <= this.maxSize) break;
+      this.entries.delete(oldest);
+      this.size -= entry.size;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.size -= entry.size;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  stats() {
+    return { entries: this.entries.size, size: this.size, hits: this.hits, misses: this.misses };
+  }
+}
+
+function contentHash(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(typeof part === 'string' ? part : JSON.stringify(part ?? null)).update('\u0000'));
+  return hash.digest('hex');
+}
+
+module.exports = { ContentCache, contentHash };
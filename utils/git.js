@@ -0,0 +1,25 @@
+const { execFile } = require('child_process');
+
+const GIT_TIMEOUT_MS = parseInt(process.env.GIT_TIMEOUT_MS) || 60 * 1000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+// Run git without a shell; arguments are never interpolated into a command line
+function runGit(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd: options.cwd,
+      encoding: options.encoding || 'utf8',
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: GIT_MAX_BUFFER,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = (stderr || '').toString().trim() || error.message;
+        return reject(new Error(`Git command failed: ${detail}`));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+module.exports = { runGit };
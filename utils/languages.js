@@ -0,0 +1,84 @@
+const path = require('path');
+
+// File extensions analyzed for each supported language
+const LANGUAGE_EXTENSIONS = {
+  java: ['.java'],
+  javascript: ['.js', '.jsx', '.mjs', '.cjs'],
+  typescript: ['.ts', '.tsx', '.mts', '.cts'],
+  python: ['.py'],
+  c: ['.c', '.h'],
+  cpp: ['.cpp', '.cc', '.cxx', '.hpp', '.hh', '.hxx', '.h'],
+  csharp: ['.cs'],
+  cobol: ['.cob', '.cbl', '.cpy'],
+  pli: ['.pli', '.pl1'],
+  jcl: ['.jcl', '.prc', '.proc']
+};
+
+// Interpreters named on a shebang line, for scripts without an extension
+const SHEBANG_INTERPRETERS = [
+  { language: 'python', pattern: /\bpython[\d.]*$/ },
+  { language: 'javascript', pattern: /\bnode(js)?$/ },
+  { language: 'typescript', pattern: /\b(ts-node|deno|bun)$/ }
+];
+
+// Content signatures for files with no or an ambiguous extension, most distinctive first
+const CONTENT_SIGNATURES = [
+  { language: 'cobol', pattern: /^.{0,7}\s*IDENTIFICATION\s+DIVISION\s*\./im },
+  { language: 'jcl', pattern: /^\/\/[A-Z@#$][\w@#$]{0,7}\s+JOB\b/m },
+  { language: 'pli', pattern: /\bPROC(EDURE)?\s+OPTIONS\s*\(\s*MAIN\b/i },
+  { language: 'csharp', pattern: /^\s*using\s+System[\w.]*\s*;|^\s*namespace\s+\w+(\.\w+)+\s*[{;]/m },
+  { language: 'java', pattern: /^\s*package\s+[\w.]+\s*;|^\s*import\s+(static\s+)?javax?\.|^\s*public\s+((abstract|final)\s+)*(class|interface|enum)\s+\w+/m },
+  { language: 'cpp', pattern: /^\s*#\s*include\s*<(iostream|vector|string|memory|map|algorithm)>|\bstd::|^\s*template\s*<|^\s*namespace\s+\w+\s*\{|^\s*class\s+\w+\s*(:\s*(public|protected|private)\b|\{)/m },
+  { language: 'c', pattern: /^\s*#\s*(include|define|ifndef)\b/m },
+  { language: 'python', pattern: /^\s*(def\s+\w+\s*\(.*\)\s*(->\s*[^:]+)?:|from\s+[\w.]+\s+import\s|import\s+[\w.]+\s*$|class\s+\w+(\(.*\))?\s*:\s*$)/m },
+  { language: 'typescript', pattern: /^\s*(export\s+)?(interface|type)\s+\w+|\bimport\s+type\b|\)\s*:\s*(string|number|boolean|void|Promise<)/m },
+  { language: 'javascript', pattern: /\brequire\s*\(|\bmodule\.exports\b|\bfunction\s+\w+\s*\(|=>|^\s*(const|let)\s+\w+\s*=/m }
+];
+
+// Code and configuration that commonly replace batch jobs (schedulers, functions, batch frameworks)
+const BATCH_REPLACEMENT_EXTENSIONS = ['.java', '.py', '.js', '.ts', '.cs', '.go', '.yml', '.yaml', '.json', '.tf'];
+
+function isSourceFile(filePath, language) {
+  if (language === 'auto') return languagesForExtension(filePath).length > 0;
+
+  const extensions = LANGUAGE_EXTENSIONS[language];
+  return Boolean(extensions) && extensions.includes(path.extname(filePath).toLowerCase());
+}
+
+// Files read for an analysis: the language's sources, plus batch job replacements for JCL.
+// Auto mode also reads extensionless files, which may be scripts with a shebang.
+function isAnalyzedFile(filePath, language) {
+  const extension = path.extname(filePath).toLowerCase();
+  return isSourceFile(filePath, language) ||
+    ((language === 'jcl' || language === 'auto') && BATCH_REPLACEMENT_EXTENSIONS.includes(extension)) ||
+    (language === 'auto' && extension === '');
+}
+
+function languagesForExtension(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.keys(LANGUAGE_EXTENSIONS).filter(language => LANGUAGE_EXTENSIONS[language].includes(extension));
+}
+
+// Language of one file from its extension, shebang and content; null when it is not source code.
+// Ambiguous extensions (.h is C or C++) are settled by content.
+function detectLanguage(filePath, content = '') {
+  const candidates = languagesForExtension(filePath || '');
+  if (candidates.length === 1) return candidates[0];
+
+  const shebang = content.match(/^#!\s*(\S+)(?:\s+(\S+))?/);
+  if (shebang && candidates.length === 0) {
+    // #!/usr/bin/env python3 names the interpreter second
+    const interpreter = path.posix.basename(shebang[1]) === 'env' ? shebang[2] || '' : shebang[1];
+    const match = SHEBANG_INTERPRETERS.find(({ pattern }) => pattern.test(interpreter));
+    if (match) return match.language;
+  }
+
+  const signature = CONTENT_SIGNATURES.find(({ language, pattern }) =>
+    (candidates.length === 0 || candidates.includes(language)) && pattern.test(content)
+  );
+  if (signature) return signature.language;
+
+  return candidates[0] || null;
+}
+
+module.exports = { LANGUAGE_EXTENSIONS, isSourceFile, isAnalyzedFile, detectLanguage };
@@ -0,0 +1,165 @@
+const { fork } = require('child_process');
+const os = require('os');
+
+// Errors of tasks the pool stopped carry a code: TIMEOUT, OUT_OF_MEMORY or ABORTED
+function poolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Workers a machine can run without starving the process that forks them: one per spare core,
+// no more than half its memory holds at memoryMb of heap each, and at most 4. Containers may
+// report no cores at all, and single-core machines still get one worker so budgets hold.
+function defaultPoolSize(memoryMb, {
+  cores = os.availableParallelism ? os.availableParallelism() : os.cpus().length,
+  totalMb = os.totalmem() / (1024 * 1024)
+} = {}) {
+  const byCores = cores - 1;
+  const byMemory = Math.floor(totalMb / 2 / memoryMb);
+  return Math.max(Math.min(byCores, byMemory, 4), 1);
+}
+
+// Pool of worker processes running one task at a time each, started on demand. The script
+// answers { id, ...data } messages with { id, result } or { id, error }. Workers are forked
+// processes rather than worker_threads because the tree-sitter bindings are not context-aware
+// and load in a single thread per process. A task that runs past its time budget, exhausts
+// its worker's heap or is aborted takes its worker down with it, since synchronous work cannot
+// be interrupted any other way; a fresh worker replaces it.
+class WorkerPool {
+  constructor(script, { size = 1, timeoutMs = 30 * 1000, memoryMb = 512 } = {}) {
+    this.script = script;
+    this.size = Math.max(size, 1);
+    this.timeoutMs = timeoutMs;
+    this.memoryMb = memoryMb;
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.destroyed = false;
+  }
+
+  run(data, { signal } = {}) {
+    if (this.destroyed) return Promise.reject(new Error('Worker pool has been destroyed'));
+    if (signal?.aborted) return Promise.reject(poolError('ABORTED', 'Task was cancelled'));
+
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextId++, data, resolve, reject, signal, slot: null, timer: null, settled: false };
+      if (signal) {
+        task.onAbort = () => this.fail(task, poolError('ABORTED', 'Task was cancelled'));
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (!this.destroyed && this.queue.length > 0) {
+      let slot = this.slots.find(candidate => !candidate.task);
+      if (!slot && this.slots.length < this.size) slot = this.spawn();
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      task.slot = slot;
+      task.timer = setTimeout(() => {
+        this.fail(task, poolError('TIMEOUT', `Exceeded the time budget of ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      // Busy workers keep the process alive; idle ones do not
+      this.setActive(slot, true);
+      slot.worker.send({ id: task.id, ...task.data });
+    }
+  }
+
+  spawn() {
+    const worker = fork(this.script, [], {
+      execArgv: [`--max-old-space-size=${this.memoryMb}`],
+      serialization: 'advanced',
+      stdio: ['ignore', 'inherit', 'pipe', 'ipc']
+    });
+    const slot = { worker, task: null, outOfMemory: false };
+    this.slots.push(slot);
+
+    // V8 reports an exhausted heap on stderr just before aborting the process
+    worker.stderr.on('data', chunk => {
+      if (/heap out of memory/i.test(chunk)) slot.outOfMemory = true;
+      process.stderr.write(chunk);
+    });
+
+    worker.on('message', ({ id, result, error }) => {
+      const { task } = slot;
+      if (!task || task.id !== id || !this.settle(task)) return;
+
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+      this.dispatch();
+    });
+
+    worker.on('error', error => {
+      if (slot.task) this.fail(slot.task, error);
+    });
+
+    worker.on('exit', () => {
+      if (slot.task) {
+        this.fail(slot.task, slot.outOfMemory
+          ? poolError('OUT_OF_MEMORY', `Exceeded the memory budget of ${this.memoryMb}MB`)
+          : new Error('Worker exited unexpectedly'));
+      }
+      this.slots = this.slots.filter(other => other !== slot);
+      this.dispatch();
+    });
+
+    this.setActive(slot, false);
+    return slot;
+  }
+
+  setActive(slot, active) {
+    const handles = [slot.worker, slot.worker.channel, slot.worker.stderr];
+    handles.forEach(handle => (active ? handle?.ref() : handle?.unref()));
+  }
+
+  // Marks a task done and frees its worker; false if it already was
+  settle(task) {
+    if (task.settled) return false;
+    task.settled = true;
+
+    clearTimeout(task.timer);
+    if (task.onAbort) task.signal.removeEventListener('abort', task.onAbort);
+    if (task.slot && task.slot.task === task) {
+      task.slot.task = null;
+      this.setActive(task.slot, false);
+    }
+    return true;
+  }
+
+  fail(task, error) {
+    if (!this.settle(task)) return;
+
+    this.queue = this.queue.filter(other => other !== task);
+    if (task.slot) {
+      this.slots = this.slots.filter(other => other !== task.slot);
+      task.slot.worker.kill();
+    }
+
+    task.reject(error);
+    this.dispatch();
+  }
+
+  destroy() {
+    this.destroyed = true;
+
+    const error = new Error('Worker pool has been destroyed');
+    [...this.queue].forEach(task => this.fail(task, error));
+    this.slots.filter(slot => slot.task).forEach(slot => this.fail(slot.task, error));
+
+    this.slots.forEach(slot => slot.worker.kill());
+    this.slots = [];
+  }
+}
+
+module.exports = { WorkerPool, defaultPoolSize };